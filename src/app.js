@@ -18,7 +18,13 @@ const logger = require('./utils/logger');
 // const authRoutes = require('./routes/auth');
 const userRoutes= require('./routes/User')
 const projectRoutes= require('./routes/project')
+const labelRoutes = require('./routes/labels');
+const templateRoutes = require('./routes/templates');
 const issueRoutes = require('./routes/issues');
+const commentRoutes = require('./routes/comments');
+const issueLinkRoutes = require('./routes/issueLinks');
+const filterRoutes = require('./routes/filters');
+const searchRoutes = require('./routes/search');
 const sprintRoutes= require('./routes/sprint');
 const bugRoutes= require('./routes/bug');
 const backlogRoutes= require('./routes/backlog');
@@ -26,6 +32,7 @@ const reportRoutes = require('./routes/reports');
 const releaseRoutes = require('./routes/release');
 const { connectToAttendanceDatabase,disconnectFromAttendanceDatabase } = require('./config/attendancedb');
 const { checkAndRefreshToken } = require('./services/authService');
+const { startJobs } = require('./jobs');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -74,7 +81,8 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Middleware to handle protocol issues for Swagger
@@ -102,8 +110,7 @@ app.use(morgan('combined', {
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static file serving
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Static file serving; uploads are not public, attachments are downloaded through expiring URLs
 app.use('/public', express.static(path.join(__dirname, '../public')));
 
 // Favicon route to prevent 404 errors
@@ -165,8 +172,14 @@ app.get('/health', (req, res) => {
 // API routes
 // app.use('/api/auth', authRoutes);
 app.use('/api/user',userRoutes);
+app.use('/api/projects/:projectId/labels', labelRoutes);
+app.use('/api/projects/:projectId/templates', templateRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/issues/:issueId/comments', commentRoutes);
+app.use('/api/issues/:issueId/links', issueLinkRoutes);
 app.use('/api/issues', issueRoutes);
+app.use('/api/filters', filterRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/sprints',sprintRoutes);
 // app.use('/api/bugs', bugRoutes);
 app.use('/api/backlogs', backlogRoutes);
@@ -209,6 +222,14 @@ app.use((error, req, res, next) => {
     });
   }
 
+  // content sniffed by sniffedStorage is not an allowed type or doesn't match the extension
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(415).json({
+      success: false,
+      message: error.message
+    });
+  }
+
   // Handle validation errors
   if (error.name === 'ValidationError') {
     return res.status(400).json({
@@ -321,6 +342,9 @@ const startServer = async () => {
     } catch (redisError) {
       logger.warn('⚠️ Redis connection failed. Continuing without Redis (caching disabled).');
     }
+
+    // Start scheduled jobs (saved filter subscriptions, ...)
+    startJobs();
     
     
     // Start server - bind to all network interfaces
@@ -142,7 +142,13 @@ const options = {
     },
     tags: [
       { name: 'Projects', description: 'Project management' },
+      { name: 'Labels', description: 'Per-project label catalog with rename and merge' },
       { name: 'Issues', description: 'Epics, Stories, Tasks, Subtasks' },
+      { name: 'Issue Templates', description: 'Reusable issues with default subtasks' },
+      { name: 'Comments', description: 'Threaded issue discussions and mentions' },
+      { name: 'Issue Links', description: 'Blocking, duplicate, related and clone links between issues' },
+      { name: 'Search', description: 'Ranked full-text search across issues and comments' },
+      { name: 'Saved Filters', description: 'Saved issue queries, shared views and email subscriptions' },
       { name: 'Sprints', description: 'Sprint planning and task assignment' },
       { name: 'Bugs', description: 'Bug tracking and resolution' },
       { name: 'Backlogs', description: 'Unassigned and pending work' },
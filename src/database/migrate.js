@@ -0,0 +1,46 @@
+// Runs the data migrations in src/database/migrations in order. Applied migrations are recorded in the
+// `migrations` collection and skipped on the next run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectToDatabase, disconnectFromDatabase } = require('../config/database');
+const logger = require('../utils/logger');
+
+const migrations = [
+  require('./migrations/001-merge-issue-parent'),
+  require('./migrations/002-attachment-metadata'),
+  require('./migrations/003-project-storage-usage'),
+  require('./migrations/004-issue-sprint-id'),
+];
+
+async function runMigrations() {
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  for (const migration of migrations) {
+    if (await applied.findOne({ name: migration.name })) {
+      logger.info(`Migration ${migration.name} already applied`);
+      continue;
+    }
+
+    logger.info(`Running migration ${migration.name}`);
+    const result = await migration.up(db);
+    await applied.insertOne({ name: migration.name, appliedAt: new Date(), result });
+    logger.info(`Migration ${migration.name} done: ${JSON.stringify(result)}`);
+  }
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectToDatabase();
+      await runMigrations();
+      await disconnectFromDatabase();
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Migration failed: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { runMigrations };
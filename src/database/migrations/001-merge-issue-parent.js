@@ -0,0 +1,24 @@
+// Issues used to have two parent fields, parentId and parentTaskId. parentTaskId is now the only one:
+// copy parentId over where parentTaskId is empty and drop parentId everywhere.
+module.exports = {
+  name: '001-merge-issue-parent',
+
+  async up(db) {
+    const issues = db.collection('issues');
+
+    const conflicts = await issues.countDocuments({
+      parentId: { $ne: null },
+      parentTaskId: { $ne: null },
+      $expr: { $ne: ['$parentId', '$parentTaskId'] },
+    });
+
+    const copied = await issues.updateMany(
+      { parentId: { $ne: null }, $or: [{ parentTaskId: null }, { parentTaskId: { $exists: false } }] },
+      [{ $set: { parentTaskId: '$parentId' } }]
+    );
+    const removed = await issues.updateMany({ parentId: { $exists: true } }, { $unset: { parentId: '' } });
+
+    // when both were set and differ, parentTaskId wins; the count is kept in the migration log
+    return { copied: copied.modifiedCount, removed: removed.modifiedCount, conflicts };
+  },
+};
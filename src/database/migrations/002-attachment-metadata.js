@@ -0,0 +1,54 @@
+// Issue attachments used to be bare disk paths (e.g. "uploads/attachments-1700000000000.png") served from
+// the public /uploads route. They are now documents with storage, key and file metadata; old paths become
+// local attachments keyed by their path below uploads/.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const S3StorageService = require('../../services/S3StorageService');
+
+const UPLOAD_ROOT = path.join(__dirname, '../../../uploads');
+
+async function toAttachment(filePath, issue) {
+  // old paths are relative to the app folder that holds uploads/, wherever the process was started
+  const absolutePath = path.resolve(UPLOAD_ROOT, '..', filePath);
+  const stats = await fs.promises.stat(absolutePath).catch(() => null);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    storage: 'local',
+    key: path.relative(UPLOAD_ROOT, absolutePath).split(path.sep).join('/'),
+    originalName: path.basename(filePath),
+    size: stats ? stats.size : 0,
+    mimeType: S3StorageService.getContentType(filePath),
+    uploadedBy: issue.reporterId || null,
+    createdAt: issue.createdAt || new Date(),
+  };
+}
+
+module.exports = {
+  name: '002-attachment-metadata',
+
+  async up(db) {
+    const issues = db.collection('issues');
+    const cursor = issues.find({ attachments: { $type: 'string' } }, { projection: { attachments: 1, reporterId: 1, createdAt: 1 } });
+
+    let converted = 0;
+    let missingFiles = 0;
+    for await (const issue of cursor) {
+      const attachments = [];
+      for (const attachment of issue.attachments) {
+        if (typeof attachment !== 'string') {
+          attachments.push(attachment);
+          continue;
+        }
+        const metadata = await toAttachment(attachment, issue);
+        if (metadata.size === 0) missingFiles++;
+        attachments.push(metadata);
+      }
+      await issues.updateOne({ _id: issue._id }, { $set: { attachments } });
+      converted++;
+    }
+
+    // files that were already gone keep their metadata with size 0, so the count is kept in the migration log
+    return { converted, missingFiles };
+  },
+};
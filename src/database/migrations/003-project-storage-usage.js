@@ -0,0 +1,20 @@
+// Projects now track the bytes their issues' attachments take up (storageUsed) against a quota. Count
+// what existing projects already store.
+module.exports = {
+  name: '003-project-storage-usage',
+
+  async up(db) {
+    const usage = await db.collection('issues').aggregate([
+      { $unwind: '$attachments' },
+      { $group: { _id: '$projectId', bytes: { $sum: { $ifNull: ['$attachments.size', 0] } } } },
+    ]).toArray();
+
+    const projects = db.collection('projects');
+    await projects.updateMany({}, { $set: { storageUsed: 0 } });
+    for (const { _id, bytes } of usage) {
+      await projects.updateOne({ _id }, { $set: { storageUsed: bytes } });
+    }
+
+    return { projects: usage.length, bytes: usage.reduce((total, { bytes }) => total + bytes, 0) };
+  },
+};
@@ -0,0 +1,29 @@
+// Issues now record their sprint in sprintId, which editing an issue's sprint relies on to leave the old
+// sprint. Fill it in from the sprints' issue lists. An issue listed in several sprints gets the active
+// one, then a planned one, then the latest completed one.
+const STATUS_ORDER = ['active', 'planned', 'completed'];
+
+module.exports = {
+  name: '004-issue-sprint-id',
+
+  async up(db) {
+    const sprints = await db.collection('sprints')
+      .find({ 'issues.0': { $exists: true } }, { projection: { status: 1, endDate: 1, issues: 1 } })
+      .toArray();
+    sprints.sort((a, b) => (STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status))
+      || (new Date(b.endDate) - new Date(a.endDate)));
+
+    const issues = db.collection('issues');
+    let updated = 0;
+    for (const sprint of sprints) {
+      // the first sprint to claim an issue wins
+      const result = await issues.updateMany(
+        { _id: { $in: sprint.issues }, sprintId: null },
+        { $set: { sprintId: sprint._id } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    return { sprints: sprints.length, issues: updated };
+  },
+};
@@ -0,0 +1,50 @@
+const cron = require('node-cron');
+const Issue = require('../models/Issue');
+const { PREVIEW_IMAGE_TYPES, canPreview } = require('../services/AttachmentService');
+const { queuePreviews } = require('../services/AttachmentPreviewService');
+const logger = require('../utils/logger');
+
+// uploads younger than this are still in the queue of the instance that received them
+const PENDING_GRACE_MINUTES = 5;
+// issues picked up per run; the rest waits for the next run
+const PREVIEW_BATCH_SIZE = 100;
+
+// Queue previews that were never made: their instance restarted before getting to them, or the
+// attachment was uploaded before previews existed. Returns the number of attachments queued.
+async function runPreviewBackfill(now = new Date()) {
+  const cutoff = new Date(now.getTime() - PENDING_GRACE_MINUTES * 60 * 1000);
+  const issues = await Issue.find({
+    isDeleted: false,
+    attachments: {
+      $elemMatch: {
+        createdAt: { $lte: cutoff },
+        mimeType: { $in: [...PREVIEW_IMAGE_TYPES, /^video\//] },
+        previewStatus: { $in: ['pending', null] },
+      },
+    },
+  }, 'attachments').limit(PREVIEW_BATCH_SIZE).lean();
+
+  let queued = 0;
+  for (const issue of issues) {
+    // lean documents show which attachments predate previewStatus
+    const attachments = issue.attachments
+      .filter(attachment => attachment.createdAt <= cutoff && canPreview(attachment.mimeType)
+        && [undefined, null, 'pending'].includes(attachment.previewStatus))
+      .map(attachment => ({ ...attachment, previewStatus: 'pending' }));
+    queued += queuePreviews(issue._id, attachments);
+  }
+  return queued;
+}
+
+function scheduleAttachmentPreviews() {
+  return cron.schedule(process.env.ATTACHMENT_PREVIEW_CRON || '*/10 * * * *', async () => {
+    try {
+      const queued = await runPreviewBackfill();
+      if (queued > 0) logger.info(`Queued ${queued} attachment preview(s)`);
+    } catch (err) {
+      logger.error(`Attachment preview job failed: ${err.message}`);
+    }
+  });
+}
+
+module.exports = { runPreviewBackfill, scheduleAttachmentPreviews };
@@ -0,0 +1,87 @@
+const cron = require('node-cron');
+const Issue = require('../models/Issue');
+const { getEmployeeById } = require('../services/EmployeeFetchService');
+const { sendMail } = require('../services/MailService');
+const {
+  getReminderOffsets,
+  planReminder,
+  reminderCandidateFilter,
+  getDoneStatuses,
+  recordReminder,
+} = require('../services/DueDateService');
+const logger = require('../utils/logger');
+
+function describeOffset(offsetHours) {
+  if (offsetHours < 0) return `due in ${-offsetHours} hour${offsetHours === -1 ? '' : 's'}`;
+  if (offsetHours === 0) return 'due now';
+  return `${offsetHours} hour${offsetHours === 1 ? '' : 's'} overdue`;
+}
+
+function formatReminder(issue, { overdue }) {
+  return [
+    `${issue.key}: ${issue.title}`,
+    `Status: ${issue.status}`,
+    `Due: ${issue.dueDate.toISOString()}${overdue ? ' (overdue)' : ''}`,
+    '',
+    'You get this reminder as the assignee or a watcher of the issue.',
+    `Snooze it with POST /api/issues/${issue._id}/reminders/snooze.`,
+  ].join('\n');
+}
+
+// Email the assignee and watchers of open issues when a reminder before or after the due date falls due
+// (DUE_REMINDER_LEAD_HOURS, DUE_REMINDER_OVERDUE_HOURS). Returns { issues, sent }.
+async function runDueReminders(now = new Date()) {
+  const offsets = getReminderOffsets();
+  const issues = await Issue.find(reminderCandidateFilter(now, offsets));
+  const doneStatuses = await getDoneStatuses([...new Set(issues.map(issue => issue.projectId.toString()))]);
+  let sent = 0;
+
+  for (const issue of issues) {
+    if ((doneStatuses.get(issue.projectId.toString()) || []).includes(issue.status)) continue;
+
+    const recipients = [...new Set([issue.assigneeId, ...issue.watchers].filter(Boolean).map(id => id.toString()))];
+    for (const employeeId of recipients) {
+      const state = issue.dueReminders.find(item => item.employeeId.toString() === employeeId);
+      const reminder = planReminder(issue, state, { now, offsets });
+      if (!reminder) continue;
+
+      const employee = await getEmployeeById(employeeId);
+      const email = employee?.data?.user?.login_email;
+      if (!email) {
+        logger.warn(`Skipping due date reminder for ${issue.key}/${employeeId}: no email address`);
+        continue;
+      }
+
+      const delivered = await sendMail({
+        to: email,
+        subject: `[Task Management] ${issue.key} is ${describeOffset(reminder.offsetHours)}`,
+        text: formatReminder(issue, reminder),
+      });
+      if (!delivered) continue;
+
+      await recordReminder(issue, employeeId, reminder.offsetHours, now);
+      sent++;
+    }
+  }
+
+  return { issues: issues.length, sent };
+}
+
+// Check due dates every 15 minutes by default.
+function scheduleDueReminders() {
+  let running = false;
+  return cron.schedule(process.env.DUE_REMINDER_CRON || '*/15 * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent } = await runDueReminders();
+      if (sent > 0) logger.info(`Sent ${sent} due date reminder email(s)`);
+    } catch (err) {
+      logger.error(`Due date reminder job failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = { runDueReminders, scheduleDueReminders };
@@ -0,0 +1,119 @@
+const cron = require('node-cron');
+const SavedFilter = require('../models/SavedFilter');
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const { getEmployeeById } = require('../services/EmployeeFetchService');
+const { resolveIssueListQuery } = require('../services/SavedFilterService');
+const { isProjectMember, getVisibleProjectIds } = require('../services/ProjectAccessService');
+const { sendMail } = require('../services/MailService');
+const { findSorted } = require('../utils/queryLanguage');
+const logger = require('../utils/logger');
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// the job runs every few minutes, so a subscription is due slightly before its full period has passed
+const SCHEDULE_TOLERANCE_MS = 5 * 60 * 1000;
+const MAX_ISSUES_PER_EMAIL = 50;
+
+function isDue(subscription, now) {
+  if (!subscription.lastSentAt) return true;
+  return now - subscription.lastSentAt >= FREQUENCY_MS[subscription.frequency] - SCHEDULE_TOLERANCE_MS;
+}
+
+function formatDigest(savedFilter, issues, total) {
+  const lines = issues.map(issue => `${issue.key}  [${issue.status}]  ${issue.title}`);
+  if (total > issues.length) {
+    lines.push(`... and ${total - issues.length} more`);
+  }
+  return [
+    `Saved filter: ${savedFilter.name}`,
+    `Query: ${savedFilter.query || '(all issues)'}`,
+    `${total} matching issue${total === 1 ? '' : 's'}`,
+    '',
+    ...lines,
+  ].join('\n');
+}
+
+// Email the results of every saved filter to its due subscribers.
+async function runFilterSubscriptions(now = new Date()) {
+  const savedFilters = await SavedFilter.find({ isDeleted: false, 'subscriptions.0': { $exists: true } });
+  let sent = 0;
+
+  for (const savedFilter of savedFilters) {
+    for (const subscription of savedFilter.subscriptions.filter(item => isDue(item, now))) {
+      // a subscriber who left the filter's project gets nothing from it anymore, even as the filter's owner
+      if (savedFilter.projectId) {
+        const project = await Project.findById(savedFilter.projectId, 'ownerId members isDeleted');
+        if (!project || project.isDeleted || !isProjectMember(project, subscription.employeeId)) {
+          logger.warn(`Removing filter subscription ${savedFilter._id}/${subscription.employeeId}: no access to the project`);
+          await SavedFilter.updateOne(
+            { _id: savedFilter._id },
+            { $pull: { subscriptions: { employeeId: subscription.employeeId } } }
+          );
+          continue;
+        }
+      }
+
+      // run as the subscriber so `me` and access rules apply to them
+      const listQuery = await resolveIssueListQuery({ filterId: savedFilter._id.toString() }, subscription.employeeId);
+      if (listQuery.error) {
+        logger.warn(`Skipping filter subscription ${savedFilter._id}/${subscription.employeeId}: ${listQuery.error.message}`);
+        continue;
+      }
+
+      const employee = await getEmployeeById(subscription.employeeId);
+      const email = employee?.data?.user?.login_email;
+      if (!email) {
+        logger.warn(`Skipping filter subscription ${savedFilter._id}/${subscription.employeeId}: no email address`);
+        continue;
+      }
+
+      // filters without a project only cover the projects the subscriber can see
+      const issueFilter = {
+        isDeleted: false,
+        projectId: savedFilter.projectId || { $in: await getVisibleProjectIds(subscription.employeeId) },
+      };
+      if (Object.keys(listQuery.filter).length > 0) issueFilter.$and = [listQuery.filter];
+
+      const total = await Issue.countDocuments(issueFilter);
+      const issues = await findSorted(Issue, issueFilter, listQuery.sort, 0, MAX_ISSUES_PER_EMAIL);
+
+      const delivered = await sendMail({
+        to: email,
+        subject: `[Task Management] ${savedFilter.name}: ${total} issue${total === 1 ? '' : 's'}`,
+        text: formatDigest(savedFilter, issues, total),
+      });
+      if (!delivered) continue;
+
+      await SavedFilter.updateOne(
+        { _id: savedFilter._id, 'subscriptions.employeeId': subscription.employeeId },
+        { $set: { 'subscriptions.$.lastSentAt': now } }
+      );
+      sent++;
+    }
+  }
+
+  return { filters: savedFilters.length, sent };
+}
+
+// Check subscriptions every 15 minutes by default.
+function scheduleFilterSubscriptions() {
+  let running = false;
+  return cron.schedule(process.env.FILTER_SUBSCRIPTION_CRON || '*/15 * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent } = await runFilterSubscriptions();
+      if (sent > 0) logger.info(`Sent ${sent} saved filter subscription email(s)`);
+    } catch (err) {
+      logger.error(`Saved filter subscription job failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = { runFilterSubscriptions, scheduleFilterSubscriptions };
@@ -0,0 +1,26 @@
+const logger = require('../utils/logger');
+const { scheduleFilterSubscriptions } = require('./filterSubscriptionJob');
+const { scheduleTrashPurge } = require('./trashPurgeJob');
+const { scheduleAttachmentPreviews } = require('./attachmentPreviewJob');
+const { scheduleOrphanFileCollection } = require('./orphanFileJob');
+const { scheduleDueReminders } = require('./dueReminderJob');
+
+// Start the scheduled background jobs. Set JOBS_ENABLED=false to run an instance without them.
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logger.info('Scheduled jobs are disabled (JOBS_ENABLED=false)');
+    return [];
+  }
+
+  const tasks = [
+    scheduleFilterSubscriptions(),
+    scheduleTrashPurge(),
+    scheduleAttachmentPreviews(),
+    scheduleOrphanFileCollection(),
+    scheduleDueReminders(),
+  ];
+  logger.info(`⏰ ${tasks.length} scheduled job(s) started`);
+  return tasks;
+}
+
+module.exports = { startJobs };
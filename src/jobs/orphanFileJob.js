@@ -0,0 +1,42 @@
+const cron = require('node-cron');
+const { collectOrphanFiles } = require('../services/OrphanFileService');
+const logger = require('../utils/logger');
+
+// ORPHAN_FILE_DRY_RUN=true only reports what the scheduled run would delete
+const isDryRun = () => process.env.ORPHAN_FILE_DRY_RUN === 'true';
+
+// Delete uploaded files (local or S3) that no issue references: leftovers of failed imports, of issues
+// that were never saved, and of attachments whose delete did not reach the storage.
+function scheduleOrphanFileCollection() {
+  let running = false;
+  return cron.schedule(process.env.ORPHAN_FILE_CRON || '0 4 * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      await collectOrphanFiles({ dryRun: isDryRun() });
+    } catch (err) {
+      logger.error(`Orphaned file collection failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+// npm run gc:files [-- --dry-run]
+if (require.main === module) {
+  require('dotenv').config();
+  const { connectToDatabase, disconnectFromDatabase } = require('../config/database');
+  (async () => {
+    try {
+      await connectToDatabase();
+      await collectOrphanFiles({ dryRun: process.argv.includes('--dry-run') || isDryRun() });
+      await disconnectFromDatabase();
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Orphaned file collection failed: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { scheduleOrphanFileCollection };
@@ -0,0 +1,32 @@
+const cron = require('node-cron');
+const { purgeExpiredIssues, getRetentionDays } = require('../services/IssueTrashService');
+const logger = require('../utils/logger');
+
+// Hard-delete issues that have been in the trash longer than TRASH_RETENTION_DAYS.
+async function runTrashPurge(now = new Date()) {
+  let total = { purged: 0, attachments: 0 };
+  // purge in batches until nothing expired is left
+  for (;;) {
+    const result = await purgeExpiredIssues(now, getRetentionDays());
+    total = { purged: total.purged + result.purged, attachments: total.attachments + result.attachments };
+    if (result.purged === 0) return total;
+  }
+}
+
+function scheduleTrashPurge() {
+  let running = false;
+  return cron.schedule(process.env.TRASH_PURGE_CRON || '0 3 * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { purged, attachments } = await runTrashPurge();
+      if (purged > 0) logger.info(`Purged ${purged} issue(s) and ${attachments} attachment(s) from the trash`);
+    } catch (err) {
+      logger.error(`Trash purge job failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = { runTrashPurge, scheduleTrashPurge };
@@ -2,22 +2,31 @@ const multer = require("multer");
 const csvParser = require("csv-parser");
 const fs = require("fs");
 const path = require("path");
+const { sniffedStorage } = require("./sniffedStorage");
 
-const upload = multer({ dest: "uploads/" }).single("file"); 
+// CSV imports and Jira exports (CSV or JSON); the content has to match the extension
+const IMPORT_TYPES = ["text/csv", "application/json"];
+
+const upload = multer({
+  storage: sniffedStorage(multer.diskStorage({ destination: "uploads/" }), () => IMPORT_TYPES),
+}).single("file");
 
 const parseCSV = (filePath) => {
   return new Promise((resolve, reject) => {
     const issues = [];
+    // the upload is only needed until it is parsed, also when parsing fails
+    const cleanUp = () => fs.promises.rm(filePath, { force: true });
     fs.createReadStream(filePath)
-      .pipe(csvParser())
+      .on("error", (err) => cleanUp().finally(() => reject(err)))
+      // spreadsheet programs (and our own CSV export) start the file with a byte order mark
+      .pipe(csvParser({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, "").trim() }))
       .on("data", (data) => {
         issues.push(data);
       })
       .on("end", () => {
-        fs.unlinkSync(filePath); 
-        resolve(issues);
+        cleanUp().then(() => resolve(issues), reject);
       })
-      .on("error", (err) => reject(err));
+      .on("error", (err) => cleanUp().finally(() => reject(err)));
   });
 };
 
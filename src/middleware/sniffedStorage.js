@@ -0,0 +1,72 @@
+const { PassThrough } = require('stream');
+const { SNIFF_BYTES, checkFileType } = require('../utils/fileType');
+
+// Read the first `length` bytes of an upload. Resolves with them and a stream that yields the whole
+// file again, for the storage that writes it.
+function readHead(stream, length) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const finish = (ended) => {
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', reject);
+      const head = Buffer.concat(chunks);
+      const whole = new PassThrough();
+      if (ended) {
+        whole.end(head);
+      } else {
+        stream.pause();
+        whole.write(head);
+        // pipe() does not pass errors on; without this an aborted upload leaves the storage waiting forever
+        stream.on('error', err => whole.destroy(err));
+        stream.pipe(whole);
+      }
+      resolve({ head: head.subarray(0, length), stream: whole });
+    };
+    function onData(chunk) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= length) finish(false);
+    }
+    function onEnd() {
+      finish(true);
+    }
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', reject);
+  });
+}
+
+// Multer storage that checks what a file really is before handing it to `storage`. The type comes from
+// the file's first bytes, not the name or the client's Content-Type, and must be one of `allowedTypes()`
+// with a matching extension. Refused uploads fail with code UNSUPPORTED_FILE_TYPE; accepted ones get the
+// detected type as `mimetype`.
+function sniffedStorage(storage, allowedTypes) {
+  return {
+    _handleFile(req, file, cb) {
+      readHead(file.stream, SNIFF_BYTES).then(({ head, stream }) => {
+        const { mimeType, error } = checkFileType(head, file.originalname, allowedTypes());
+        if (error) {
+          // drain the rest so the request can finish
+          stream.resume();
+          const err = new Error(error);
+          err.code = 'UNSUPPORTED_FILE_TYPE';
+          return cb(err);
+        }
+
+        file.mimetype = mimeType;
+        file.stream = stream;
+        return storage._handleFile(req, file, cb);
+      }, cb);
+    },
+
+    _removeFile(req, file, cb) {
+      storage._removeFile(req, file, cb);
+    },
+  };
+}
+
+module.exports = { sniffedStorage };
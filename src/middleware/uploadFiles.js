@@ -1,22 +1,18 @@
 const multer = require('multer');
-const path = require('path');
+const S3StorageService = require('../services/S3StorageService');
+const { ATTACHMENT_FOLDER } = require('../services/AttachmentService');
+const { getAllowedUploadTypes } = require('../utils/fileType');
+const { sniffedStorage } = require('./sniffedStorage');
 
-// Set up multer storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/'); // Directory where files will be stored
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix); // Create a unique filename
-  },
-});
+// Issue attachments go to S3, or below uploads/attachments when S3 is not configured, once their
+// content is one of the allowed types (UPLOAD_ALLOWED_TYPES)
+const storage = sniffedStorage(S3StorageService.createS3Storage(ATTACHMENT_FOLDER), getAllowedUploadTypes);
 
 // Create multer upload middleware for multiple files
-const uploadFiles = multer({ 
-  storage: storage, 
+const uploadFiles = multer({
+  storage: storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // Limit file size to 10MB
-}).array('attachments', 10); 
+}).array('attachments', 10);
 
 // Export middleware
 module.exports = uploadFiles;
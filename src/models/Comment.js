@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  issueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+  body: { type: String, required: true },
+  // threaded replies: parentCommentId is the direct parent, rootCommentId the top of the thread
+  parentCommentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  rootCommentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  mentions: [{
+    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    name: { type: String },
+  }],
+  editHistory: [{
+    body: { type: String },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    editedAt: { type: Date, default: Date.now },
+  }],
+  isDeleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// adding indexes
+CommentSchema.index({ issueId: 1, parentCommentId: 1, createdAt: 1 });
+CommentSchema.index({ rootCommentId: 1 });
+CommentSchema.index({ 'mentions.employeeId': 1 });
+CommentSchema.index({ body: 'text' }, { name: 'comment_text_search' });
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -1,40 +1,99 @@
 const { required } = require("joi");
 const mongoose= require("mongoose");
 
+// A file attached to an issue. `key` is the S3 object key, or the path below uploads/ when S3 is not configured.
+const AttachmentSchema = new mongoose.Schema({
+  storage: { type: String, enum: ['s3', 'local'], required: true },
+  key: { type: String, required: true },
+  originalName: { type: String, required: true },
+  size: { type: Number, default: 0 },
+  mimeType: { type: String, default: 'application/octet-stream' },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  createdAt: { type: Date, default: Date.now },
+  // WebP thumbnail of an image or poster frame of a video, generated in the background after upload
+  preview: {
+    type: new mongoose.Schema({
+      storage: { type: String, enum: ['s3', 'local'], required: true },
+      key: { type: String, required: true },
+      width: Number,
+      height: Number,
+    }, { _id: false }),
+    default: null,
+  },
+  previewStatus: { type: String, enum: ['none', 'pending', 'ready', 'failed'], default: 'none' },
+});
+
+// Due date reminders of one recipient (the assignee or a watcher), kept by the reminder job: the last
+// reminder sent, as hours relative to the due date it was sent for, and a snooze.
+const DueReminderSchema = new mongoose.Schema({
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+  dueDate: { type: Date, default: null },
+  offsetHours: { type: Number, default: null },
+  sentAt: { type: Date, default: null },
+  snoozedUntil: { type: Date, default: null },
+}, { _id: false });
+
 const IssueSchema = new mongoose.Schema({
  key: {
     type: String,
     unique: true,
     required: true,
   },
+  keyAliases: [{ type: String }], // keys the issue had before its project key was renamed
   projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
   title: { type: String, required: true },
   description: { type: String, required: true },
   type: { type: String, required: true }, // example values ['task', 'story', 'epic', 'subtask', 'bug','feedback'] dynamic for now
-  parentTaskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required:false,default:null },
+  parentTaskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required:false,default:null }, // the single parent relation (formerly also parentId)
   epicId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue',required:false,default:null },
-  status: { type: String, enum: ['backlog', 'to_do', 'in_progress','in_review','in_testing','done'], default: 'backlog' },
+  status: { type: String, default: 'backlog' }, // validated against the project workflow
   assigneeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
   reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
   priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
   dueDate: { type: Date, required: false },
+  dueReminders: [DueReminderSchema], // see jobs/dueReminderJob.js
   labels: [{ type: String }],
   storyPoints: { type: Number, required: false },
-  attachments: [{ type: String }],
-  votes: { type: Number, default: 0 },
+  attachments: [AttachmentSchema], // downloaded through presigned URLs, see AttachmentService
+  votes: { type: Number, default: 0 }, // kept equal to voters.length by the vote routes
+  voters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }],
   watchers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }],
   sprintId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint' },
   resolution: { type: String, enum: ['Fixed', 'Won\'t Fix', 'Duplicate', 'Incomplete'], required: false },
   resolutionDate: { type: Date, required: false },
   commentCount: { type: Number, default: 0 },
   timeSpent: { type: Number, default: 0 },
-  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required: false },
   priorityLevel: { type: String, enum: ['Critical', 'Major', 'Minor']},
   progress: { type: Number, min: 0, max: 100, default: 0 },
+  // values of the project's custom fields by field key, validated by CustomFieldService
+  customFields: { type: Map, of: mongoose.Schema.Types.Mixed, default: {} },
    issueNumber: { type: Number, default: 1 },
   isDeleted:{type:Boolean,default:false},
+  deletedAt: { type: Date, default: null }, // when the issue went to the trash; purged after the retention period
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  deletedWith: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', default: null }, // set when deleted along with this ancestor
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
+}, {
+  // every save bumps __v and fails when the stored issue has a newer one; __v is the issue's ETag
+  optimisticConcurrency: true,
 });
 
+IssueSchema.index({ keyAliases: 1 });
+IssueSchema.index({ watchers: 1 });
+IssueSchema.index({ projectId: 1, isDeleted: 1, deletedAt: -1 });
+IssueSchema.index({ deletedWith: 1 });
+IssueSchema.index({ 'customFields.$**': 1 });
+IssueSchema.index({ projectId: 1, votes: -1 });
+IssueSchema.index({ projectId: 1, dueDate: 1 });
+IssueSchema.index({ assigneeId: 1, dueDate: 1 });
+// full-text search; matches in the title rank above labels, keys and the description
+IssueSchema.index(
+  { title: 'text', key: 'text', keyAliases: 'text', labels: 'text', description: 'text' },
+  { name: 'issue_text_search', weights: { title: 10, key: 8, keyAliases: 4, labels: 5, description: 2 } }
+);
+IssueSchema.index({ projectId: 1, issueNumber: 1 });
+IssueSchema.index({ parentTaskId: 1 });
+IssueSchema.index({ epicId: 1 });
+
 module.exports = mongoose.model('Issue', IssueSchema);
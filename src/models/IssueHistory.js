@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const IssueHistorySchema = new mongoose.Schema({
+  issueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required: true },
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  // which route made the change, e.g. issue_update, status_update, sprint_start
+  source: { type: String, required: true },
+  changes: [{
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed },
+    newValue: { type: mongoose.Schema.Types.Mixed },
+  }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+// adding indexes
+IssueHistorySchema.index({ issueId: 1, createdAt: -1 });
+IssueHistorySchema.index({ 'changes.field': 1 });
+
+module.exports = mongoose.model('IssueHistory', IssueHistorySchema);
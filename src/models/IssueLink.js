@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Links are stored in one direction only: "source blocks target", "source duplicates target", ...
+// The inverse names (is blocked by, is duplicated by, is cloned by) are derived when reading.
+const IssueLinkSchema = new mongoose.Schema({
+  sourceIssueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required: true },
+  targetIssueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required: true },
+  type: { type: String, enum: ['blocks', 'duplicates', 'relates_to', 'clones'], required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// adding indexes
+IssueLinkSchema.index({ sourceIssueId: 1, targetIssueId: 1, type: 1 }, { unique: true });
+IssueLinkSchema.index({ targetIssueId: 1, type: 1 });
+
+module.exports = mongoose.model('IssueLink', IssueLinkSchema);
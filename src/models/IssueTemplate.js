@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Blueprint of an issue and its subtasks. Titles and descriptions may contain {{placeholders}}
+// that are filled from the variables sent when the issue is created.
+const TemplateSubtaskSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+  labels: [{ type: String }],
+  storyPoints: { type: Number, required: false },
+}, { _id: false });
+
+const IssueTemplateSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  name: { type: String, required: true },
+  summary: { type: String, default: '' }, // what the template is for, shown when picking one
+  issue: {
+    title: { type: String, default: '' },
+    description: { type: String, default: '' },
+    type: { type: String, enum: ['task', 'story', 'epic', 'subtask', 'bug'], default: 'task' },
+    priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+    priorityLevel: { type: String, enum: ['Critical', 'Major', 'Minor'] },
+    labels: [{ type: String }],
+    storyPoints: { type: Number, required: false },
+    customFields: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  subtasks: [TemplateSubtaskSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  isDeleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// adding indexes
+IssueTemplateSchema.index({ projectId: 1, isDeleted: 1, name: 1 });
+
+module.exports = mongoose.model('IssueTemplate', IssueTemplateSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// An entry of a project's label catalog. Issues still store labels by name.
+const LabelSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  name: { type: String, required: true, trim: true },
+  // lowercase name; "UI" and "ui" are the same catalog label
+  normalizedName: { type: String, required: true },
+  color: { type: String, default: '#6B778C' },
+  description: { type: String, default: '' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+LabelSchema.pre('validate', function (next) {
+  if (this.name) this.normalizedName = this.name.trim().toLowerCase();
+  next();
+});
+
+// adding indexes
+LabelSchema.index({ projectId: 1, normalizedName: 1 }, { unique: true });
+
+module.exports = mongoose.model('Label', LabelSchema);
@@ -9,6 +9,18 @@ const projectSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // short uppercase prefix of issue keys (e.g. "KW" for KW-12)
+  key: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  // keys the project had before a rename; issue keys using them still resolve
+  previousKeys: [{ type: String }],
+  // last issue number handed out; incremented atomically when an issue is created
+  issueCounter: {
+    type: Number,
+  },
   ownerId: {
     type: mongoose.Schema.Types.ObjectId,
     required: true,
@@ -26,6 +38,53 @@ const projectSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Backlog',
   }],
+  // per-project issue workflow; when no statuses are configured the default workflow applies
+  workflow: {
+    statuses: [{
+      _id: false,
+      key: { type: String, required: true },
+      name: { type: String, required: true },
+      category: {
+        type: String,
+        enum: ['backlog', 'todo', 'in_progress', 'done'],
+        required: true,
+      },
+    }],
+    transitions: [{
+      _id: false,
+      from: { type: String, required: true }, // '*' allows the move from any status
+      to: { type: String, required: true },
+    }],
+  },
+  // typed fields of the project's issues; values live in Issue.customFields under the field key
+  customFields: [{
+    _id: false,
+    key: { type: String, required: true },
+    name: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'date', 'select', 'multiselect', 'employee'],
+      required: true,
+    },
+    options: [{ type: String }], // choices of select and multiselect fields
+    required: { type: Boolean, default: false },
+    description: { type: String, default: '' },
+  }],
+  // when true, issue labels must come from the project's label catalog
+  restrictLabels: {
+    type: Boolean,
+    default: false,
+  },
+  // bytes of attachment files of the project's issues, trash included until purged (previews not counted)
+  storageUsed: {
+    type: Number,
+    default: 0,
+  },
+  // attachment storage limit in bytes; null uses PROJECT_STORAGE_QUOTA_MB
+  storageQuota: {
+    type: Number,
+    default: null,
+  },
   isDeleted:{
     type:Boolean,
     default:false
@@ -38,13 +97,22 @@ const projectSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+}, {
+  // every save bumps __v and fails when the stored project has a newer one; __v is the project's ETag
+  optimisticConcurrency: true,
 });
 
 // adding indexes
+projectSchema.index({key:1},{unique:true,sparse:true});
+projectSchema.index({previousKeys:1});
 projectSchema.index({status:1});
 projectSchema.index({isDeleted:1});
 projectSchema.index({ownerId:1});
 projectSchema.index({createdAt:1});
 projectSchema.index({updatedAt:1});
+projectSchema.index(
+  {name:'text',key:'text',description:'text'},
+  {name:'project_text_search',weights:{name:10,key:8,description:2}}
+);
 
 module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const SavedFilterSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+  // required when the filter is shared; private filters may span projects
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  // query language text, e.g. status != done AND assignee = me ORDER BY priority DESC
+  query: { type: String, default: '' },
+  columns: [{ type: String }],
+  sortField: { type: String, default: null },
+  sortOrder: { type: String, enum: ['asc', 'desc'], default: 'asc' },
+  visibility: { type: String, enum: ['private', 'project'], default: 'private' },
+  // employees who get the filter's results by email
+  subscriptions: [{
+    _id: false,
+    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+    frequency: { type: String, enum: ['hourly', 'daily', 'weekly'], default: 'daily' },
+    lastSentAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  isDeleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// adding indexes
+SavedFilterSchema.index({ ownerId: 1, isDeleted: 1 });
+SavedFilterSchema.index({ projectId: 1, visibility: 1, isDeleted: 1 });
+SavedFilterSchema.index({ 'subscriptions.employeeId': 1 });
+
+module.exports = mongoose.model('SavedFilter', SavedFilterSchema);
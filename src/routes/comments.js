@@ -0,0 +1,427 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Issue = require('../models/Issue');
+const { getEmployeeById } = require('../services/EmployeeFetchService');
+const { resolveMentions } = require('../services/MentionService');
+const { setSuccessResponse } = require('../utils/sendResponse');
+const { StatusCodes } = require('http-status-codes');
+
+const issueIdValidator = param('issueId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid issue ID');
+
+const commentIdValidator = param('commentId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid comment ID');
+
+// build the nested reply tree for a page of top-level comments
+const buildThreads = (rootComments, replies, authorNames) => {
+  const nodes = new Map();
+  const toNode = (comment) => ({
+    ...comment.toObject(),
+    body: comment.isDeleted ? null : comment.body,
+    // a deleted placeholder shows nothing of what was written
+    ...(comment.isDeleted ? { editHistory: [], mentions: [] } : {}),
+    author: {
+      id: comment.authorId,
+      name: authorNames.get(comment.authorId.toString()),
+    },
+    replies: [],
+  });
+
+  rootComments.forEach(comment => nodes.set(comment._id.toString(), toNode(comment)));
+  replies.forEach(comment => nodes.set(comment._id.toString(), toNode(comment)));
+
+  replies.forEach(comment => {
+    const parent = nodes.get(comment.parentCommentId.toString());
+    if (parent) parent.replies.push(nodes.get(comment._id.toString()));
+  });
+
+  // deleted comments are only kept as placeholders while they still have live replies
+  const prune = (node) => {
+    node.replies = node.replies.filter(prune);
+    return !node.isDeleted || node.replies.length > 0;
+  };
+
+  return rootComments
+    .map(comment => nodes.get(comment._id.toString()))
+    .filter(prune);
+};
+
+/**
+ * @swagger
+ * /issues/{issueId}/comments:
+ *   post:
+ *     summary: Add a comment or a threaded reply to an issue
+ *     description: Mentions are written as @<employeeId> and are resolved against the attendance system.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - authorId
+ *               - body
+ *             properties:
+ *               authorId:
+ *                 type: string
+ *                 example: "686f9952b4c828abca3c51f4"
+ *               body:
+ *                 type: string
+ *                 example: "@686f9952b4c828abca3c51f5 can you take a look?"
+ *               parentCommentId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The comment being replied to (optional)
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Invalid input or unknown mentioned employee
+ *       404:
+ *         description: Issue, author or parent comment not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/',
+  [
+    issueIdValidator,
+    body('authorId').isMongoId().withMessage('Valid authorId is required'),
+    body('body').isString().trim().notEmpty().withMessage('Comment body is required'),
+    body('parentCommentId').optional({ nullable: true }).isMongoId().withMessage('Invalid parent comment ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId } = req.params;
+    const { authorId, body: text, parentCommentId } = req.body;
+
+    try {
+      const issue = await Issue.findById(issueId);
+      if (!issue || issue.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+
+      const author = await getEmployeeById(authorId);
+      if (!author) {
+        return res.status(404).json({ success: false, message: 'author not exists' });
+      }
+
+      let parent = null;
+      if (parentCommentId) {
+        parent = await Comment.findOne({ _id: parentCommentId, issueId });
+        if (!parent || parent.isDeleted) {
+          return res.status(404).json({ success: false, message: 'Parent comment not found' });
+        }
+      }
+
+      const { mentions, unresolved } = await resolveMentions(text);
+      if (unresolved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Mentioned employees not found: ${unresolved.join(', ')}`,
+        });
+      }
+
+      const comment = new Comment({
+        issueId,
+        authorId,
+        body: text,
+        parentCommentId: parent ? parent._id : null,
+        rootCommentId: parent ? (parent.rootCommentId || parent._id) : null,
+        mentions,
+      });
+      await comment.save();
+
+      await Issue.updateOne({ _id: issueId }, { $inc: { commentCount: 1 } });
+
+      return setSuccessResponse(res, StatusCodes.CREATED, true, comment, 'Comment added successfully');
+    } catch (err) {
+      console.error('Error creating comment:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/comments:
+ *   get:
+ *     summary: List the comment threads of an issue
+ *     description: Top-level comments are paginated, each with its full tree of replies.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: Comment threads for the issue
+ *       404:
+ *         description: Issue not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [issueIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  const { issueId } = req.params;
+  const { page = 1, limit = 10, sortOrder = 'asc' } = req.query;
+
+  try {
+    const issue = await Issue.findById(issueId);
+    if (!issue || issue.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+    }
+
+    const rootFilter = { issueId, parentCommentId: null };
+    const skip = (page - 1) * limit;
+    const totalThreads = await Comment.countDocuments(rootFilter);
+    const totalPages = Math.ceil(totalThreads / limit);
+    const hasNext = page < totalPages;
+
+    const rootComments = await Comment.find(rootFilter)
+      .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const replies = await Comment.find({
+      rootCommentId: { $in: rootComments.map(comment => comment._id) },
+    }).sort({ createdAt: 1 });
+
+    // resolve each author once
+    const authorIds = [...new Set([...rootComments, ...replies].map(comment => comment.authorId.toString()))];
+    const authors = await Promise.all(authorIds.map(id => getEmployeeById(id)));
+    const authorNames = new Map(authorIds.map((id, index) => {
+      const user = authors[index]?.data?.user;
+      return [id, user ? [user.first_name, user.last_name].filter(Boolean).join(' ') || null : null];
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: buildThreads(rootComments, replies, authorNames),
+      count: totalThreads,
+      commentCount: issue.commentCount,
+      totalPages,
+      currentPage: page,
+      next: hasNext,
+    });
+  } catch (err) {
+    console.error('Error fetching comments:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueId}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Only the author can edit a comment. The previous body is kept in the edit history.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - authorId
+ *               - body
+ *             properties:
+ *               authorId:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Unknown mentioned employee
+ *       403:
+ *         description: Only the author can edit the comment
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:commentId',
+  [
+    issueIdValidator,
+    commentIdValidator,
+    body('authorId').isMongoId().withMessage('Valid authorId is required'),
+    body('body').isString().trim().notEmpty().withMessage('Comment body is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId, commentId } = req.params;
+    const { authorId, body: text } = req.body;
+
+    try {
+      const comment = await Comment.findOne({ _id: commentId, issueId });
+      if (!comment || comment.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Comment not found' });
+      }
+
+      if (!comment.authorId.equals(authorId)) {
+        return res.status(403).json({ success: false, message: 'Only the author can edit this comment' });
+      }
+
+      if (comment.body === text) {
+        return setSuccessResponse(res, StatusCodes.OK, true, comment, 'Comment unchanged');
+      }
+
+      const { mentions, unresolved } = await resolveMentions(text);
+      if (unresolved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Mentioned employees not found: ${unresolved.join(', ')}`,
+        });
+      }
+
+      comment.editHistory.push({ body: comment.body, editedBy: authorId, editedAt: new Date() });
+      comment.body = text;
+      comment.mentions = mentions;
+      comment.updatedAt = Date.now();
+      await comment.save();
+
+      return setSuccessResponse(res, StatusCodes.OK, true, comment, 'Comment updated successfully');
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/comments/{commentId}:
+ *   delete:
+ *     summary: Soft delete a comment
+ *     description: Replies to a deleted comment stay visible under a placeholder.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - authorId
+ *             properties:
+ *               authorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Only the author can delete the comment
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:commentId',
+  [
+    issueIdValidator,
+    commentIdValidator,
+    body('authorId').isMongoId().withMessage('Valid authorId is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId, commentId } = req.params;
+    const { authorId } = req.body;
+
+    try {
+      const comment = await Comment.findOne({ _id: commentId, issueId });
+      if (!comment || comment.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Comment not found' });
+      }
+
+      if (!comment.authorId.equals(authorId)) {
+        return res.status(403).json({ success: false, message: 'Only the author can delete this comment' });
+      }
+
+      // guard on isDeleted so two concurrent deletes only decrement once
+      const result = await Comment.updateOne(
+        { _id: commentId, isDeleted: false },
+        { isDeleted: true, updatedAt: Date.now() }
+      );
+      if (result.modifiedCount > 0) {
+        await Issue.updateOne({ _id: issueId }, { $inc: { commentCount: -1 } });
+      }
+
+      return setSuccessResponse(res, StatusCodes.OK, true, null, 'Comment deleted successfully');
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
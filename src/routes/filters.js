@@ -0,0 +1,574 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const SavedFilter = require('../models/SavedFilter');
+const Project = require('../models/Project');
+const { getEmployeeById } = require('../services/EmployeeFetchService');
+const { getVisibleProjectIds } = require('../services/ProjectAccessService');
+const { canViewFilter, getFilterForActor, validateFilterQuery } = require('../services/SavedFilterService');
+const { ISSUE_QUERY_FIELDS, resolveSortParam } = require('../utils/queryLanguage');
+const { customFieldQueryResolver } = require('../services/CustomFieldService');
+const { setSuccessResponse } = require('../utils/sendResponse');
+const { getActorId } = require('../utils/requestActor');
+const { StatusCodes } = require('http-status-codes');
+
+const filterIdValidator = param('filterId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid filter ID');
+
+// shared checks for the editable fields of a saved filter; returns an error response body or null
+const validateFilterFields = async ({ query: text, sortField, visibility, projectId }) => {
+  if (visibility === 'project' && !projectId) {
+    return { status: 400, message: 'A projectId is required to share a filter with a project' };
+  }
+  let project = null;
+  if (projectId) {
+    project = await Project.findById(projectId);
+    if (!project || project.isDeleted) {
+      return { status: 404, message: 'Project not found' };
+    }
+  }
+  // custom fields (cf.<key>) are only known for filters of a project
+  if (text !== undefined) {
+    const queryError = validateFilterQuery(text, project);
+    if (queryError) {
+      return { status: 400, message: `Invalid query: ${queryError.message}`, position: queryError.position };
+    }
+  }
+  if (sortField && !resolveSortParam(ISSUE_QUERY_FIELDS, sortField, 'asc', customFieldQueryResolver(project))) {
+    return { status: 400, message: `Cannot sort by '${sortField}'` };
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /filters:
+ *   post:
+ *     summary: Save an issue filter
+ *     description: The query uses the issue query language. Private filters are only visible to their owner; project filters to everyone on the project.
+ *     tags: [Saved Filters]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - ownerId
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "My open UI work"
+ *               ownerId:
+ *                 type: string
+ *                 example: "686f9952b4c828abca3c51f4"
+ *               projectId:
+ *                 type: string
+ *                 description: Required when visibility is project
+ *               query:
+ *                 type: string
+ *                 example: 'status != done AND assignee = me AND labels ~ "ui"'
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["key", "title", "status", "assignee"]
+ *               sortField:
+ *                 type: string
+ *                 example: "priority"
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, project]
+ *     responses:
+ *       201:
+ *         description: Filter saved successfully
+ *       400:
+ *         description: Invalid query, sort field or sharing settings
+ *       404:
+ *         description: Owner or project not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/',
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('ownerId').isMongoId().withMessage('Valid ownerId is required'),
+    body('projectId').optional({ nullable: true }).isMongoId().withMessage('Invalid project ID'),
+    body('query').optional().isString().withMessage('Query must be a string'),
+    body('columns').optional().isArray().withMessage('Columns must be an array'),
+    body('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    body('visibility').optional().isIn(['private', 'project']).withMessage('visibility must be private or project'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const {
+      name,
+      ownerId,
+      projectId = null,
+      query: text = '',
+      columns = [],
+      sortField = null,
+      sortOrder = 'asc',
+      visibility = 'private',
+    } = req.body;
+
+    try {
+      const owner = await getEmployeeById(ownerId);
+      if (!owner) {
+        return res.status(404).json({ success: false, message: 'owner not exists' });
+      }
+
+      const fieldError = await validateFilterFields({ query: text, sortField, visibility, projectId });
+      if (fieldError) {
+        const { status, ...error } = fieldError;
+        return res.status(status).json({ success: false, ...error });
+      }
+
+      const savedFilter = await SavedFilter.create({
+        name,
+        ownerId,
+        projectId,
+        query: text,
+        columns,
+        sortField,
+        sortOrder,
+        visibility,
+      });
+
+      return setSuccessResponse(res, StatusCodes.CREATED, true, savedFilter, 'Filter saved successfully');
+    } catch (err) {
+      console.error('Error saving filter:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /filters:
+ *   get:
+ *     summary: List the saved filters an employee can use
+ *     description: Returns the employee's own filters and the filters shared with projects they own or belong to.
+ *     tags: [Saved Filters]
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: projectId
+ *         description: Only return filters of this project
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved filters
+ *       422:
+ *         description: Missing or invalid actorId
+ *       500:
+ *         description: Server error
+ */
+router.get('/',
+  [
+    query('projectId').optional().isMongoId().withMessage('Invalid project ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const actorId = getActorId(req);
+    if (!actorId) {
+      return res.status(422).json({ success: false, message: 'Valid actorId is required' });
+    }
+    const { projectId } = req.query;
+
+    try {
+      const projectIds = await getVisibleProjectIds(actorId);
+
+      const filterQuery = {
+        isDeleted: false,
+        $or: [
+          { ownerId: actorId },
+          { visibility: 'project', projectId: { $in: projectIds } },
+        ],
+      };
+      if (projectId) filterQuery.projectId = projectId;
+
+      const savedFilters = await SavedFilter.find(filterQuery).sort({ name: 1 });
+
+      return res.status(200).json({ success: true, data: savedFilters });
+    } catch (err) {
+      console.error('Error fetching saved filters:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /filters/{filterId}:
+ *   get:
+ *     summary: Get a saved filter
+ *     tags: [Saved Filters]
+ *     parameters:
+ *       - in: path
+ *         name: filterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved filter
+ *       403:
+ *         description: The filter is not visible to the actor
+ *       404:
+ *         description: Filter not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:filterId', [filterIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { savedFilter, error } = await getFilterForActor(req.params.filterId, getActorId(req));
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    return res.status(200).json({ success: true, data: savedFilter });
+  } catch (err) {
+    console.error('Error fetching saved filter:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /filters/{filterId}:
+ *   put:
+ *     summary: Update a saved filter
+ *     description: Only the owner can change a filter, including its name, query, columns, sort and sharing.
+ *     tags: [Saved Filters]
+ *     parameters:
+ *       - in: path
+ *         name: filterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - actorId
+ *             properties:
+ *               actorId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               projectId:
+ *                 type: string
+ *               query:
+ *                 type: string
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               sortField:
+ *                 type: string
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, project]
+ *     responses:
+ *       200:
+ *         description: Filter updated successfully
+ *       400:
+ *         description: Invalid query, sort field or sharing settings
+ *       403:
+ *         description: Only the owner can change the filter
+ *       404:
+ *         description: Filter or project not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:filterId',
+  [
+    filterIdValidator,
+    body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('projectId').optional({ nullable: true }).isMongoId().withMessage('Invalid project ID'),
+    body('query').optional().isString().withMessage('Query must be a string'),
+    body('columns').optional().isArray().withMessage('Columns must be an array'),
+    body('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+    body('visibility').optional().isIn(['private', 'project']).withMessage('visibility must be private or project'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const actorId = getActorId(req);
+
+    try {
+      const savedFilter = await SavedFilter.findOne({ _id: req.params.filterId, isDeleted: false });
+      if (!savedFilter) {
+        return res.status(404).json({ success: false, message: 'Saved filter not found' });
+      }
+      if (!actorId || !savedFilter.ownerId.equals(actorId)) {
+        return res.status(403).json({ success: false, message: 'Only the owner can change this filter' });
+      }
+
+      const updates = {};
+      ['name', 'projectId', 'query', 'columns', 'sortField', 'sortOrder', 'visibility'].forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      // the stored query and sort field are checked again too: moving the filter to another project
+      // can leave them pointing at custom fields that project doesn't have
+      const fieldError = await validateFilterFields({
+        query: updates.query !== undefined ? updates.query : savedFilter.query,
+        sortField: updates.sortField !== undefined ? updates.sortField : savedFilter.sortField,
+        visibility: updates.visibility || savedFilter.visibility,
+        projectId: updates.projectId !== undefined ? updates.projectId : savedFilter.projectId,
+      });
+      if (fieldError) {
+        const { status, ...error } = fieldError;
+        return res.status(status).json({ success: false, ...error });
+      }
+
+      Object.assign(savedFilter, updates);
+      savedFilter.updatedAt = Date.now();
+
+      // subscribers who lost access through a sharing change stop receiving the filter
+      const subscriptions = [];
+      for (const subscription of savedFilter.subscriptions) {
+        if (await canViewFilter(savedFilter, subscription.employeeId)) subscriptions.push(subscription);
+      }
+      savedFilter.subscriptions = subscriptions;
+
+      await savedFilter.save();
+
+      return setSuccessResponse(res, StatusCodes.OK, true, savedFilter, 'Filter updated successfully');
+    } catch (err) {
+      console.error('Error updating saved filter:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /filters/{filterId}:
+ *   delete:
+ *     summary: Delete a saved filter
+ *     tags: [Saved Filters]
+ *     parameters:
+ *       - in: path
+ *         name: filterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Filter deleted successfully
+ *       403:
+ *         description: Only the owner can delete the filter
+ *       404:
+ *         description: Filter not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:filterId', [filterIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  const actorId = getActorId(req);
+
+  try {
+    const savedFilter = await SavedFilter.findOne({ _id: req.params.filterId, isDeleted: false });
+    if (!savedFilter) {
+      return res.status(404).json({ success: false, message: 'Saved filter not found' });
+    }
+    if (!actorId || !savedFilter.ownerId.equals(actorId)) {
+      return res.status(403).json({ success: false, message: 'Only the owner can delete this filter' });
+    }
+
+    savedFilter.isDeleted = true;
+    savedFilter.updatedAt = Date.now();
+    await savedFilter.save();
+
+    return setSuccessResponse(res, StatusCodes.OK, true, null, 'Filter deleted successfully');
+  } catch (err) {
+    console.error('Error deleting saved filter:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /filters/{filterId}/subscriptions:
+ *   post:
+ *     summary: Subscribe an employee to a saved filter
+ *     description: The employee gets the filter's results by email on the chosen schedule. Subscribing again changes the frequency.
+ *     tags: [Saved Filters]
+ *     parameters:
+ *       - in: path
+ *         name: filterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - employeeId
+ *             properties:
+ *               employeeId:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [hourly, daily, weekly]
+ *                 default: daily
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       403:
+ *         description: The filter is not visible to the employee
+ *       404:
+ *         description: Filter or employee not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:filterId/subscriptions',
+  [
+    filterIdValidator,
+    body('employeeId').isMongoId().withMessage('Valid employeeId is required'),
+    body('frequency').optional().isIn(['hourly', 'daily', 'weekly']).withMessage('frequency must be hourly, daily or weekly'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { employeeId, frequency = 'daily' } = req.body;
+
+    try {
+      const { savedFilter, error } = await getFilterForActor(req.params.filterId, employeeId);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      const employee = await getEmployeeById(employeeId);
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'employee not exists' });
+      }
+
+      const existing = savedFilter.subscriptions.find(item => item.employeeId.equals(employeeId));
+      if (existing) {
+        existing.frequency = frequency;
+      } else {
+        savedFilter.subscriptions.push({ employeeId, frequency });
+      }
+      await savedFilter.save();
+
+      return setSuccessResponse(res, StatusCodes.CREATED, true, savedFilter.subscriptions, 'Subscribed to filter successfully');
+    } catch (err) {
+      console.error('Error subscribing to saved filter:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /filters/{filterId}/subscriptions/{employeeId}:
+ *   delete:
+ *     summary: Unsubscribe an employee from a saved filter
+ *     tags: [Saved Filters]
+ *     parameters:
+ *       - in: path
+ *         name: filterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed successfully
+ *       404:
+ *         description: Filter or subscription not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:filterId/subscriptions/:employeeId',
+  [
+    filterIdValidator,
+    param('employeeId').isMongoId().withMessage('Invalid employee ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { filterId, employeeId } = req.params;
+
+    try {
+      const result = await SavedFilter.updateOne(
+        { _id: filterId, isDeleted: false, 'subscriptions.employeeId': employeeId },
+        { $pull: { subscriptions: { employeeId } } }
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ success: false, message: 'Subscription not found' });
+      }
+
+      return setSuccessResponse(res, StatusCodes.OK, true, null, 'Unsubscribed from filter successfully');
+    } catch (err) {
+      console.error('Error unsubscribing from saved filter:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const IssueLink = require('../models/IssueLink');
+const Issue = require('../models/Issue');
+const { LINK_TYPES, normalizeLink, describeLink, findCycle } = require('../services/IssueLinkService');
+const { setSuccessResponse } = require('../utils/sendResponse');
+const { getActorId } = require('../utils/requestActor');
+const { StatusCodes } = require('http-status-codes');
+
+const issueIdValidator = param('issueId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid issue ID');
+
+/**
+ * @swagger
+ * /issues/{issueId}/links:
+ *   post:
+ *     summary: Link an issue to another issue
+ *     description: Blocking and duplicate links that would create a cycle are rejected.
+ *     tags: [Issue Links]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - targetIssueId
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [blocks, is_blocked_by, duplicates, is_duplicated_by, relates_to, clones, is_cloned_by]
+ *                 example: "blocks"
+ *               targetIssueId:
+ *                 type: string
+ *                 example: "6883827aab4b55d6f0afddad"
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Link created successfully
+ *       400:
+ *         description: Invalid link or the link would create a cycle
+ *       404:
+ *         description: Issue not found
+ *       409:
+ *         description: The link already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/',
+  [
+    issueIdValidator,
+    body('type').isIn(Object.keys(LINK_TYPES)).withMessage('Invalid link type'),
+    body('targetIssueId').isMongoId().withMessage('Valid targetIssueId is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId } = req.params;
+    const { type, targetIssueId } = req.body;
+
+    try {
+      if (issueId === targetIssueId) {
+        return res.status(400).json({ success: false, message: 'An issue cannot be linked to itself' });
+      }
+
+      const [issue, target] = await Promise.all([Issue.findById(issueId), Issue.findById(targetIssueId)]);
+      if (!issue || issue.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+      if (!target || target.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Target issue not found' });
+      }
+
+      const link = normalizeLink(type, issue._id, target._id);
+
+      const existing = await IssueLink.findOne(link);
+      if (existing) {
+        return res.status(409).json({ success: false, message: 'These issues are already linked this way' });
+      }
+
+      const cycle = await findCycle(link.type, link.sourceIssueId, link.targetIssueId);
+      if (cycle) {
+        const cycleIssues = await Issue.find({ _id: { $in: cycle } }, 'key');
+        const keys = new Map(cycleIssues.map(item => [item._id.toString(), item.key]));
+        return res.status(400).json({
+          success: false,
+          message: `This link would create a '${link.type}' cycle: ${cycle.map(id => keys.get(id) || id).join(' -> ')}`,
+          cycle,
+        });
+      }
+
+      const created = await IssueLink.create({ ...link, createdBy: getActorId(req) });
+
+      return setSuccessResponse(res, StatusCodes.CREATED, true, created, 'Issues linked successfully');
+    } catch (err) {
+      console.error('Error linking issues:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/links:
+ *   get:
+ *     summary: List the links of an issue
+ *     description: Each link is described from this issue's point of view (e.g. is_blocked_by).
+ *     tags: [Issue Links]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Links of the issue
+ *       404:
+ *         description: Issue not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [issueIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  const { issueId } = req.params;
+
+  try {
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+    }
+
+    const links = await IssueLink.find({
+      $or: [{ sourceIssueId: issue._id }, { targetIssueId: issue._id }],
+    }).sort({ createdAt: 1 });
+
+    const otherIds = links.map(link =>
+      link.sourceIssueId.equals(issue._id) ? link.targetIssueId : link.sourceIssueId
+    );
+    const others = await Issue.find({ _id: { $in: otherIds } }, 'key title status isDeleted');
+    const othersById = new Map(others.map(other => [other._id.toString(), other]));
+
+    const data = links
+      .map((link, index) => ({ link, other: othersById.get(otherIds[index].toString()) }))
+      .filter(({ other }) => other && !other.isDeleted)
+      .map(({ link, other }) => ({
+        _id: link._id,
+        type: describeLink(link, issue._id),
+        issue: { id: other._id, key: other.key, title: other.title, status: other.status },
+        createdBy: link.createdBy,
+        createdAt: link.createdAt,
+      }));
+
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    console.error('Error fetching issue links:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueId}/links/{linkId}:
+ *   delete:
+ *     summary: Remove a link between two issues
+ *     tags: [Issue Links]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link removed successfully
+ *       404:
+ *         description: Link not found
+ *       409:
+ *         description: The link is the only one backing a 'Duplicate' resolution
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:linkId',
+  [
+    issueIdValidator,
+    param('linkId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid link ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId, linkId } = req.params;
+
+    try {
+      const link = await IssueLink.findOne({
+        _id: linkId,
+        $or: [{ sourceIssueId: issueId }, { targetIssueId: issueId }],
+      });
+      if (!link) {
+        return res.status(404).json({ success: false, message: 'Link not found' });
+      }
+
+      // a duplicate must keep pointing at its original
+      if (link.type === 'duplicates') {
+        const duplicate = await Issue.findById(link.sourceIssueId);
+        const otherDuplicateLinks = await IssueLink.countDocuments({
+          _id: { $ne: link._id },
+          type: 'duplicates',
+          sourceIssueId: link.sourceIssueId,
+        });
+        if (duplicate && duplicate.resolution === 'Duplicate' && otherDuplicateLinks === 0) {
+          return res.status(409).json({
+            success: false,
+            message: "Issue is resolved as 'Duplicate'; change its resolution before removing the link to the original",
+          });
+        }
+      }
+
+      await link.deleteOne();
+
+      return setSuccessResponse(res, StatusCodes.OK, true, null, 'Link removed successfully');
+    } catch (err) {
+      console.error('Error removing issue link:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,11 +4,41 @@ const Issue = require('../models/Issue');
 const { body,param,validationResult } = require('express-validator');
 const { getEmployeeById } = require('../services/EmployeeFetchService');
 const Project = require('../models/Project');
+const Sprint = require('../models/Sprint');
 const {setSuccessResponse} = require("../utils/sendResponse");
 const { StatusCodes } = require('http-status-codes');
 const mongoose= require("mongoose");
 const { upload, parseCSV } = require('../middleware/csvUploadMiddleware');
 const uploadFiles = require('../middleware/uploadFiles');
+const IssueHistory = require('../models/IssueHistory');
+const IssueTemplate = require('../models/IssueTemplate');
+const { snapshotIssue, diffSnapshots, recordIssueChanges, recordBulkChanges } = require('../services/IssueHistoryService');
+const { getActorId } = require('../utils/requestActor');
+const { getWorkflow, getInitialStatus } = require('../services/WorkflowService');
+const { allocateIssueKey, findIssueByKey } = require('../services/ProjectKeyService');
+const { findSorted, cursorSorted } = require('../utils/queryLanguage');
+const { resolveIssueListQuery, describeView } = require('../services/SavedFilterService');
+const { getAncestors, buildIssueTree, MAX_TREE_DEPTH } = require('../services/IssueHierarchyService');
+const { createUpdateContext, prepareIssueChanges, applyIssueChanges } = require('../services/IssueUpdateService');
+const { checkIssueLabels } = require('../services/LabelService');
+const { validateCustomFieldValues } = require('../services/CustomFieldService');
+const { createIssuesFromTemplate } = require('../services/IssueTemplateService');
+const { cloneIssue, moveIssue } = require('../services/IssueTransferService');
+const { trashIssue, restoreIssue, getPurgeDate, getRetentionDays } = require('../services/IssueTrashService');
+const { setEntityTag, matchesIfMatch, isVersionError, conflictResponse, concurrentEditResponse } = require('../utils/concurrency');
+const { EXPORT_FORMATS, streamIssueExport } = require('../services/IssueExportService');
+const { IMPORT_ROW_LIMIT, parseColumnMapping, planImport, describeImport, commitImport } = require('../services/IssueImportService');
+const { attachmentFromUpload, describeAttachments, verifyLocalDownload, deleteAttachmentFiles } = require('../services/AttachmentService');
+const { queuePreviews } = require('../services/AttachmentPreviewService');
+const { reserveStorage, releaseStorage, attachmentBytes } = require('../services/StorageQuotaService');
+const { DEFAULT_DUE_SOON_DAYS, parseDueDate, dueListFilter, setReminderSnooze } = require('../services/DueDateService');
+
+// bulk edits touch at most this many issues per request
+const BULK_EDIT_LIMIT = 500;
+const BULK_EDIT_FIELDS = ['status', 'assigneeId', 'priority', 'priorityLevel', 'labels', 'customFields', 'sprintId', 'resolution'];
+
+// makes signed local attachment URLs absolute
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
 
 // Create Issue Route
 /**
@@ -80,6 +110,18 @@ const uploadFiles = require('../middleware/uploadFiles');
  *                 enum: [Critical, Major, Minor]
  *                 description: Priority level of the issue
  *                 example: "Minor"
+ *               labels:
+ *                 type: string
+ *                 description: Comma-separated labels; checked against the label catalog when the project restricts labels
+ *                 example: "frontend,login"
+ *               customFields:
+ *                 type: string
+ *                 description: JSON object of the project's custom field values by key
+ *                 example: '{"environment":"staging","billable":"yes"}'
+ *               dueDate:
+ *                 type: string
+ *                 description: Due date (YYYY-MM-DD, due at the end of that day UTC) or date-time
+ *                 example: "2024-06-30"
  *     responses:
  *       201:
  *         description: Issue created successfully
@@ -114,6 +156,10 @@ const uploadFiles = require('../middleware/uploadFiles');
  *                         type: string
  *                       location:
  *                         type: string
+ *       413:
+ *         description: The attachments would exceed the project's storage quota
+ *       415:
+ *         description: An attachment type is not allowed or its extension does not match its content
  *       500:
  *         description: Server error
  *         content:
@@ -181,6 +227,11 @@ const uploadFiles = require('../middleware/uploadFiles');
  *           - medium
  *           - high
  *         example: "high"
+ *       dueDate:
+ *         type: string
+ *         format: date-time
+ *         description: When the issue is due; the assignee and watchers get reminders before and after it
+ *         example: "2024-06-30T23:59:59.999Z"
  *       createdAt:
  *         type: string
  *         format: date-time
@@ -206,8 +257,14 @@ router.post(
     body('reporterId').isMongoId().withMessage('Valid reporterId is required'),
   ],
   async (req, res) => {
+    // files are already stored (S3 or uploads/) by the upload middleware; every refusal deletes them again
+    const attachments = (req.files || []).map(file => attachmentFromUpload(file, getActorId(req)));
+    let reservation = null;
+    let saved = false;
+
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await deleteAttachmentFiles(attachments);
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
@@ -215,33 +272,44 @@ router.post(
     if (req.body.parentTaskId === "") req.body.parentTaskId = null;
     if (req.body.epicId === "") req.body.epicId = null;
 
-    const { projectId, title, description, type, parentTaskId, epicId, assigneeId, reporterId, priority,priorityLevel } = req.body;
+    const { projectId, title, description, type, parentTaskId, epicId, assigneeId, reporterId, priority,priorityLevel, labels } = req.body;
+    let { customFields } = req.body;
+    const checkedDueDate = parseDueDate(req.body.dueDate);
+    if (checkedDueDate.error) {
+      await deleteAttachmentFiles(attachments);
+      return res.status(400).json({ success: false, message: checkedDueDate.error });
+    }
 
     try {
         // check for duplicate issues
         const existingIssue = await Issue.findOne({title:title,projectId:projectId});
         if(existingIssue){
+          await deleteAttachmentFiles(attachments);
           return res.status(409).json({success:false, message:"Issue already exists for the same project"});
         }
         // check if project exists
         const project= await Project.findById(projectId);
         if(!project){
+            await deleteAttachmentFiles(attachments);
             return res.status(404).json({ success: false, message: 'Project not found' });
         }
         // prevent same assigneeId and reporterId insertion
         if(assigneeId===reporterId){
+           await deleteAttachmentFiles(attachments);
            return res.status(400).json({success:false, message:"assigneeId and reporterId can't be same"});
         }
 
         // check if assignee exists
         const assignee = await getEmployeeById(assigneeId);
         if(!assignee){
+            await deleteAttachmentFiles(attachments);
             return res.status(404).json({success:false,message:'assignee not exists'});
         }
 
         // check if repoter exists
         const repoter = await getEmployeeById(reporterId);
         if(!repoter){
+            await deleteAttachmentFiles(attachments);
             return res.status(404).json({success:false,message:'reporter not found'});
         }
 
@@ -249,6 +317,7 @@ router.post(
       if (parentTaskId) {
         const parentTask = await Issue.findById(parentTaskId);
         if (!parentTask) {
+          await deleteAttachmentFiles(attachments);
           return res.status(404).json({ success: false, message: 'Parent task not found' });
         }
       }
@@ -257,36 +326,82 @@ router.post(
       if (epicId) {
         const epic = await Issue.findById(epicId);
         if (!epic) {
+          await deleteAttachmentFiles(attachments);
           return res.status(404).json({ success: false, message: 'Epic not found' });
         }
       }
 
-       const lastIssue = await Issue.find({ projectId }).sort({ issueNumber: -1 }).limit(1);
-    const nextIssueNumber = lastIssue.length > 0 ? lastIssue[0].issueNumber + 1 : 1;
+      // projects that restrict their labels only accept labels from the catalog
+      const checkedLabels = await checkIssueLabels(project, labels);
+      if (checkedLabels.error) {
+        await deleteAttachmentFiles(attachments);
+        const { status: httpStatus, ...error } = checkedLabels.error;
+        return res.status(httpStatus).json({ success: false, ...error });
+      }
+
+      // custom field values arrive as JSON text in form data
+      if (typeof customFields === 'string') {
+        try {
+          customFields = JSON.parse(customFields);
+        } catch (err) {
+          await deleteAttachmentFiles(attachments);
+          return res.status(400).json({ success: false, message: 'customFields must be a JSON object' });
+        }
+      }
+      const checkedFields = await validateCustomFieldValues(project, customFields);
+      if (checkedFields.error) {
+        await deleteAttachmentFiles(attachments);
+        const { status: httpStatus, ...error } = checkedFields.error;
+        return res.status(httpStatus).json({ success: false, ...error });
+      }
+
+      // the files count against the project's storage quota
+      const attachmentSize = attachmentBytes(attachments);
+      if (attachmentSize > 0) {
+        const reserved = await reserveStorage(project._id, attachmentSize);
+        if (reserved.error) {
+          await deleteAttachmentFiles(attachments);
+          const { status: httpStatus, ...error } = reserved.error;
+          return res.status(httpStatus).json({ success: false, ...error });
+        }
+        reservation = { projectId: project._id, bytes: attachmentSize };
+      }
 
-    // handle file attachments
-    const attachmentUrls = req.files ? req.files.map(file => file.path) : [];
+      // numbers come from the project's atomic counter so concurrent creates never collide
+      const { issueNumber, key } = await allocateIssueKey(project);
       const issue = new Issue({
+        key,
         projectId,
         title,
         description,
         type,
-        issueNumber: nextIssueNumber, 
+        issueNumber,
+        status: getInitialStatus(getWorkflow(project)),
         parentTaskId,
         epicId,
         assigneeId,
         reporterId,
         priority,
         priorityLevel,
-        attachments: attachmentUrls,
+        dueDate: checkedDueDate.dueDate,
+        labels: checkedLabels.labels,
+        customFields: checkedFields.customFields,
+        attachments,
       });
 
-      issue.key = `${project.name.slice(0, 3).toUpperCase()}-${issue.issueNumber}`;
       await issue.save();
+      saved = true;
+      await recordIssueChanges(issue, snapshotIssue(), { actorId: getActorId(req), source: 'issue_create' });
+      queuePreviews(issue._id, issue.attachments);
 
       return setSuccessResponse(res,StatusCodes.CREATED,true,issue,"Issue created successfully");
     } catch (err) {
       console.error('Error creating issue:', err);
+      // a failure after the save leaves the issue and its files in place
+      if (!saved) {
+        if (reservation) await releaseStorage(reservation.projectId, reservation.bytes);
+        await deleteAttachmentFiles(attachments);
+      }
       return res.status(500).json({ success: false, message: 'Server error' });
     }
   }
@@ -297,8 +412,21 @@ router.post(
  * @swagger
  * /issues/bulk-create:
  *   post:
- *     summary: Bulk create issues from CSV file
- *     description: Upload a CSV file containing multiple issues to create them in bulk.
+ *     summary: Import issues from a CSV file
+ *     description: |
+ *       Every row is validated before anything is written, and the import is all or nothing: when a row has
+ *       errors no issue is created or changed and the response (422) lists the problems of each row.
+ *       With `dryRun=true` only the validation report is returned.
+ *
+ *       Columns: key, projectId, title, description, type, status, priority, priorityLevel, assigneeId,
+ *       reporterId, parent, epic, labels (comma separated), storyPoints, dueDate and `cf.<key>` for custom fields.
+ *       `parentTaskId`/`parentId` and `epicId` are accepted for `parent` and `epic`. Other columns are ignored
+ *       (listed in `ignoredColumns`); use `mapping` to import files with other column names.
+ *
+ *       Rows whose `key` matches an existing issue update it; empty cells leave fields unchanged. Other rows
+ *       create issues. `parent` and `epic` take an issue id, an issue key or `#<row>` for another row of the
+ *       file (spreadsheet row number, the header is row 1). Files exported by `GET /issues/export/{projectId}`
+ *       can be imported again.
  *     tags:
  *       - Issues
  *     requestBody:
@@ -307,14 +435,30 @@ router.post(
  *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - file
  *             properties:
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: CSV file with issue details (projectId, title, description, etc.)
+ *                 description: CSV file with a header row, at most 1000 rows
+ *               projectId:
+ *                 type: string
+ *                 description: Project of rows without a projectId column
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of CSV column to field; map a column to null to ignore it
+ *                 example: '{"Summary": "title", "Details": "description", "Assignee ID": "assigneeId", "Parent": "parent", "Environment": "cf.environment"}'
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *               actorId:
+ *                 type: string
  *     responses:
+ *       200:
+ *         description: Dry run validation report
  *       201:
- *         description: Issues created successfully
+ *         description: Issues imported; `data` holds the created issues and `updated` the updated ones
  *         content:
  *           application/json:
  *             schema:
@@ -325,67 +469,58 @@ router.post(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Issues created successfully"
- *                 data:
+ *                   example: "Issues imported successfully"
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     rows:
+ *                       type: integer
+ *                     create:
+ *                       type: integer
+ *                     update:
+ *                       type: integer
+ *                     errors:
+ *                       type: integer
+ *                 rows:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       projectId:
- *                         type: string
- *                       title:
+ *                       row:
+ *                         type: integer
+ *                       action:
  *                         type: string
- *                       description:
- *                         type: string
- *                       type:
- *                         type: string
- *                       assigneeId:
- *                         type: string
- *                       reporterId:
- *                         type: string
- *                       priority:
- *                         type: string
- *                       status:
+ *                         enum: [create, update, error]
+ *                       key:
  *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       warnings:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 ignoredColumns:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 updated:
+ *                   type: array
+ *                   items:
+ *                     type: object
  *       400:
- *         description: Invalid or missing file or invalid data in CSV
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: "No file uploaded"
- *       404:
- *         description: Project, assignee, reporter, or other references not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: "Project with ID 123 not found"
+ *         description: Missing or empty file, too many rows or an invalid mapping
+ *       422:
+ *         description: Some rows have errors; nothing was imported. The body has the same report as a dry run.
+ *       415:
+ *         description: The file is not a CSV file
  *       500:
  *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: "Server error"
  */
 router.post("/bulk-create", upload, async (req, res) => {
   try {
@@ -393,296 +528,2354 @@ router.post("/bulk-create", upload, async (req, res) => {
       return res.status(400).json({ success: false, message: "No file uploaded" });
     }
 
-    // Parse the CSV file to get issue data
-    const issues = await parseCSV(req.file.path);
-    // console.log("========issues from CSV=============", issues);
-
-    const createdIssues = [];
-    
-    for (const issueData of issues) {
-      const {
-        projectId,
-        title,
-        description,
-        type,
-        assigneeId,
-        reporterId,
-        priority,
-        status,
-        labels = [],
-        attachments = [],
-        votes = 0,
-        watchers = [],
-        timeSpent = 0,
-        parentId = null,
-        priorityLevel = 'Major',
-        progress = 0,
-      } = issueData;
-
-      // Validate project
-      const project = await Project.findById(projectId);
-      if (!project) {
-        return res.status(404).json({ success: false, message: `Project with ID ${projectId} not found` });
-      }
-
-      // Check if assignee and reporter exist and are not the same
-      const assignee = await getEmployeeById(assigneeId);
-      if (!assignee || !assignee.data || !assignee.data.profile.emp_id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid assigneeId. No matching employee found in attendance system.',
-        });
-      }
-
-      const reporter = await getEmployeeById(reporterId);
-      if (!reporter || !reporter.data || !reporter.data.profile.emp_id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid reporterId. No matching employee found in attendance system.',
-        });
-      }
-
-      if (assigneeId === reporterId) {
-        return res.status(400).json({ success: false, message: "Assignee and Reporter cannot be the same" });
-      }
+    // Parse the CSV file to get issue data; the upload is removed afterwards
+    const rows = await parseCSV(req.file.path);
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: "The CSV file has no rows" });
+    }
+    if (rows.length > IMPORT_ROW_LIMIT) {
+      return res.status(400).json({ success: false, message: `At most ${IMPORT_ROW_LIMIT} rows can be imported at once` });
+    }
 
-      // Get the latest issue number for the project
-      const latestIssue = await Issue.findOne({ projectId }).sort({ issueNumber: -1 }).exec();
-      const issueNumber = latestIssue ? latestIssue.issueNumber + 1 : 1; // Start at 1 if no issues exist
+    const { mapping, error } = parseColumnMapping(req.body.mapping);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
 
-      // Generate the issue key based on the project and issue number
-      const projectKey = project.name.slice(0, 3).toUpperCase();  // Example: "PRO"
-      const key = `${projectKey}-${issueNumber}`;
+    const plan = await planImport(rows, { projectId: req.body.projectId, mapping });
+    const report = describeImport(plan);
 
-      // Create new issue based on CSV data and generate key
-      const issue = new Issue({
-        key, // Assign dynamically generated key
-        projectId,
-        title,
-        description,
-        type,
-        assigneeId,
-        reporterId,
-        priority,
-        status,
-        labels,
-        attachments,
-        votes,
-        watchers,
-        timeSpent,
-        parentId,
-        priorityLevel,
-        progress,
-        issueNumber,
+    const dryRun = [req.body.dryRun, req.query.dryRun].some(value => value === true || value === 'true');
+    if (dryRun) {
+      return res.status(200).json({ success: true, dryRun: true, message: 'Nothing was imported (dry run)', ...report });
+    }
+    if (report.summary.errors > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `No issues were imported: ${report.summary.errors} row(s) have errors`,
+        ...report,
       });
-
-      await issue.save();
-      createdIssues.push(issue);
     }
 
+    const { created, updated } = await commitImport(plan, { actorId: getActorId(req) });
+
     return res.status(201).json({
       success: true,
-      message: "Issues created successfully",
-      data: createdIssues,
+      message: "Issues imported successfully",
+      ...report,
+      data: created,
+      updated,
     });
   } catch (err) {
+    if (isVersionError(err)) {
+      return res.status(409).json(concurrentEditResponse('Issue'));
+    }
     console.error("Error during bulk issue creation:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Get Issues by Project Route
+// Create Issue from Template Route
 /**
  * @swagger
- * /issues/{projectId}:
- *   get:
- *     summary: Get all issues for a specific project
+ * /issues/from-template/{templateId}:
+ *   post:
+ *     summary: Create an issue and its subtasks from a template
+ *     description: |
+ *       Creates the template's issue and one subtask per template subtask, with consecutive keys and the subtasks'
+ *       parentTaskId set to the new issue. `{{placeholders}}` in titles and descriptions are filled from `variables`.
+ *       Nothing is created when any check fails.
  *     tags: [Issues]
  *     parameters:
  *       - in: path
- *         name: projectId
+ *         name: templateId
  *         required: true
- *         description: The ID of the project to fetch issues for
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assigneeId
+ *               - reporterId
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Overrides the template title
+ *               description:
+ *                 type: string
+ *                 description: Overrides the template description
+ *               assigneeId:
+ *                 type: string
+ *               reporterId:
+ *                 type: string
+ *               epicId:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *                 example: { "page": "Pricing" }
+ *               customFields:
+ *                 type: object
+ *                 description: Custom field values, merged over the template's
+ *               actorId:
+ *                 type: string
  *     responses:
- *       200:
- *         description: List of issues for the project
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       projectId:
- *                         type: string
- *                       title:
- *                         type: string
- *                       description:
- *                         type: string
- *                       type:
- *                         type: string
- *                         enum: ['task', 'story', 'epic', 'subtask', 'bug']
- *                       status:
- *                         type: string
- *                         enum: ['backlog', 'to_do', 'in_progress', 'done']
- *                       assigneeId:
- *                         type: string
- *                       reporterId:
- *                         type: string
- *                       priority:
- *                         type: string
- *                         enum: ['low', 'medium', 'high']
- *                       createdAt:
- *                         type: string
- *                         format: date-time
- *                       updatedAt:
- *                         type: string
- *                         format: date-time
+ *       201:
+ *         description: Issue and subtasks created successfully
+ *       400:
+ *         description: Missing title or description, or invalid labels or custom fields
  *       404:
- *         description: No issues found for the project
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: No issues found for the project
+ *         description: Template, project, employee or epic not found
+ *       409:
+ *         description: An issue with the same title already exists in the project
+ *       422:
+ *         description: Invalid request body
  *       500:
  *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: Server error
  */
-router.get('/:projectId', async (req, res) => {
-  const { projectId } = req.params;
-  const {
-    page=1,
-    limit=10,
-    search,
-    filter,
-    sort='createdAT',
-    sortOrder='asc'
-  } = req.query
-
-  try {
-    // Find all issues linked to the project (task, story, epic, subtask, bug)
-    // const issues = await Issue.find({ projectId });
+router.post('/from-template/:templateId',
+  [
+    param('templateId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid template ID'),
+    body('assigneeId').isMongoId().withMessage('Valid assigneeId is required'),
+    body('reporterId').isMongoId().withMessage('Valid reporterId is required'),
+    body('epicId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid epic ID'),
+    body('variables').optional().isObject().withMessage('variables must be an object'),
+    body('customFields').optional().isObject().withMessage('customFields must be an object'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
 
-    // if (!issues || issues.length === 0) {
-    //   return res.status(404).json({ success: false, message: 'No issues found for the project' });
-    // }
+    const { title, description, assigneeId, reporterId, epicId, variables, customFields } = req.body;
 
-    //  prepare filter object
-    const issueFilter = {projectId};
-     issueFilter.isDeleted = false;
+    try {
+      const template = await IssueTemplate.findOne({ _id: req.params.templateId, isDeleted: false });
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Template not found' });
+      }
+      const project = await Project.findById(template.projectId);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
 
-    if(search){
-      const searchRegex= new RegExp(search,'i');
-      issueFilter.$or=[
-        {title:{$regex:searchRegex}},
-        {description:{$regex:searchRegex}}
-      ]
-    }
-
-    // Handle additional filters
-    if (filter) {
-      try {
-        const parsedFilter = JSON.parse(filter);  
-        Object.assign(issueFilter, parsedFilter);  
-      } catch (err) {
-        return res.status(400).json({ success: false, message: 'Invalid filter format' });
+      const created = await createIssuesFromTemplate(template, project, {
+        title,
+        description,
+        assigneeId,
+        reporterId,
+        epicId,
+        variables,
+        customFields,
+        actorId: getActorId(req),
+      });
+      if (created.error) {
+        const { status: httpStatus, ...error } = created.error;
+        return res.status(httpStatus).json({ success: false, ...error });
       }
-    }
 
-    // Prepare sorting object
-    const sortObject = {};
-    if (sort && sortOrder) {
-      sortObject[sort] = sortOrder === 'desc' ? -1 : 1; 
+      return setSuccessResponse(res, StatusCodes.CREATED, true, {
+        issue: created.parent,
+        subtasks: created.subtasks,
+      }, `Issue created from template '${template.name}' with ${created.subtasks.length} subtask(s)`);
+    } catch (err) {
+      console.error('Error creating issue from template:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
     }
+  }
+);
 
-    // Pagination
-    const skip = (page - 1) * limit;
-    const totalIssues = await Issue.countDocuments(issueFilter); 
-    const totalPages = Math.ceil(totalIssues / limit);  
+// Get Issue by Key Route
+/**
+ * @swagger
+ * /issues/key/{issueKey}:
+ *   get:
+ *     summary: Get an issue by its key
+ *     description: |
+ *       Keys issued before a project key rename still resolve; the response then reports the current key in `currentKey`.
+ *       The ETag header carries the issue version (`__v`) to send back in If-Match when updating the issue.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "KW-12"
+ *     responses:
+ *       200:
+ *         description: Issue found
+ *         headers:
+ *           ETag:
+ *             description: Version of the issue
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Issue not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/key/:issueKey', async (req, res) => {
+  try {
+    const issue = await findIssueByKey(req.params.issueKey);
+    if (!issue || issue.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+    }
 
-    // Check if there's next page
-    const hasNext = page < totalPages;
+    setEntityTag(res, issue);
+    return res.status(200).json({
+      success: true,
+      data: { ...issue.toObject(), attachments: await describeAttachments(issue.attachments, { baseUrl: requestBaseUrl(req) }) },
+      currentKey: issue.key,
+      renamed: issue.key !== String(req.params.issueKey).trim().toUpperCase(),
+    });
+  } catch (err) {
+    console.error('Error fetching issue by key:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Fetch issues with applied filters, pagination, and sorting
+// Watched Issues Route
+/**
+ * @swagger
+ * /issues/watching:
+ *   get:
+ *     summary: Get the issues the caller watches
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: projectId
+ *         description: Only issues of this project
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Watched issues, most recently updated first
+ *       422:
+ *         description: Missing actorId or invalid project ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/watching', async (req, res) => {
+  const actorId = getActorId(req);
+  if (!actorId) {
+    return res.status(422).json({ success: false, message: 'Valid actorId is required' });
+  }
+  const { projectId } = req.query;
+  if (projectId && !mongoose.Types.ObjectId.isValid(projectId)) {
+    return res.status(422).json({ success: false, message: 'Invalid project ID' });
+  }
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+
+  try {
+    const issueFilter = { watchers: actorId, isDeleted: false };
+    if (projectId) issueFilter.projectId = projectId;
+
+    const totalIssues = await Issue.countDocuments(issueFilter);
+    const totalPages = Math.ceil(totalIssues / limit);
     const issues = await Issue.find(issueFilter)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort(sortObject);
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
 
-    // Fetch assignee and reporter details and include them in the response
-    const issuesWithUserDetails = await Promise.all(issues.map(async (issue) => {
-      const assignee = await getEmployeeById(issue.assigneeId);
-      const reporter = await getEmployeeById(issue.reporterId);
+    return res.status(200).json({
+      success: true,
+      data: issues,
+      count: totalIssues,
+      totalPages,
+      currentPage: page,
+      next: page < totalPages,
+    });
+  } catch (err) {
+    console.error('Error fetching watched issues:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Most Voted Issues Route
+/**
+ * @swagger
+ * /issues/most-voted:
+ *   get:
+ *     summary: Get the issues of a project with the most votes
+ *     description: Issues with at least one vote, most votes first. Issues in a "done" status are left out unless includeDone is true.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeDone
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Issues ranked by votes
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Invalid project ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/most-voted', async (req, res) => {
+  const { projectId, includeDone = 'false' } = req.query;
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return res.status(422).json({ success: false, message: 'Invalid project ID' });
+  }
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+
+  try {
+    const project = await Project.findById(projectId);
+    if (!project || project.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+
+    const issueFilter = { projectId, isDeleted: false, votes: { $gt: 0 } };
+    if (includeDone !== 'true') {
+      const doneStatuses = getWorkflow(project).statuses
+        .filter(status => status.category === 'done')
+        .map(status => status.key);
+      issueFilter.status = { $nin: doneStatuses };
+    }
+
+    const totalIssues = await Issue.countDocuments(issueFilter);
+    const totalPages = Math.ceil(totalIssues / limit);
+    const issues = await Issue.find(issueFilter)
+      .sort({ votes: -1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      data: issues,
+      count: totalIssues,
+      totalPages,
+      currentPage: page,
+      next: page < totalPages,
+    });
+  } catch (err) {
+    console.error('Error fetching most voted issues:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Due Date Listing Routes
+// Open issues of a project and/or an assignee, due first. `kind` is 'overdue' or 'soon'.
+async function sendDueIssues(req, res, kind) {
+  const { projectId, assigneeId } = req.query;
+  if (!projectId && !assigneeId) {
+    return res.status(422).json({ success: false, message: 'projectId or assigneeId is required' });
+  }
+  if (projectId && !mongoose.Types.ObjectId.isValid(projectId)) {
+    return res.status(422).json({ success: false, message: 'Invalid project ID' });
+  }
+  if (assigneeId && !mongoose.Types.ObjectId.isValid(assigneeId)) {
+    return res.status(422).json({ success: false, message: 'Invalid assignee ID' });
+  }
+  const days = req.query.days === undefined ? DEFAULT_DUE_SOON_DAYS : Number(req.query.days);
+  if (Number.isNaN(days) || days <= 0) {
+    return res.status(422).json({ success: false, message: 'days must be a positive number' });
+  }
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+
+  try {
+    if (projectId) {
       const project = await Project.findById(projectId);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+    }
 
-      return {
-        ...issue.toObject(),
-        assignee: {
-          id: issue.assigneeId,
-          name: assignee?.data?.user?.first_name + ' ' + assignee?.data?.user?.last_name,
-        },
-        reporter: {
-          id: issue.reporterId,
-          name: reporter?.data?.user?.first_name + ' ' + reporter?.data?.user?.last_name,
-        },
-        project: {
-          id: issue.projectId,
-          name: project.name,
-        },
-      };
+    const issueFilter = await dueListFilter(kind, { projectId, assigneeId, days });
+    const totalIssues = await Issue.countDocuments(issueFilter);
+    const totalPages = Math.ceil(totalIssues / limit);
+    const issues = await Issue.find(issueFilter)
+      .sort({ dueDate: 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      data: issues,
+      count: totalIssues,
+      totalPages,
+      currentPage: page,
+      next: page < totalPages,
+    });
+  } catch (err) {
+    console.error(`Error fetching ${kind === 'overdue' ? 'overdue' : 'due soon'} issues:`, err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+/**
+ * @swagger
+ * /issues/overdue:
+ *   get:
+ *     summary: Get the overdue issues of a project or an assignee
+ *     description: Issues past their due date that are not in a "done" status, the longest overdue first.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         description: Only issues of this project; projectId, assigneeId or both are required
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assigneeId
+ *         description: Only issues assigned to this employee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Overdue issues, earliest due date first
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Neither projectId nor assigneeId given, or an invalid ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/overdue', (req, res) => sendDueIssues(req, res, 'overdue'));
+
+/**
+ * @swagger
+ * /issues/due-soon:
+ *   get:
+ *     summary: Get the issues of a project or an assignee that are due soon
+ *     description: Issues due within the next `days` that are not in a "done" status, the earliest due first.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         description: Only issues of this project; projectId, assigneeId or both are required
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assigneeId
+ *         description: Only issues assigned to this employee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: number
+ *           default: 3
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Issues due soon, earliest due date first
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Neither projectId nor assigneeId given, an invalid ID or days
+ *       500:
+ *         description: Server error
+ */
+router.get('/due-soon', (req, res) => sendDueIssues(req, res, 'soon'));
+
+// Trash Route
+/**
+ * @swagger
+ * /issues/trash:
+ *   get:
+ *     summary: List the deleted issues of a project
+ *     description: |
+ *       Lists the issues deleted directly, newest first. Issues deleted along with them are counted in
+ *       `deletedWithCount` and come back when the issue is restored. `purgeAt` is when the issue is deleted for good.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deleted issues of the project
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Invalid project ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/trash', async (req, res) => {
+  const { projectId } = req.query;
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return res.status(422).json({ success: false, message: 'Invalid project ID' });
+  }
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+
+  try {
+    const project = await Project.findById(projectId);
+    if (!project || project.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+
+    const trashFilter = { projectId, isDeleted: true, deletedWith: null };
+    const totalIssues = await Issue.countDocuments(trashFilter);
+    const totalPages = Math.ceil(totalIssues / limit);
+    const issues = await Issue.find(trashFilter)
+      .sort({ deletedAt: -1, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const cascaded = await Issue.aggregate([
+      { $match: { deletedWith: { $in: issues.map(issue => issue._id) }, isDeleted: true } },
+      { $group: { _id: '$deletedWith', count: { $sum: 1 } } },
+    ]);
+    const cascadedCounts = new Map(cascaded.map(entry => [entry._id.toString(), entry.count]));
+    const retentionDays = getRetentionDays();
+
+    const data = issues.map(issue => ({
+      ...issue.toObject(),
+      deletedWithCount: cascadedCounts.get(issue._id.toString()) || 0,
+      purgeAt: getPurgeDate(issue, retentionDays),
     }));
 
-    if(totalIssues<1){
-         return res.status(404).json({success:false,message:"No issues to show"})
+    return res.status(200).json({
+      success: true,
+      data,
+      count: totalIssues,
+      totalPages,
+      currentPage: page,
+      next: page < totalPages,
+      retentionDays,
+    });
+  } catch (err) {
+    console.error('Error fetching trash:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Export Issues Route
+/**
+ * @swagger
+ * /issues/export/{projectId}:
+ *   get:
+ *     summary: Export the issues of a project as CSV, NDJSON or a Markdown table
+ *     description: |
+ *       Takes the same `filter`, `filterId`, `search`, `sort` and `sortOrder` parameters as `GET /issues/{projectId}`
+ *       and returns every matching issue, without pagination. Rows are streamed as they are read from the database.
+ *       Columns: key, title, type, status, priority, priorityLevel, assignee, assigneeId, reporter, reporterId,
+ *       project, sprint, labels, storyPoints, dueDate, resolution, votes, createdAt, updatedAt, description and
+ *       one `cf.<key>` column per custom field of the project.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, md]
+ *           default: csv
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: filterId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *           text/markdown: {}
+ *       400:
+ *         description: Unknown format or invalid filter
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Invalid project ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/export/:projectId', async (req, res) => {
+  const { projectId } = req.params;
+  const { format = 'csv', search } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return res.status(422).json({ success: false, message: 'Invalid project ID' });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const project = await Project.findById(projectId);
+    if (!project || project.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Project not found' });
+    }
+
+    // same filters as the project issue listing
+    const issueFilter = { projectId: new mongoose.Types.ObjectId(projectId), isDeleted: false };
+    if (search) {
+      issueFilter.$text = { $search: String(search) };
+    }
+    const listQuery = await resolveIssueListQuery(req.query, getActorId(req), 'createdAt', { projectId });
+    if (listQuery.error) {
+      const { status, ...error } = listQuery.error;
+      return res.status(status).json({ success: false, ...error });
+    }
+    if (Object.keys(listQuery.filter).length > 0) {
+      issueFilter.$and = [listQuery.filter];
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fileName = `${project.key || 'issues'}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store',
+    });
+
+    const cursor = cursorSorted(Issue, issueFilter, listQuery.sort);
+    await streamIssueExport(cursor, res, { format, project });
+  } catch (err) {
+    console.error('Error exporting issues:', err);
+    // once rows are on the wire the status can't change; cut the download short so it isn't taken as complete
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get Issues by Project Route
+/**
+ * @swagger
+ * /issues/{projectId}:
+ *   get:
+ *     summary: Get all issues for a specific project
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         description: The ID of the project to fetch issues for
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: filter
+ *         description: |
+ *           Query language filter. Clauses use `=`, `!=`, `~` (contains), `!~`, `>`, `>=`, `<`, `<=`,
+ *           `in (...)`, `not in (...)` and `is [not] empty`, combined with AND, OR, NOT and parentheses,
+ *           optionally followed by `ORDER BY field [ASC|DESC]`. `me` stands for the actorId.
+ *           The project's custom fields are available as `cf.<key>`, e.g. `cf.environment = production ORDER BY cf.due_on`.
+ *         schema:
+ *           type: string
+ *         example: 'status in (to_do, in_progress) AND assignee = me AND labels ~ "ui" ORDER BY priority DESC'
+ *       - in: query
+ *         name: filterId
+ *         description: Saved filter to apply; combined with `filter` when both are given. The response's `view` lists its columns.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         description: Full-text search over title, description, labels and key (whole words)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: Field to sort by when the filter has no ORDER BY
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: actorId
+ *         description: Employee that `me` refers to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of issues for the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       projectId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: ['task', 'story', 'epic', 'subtask', 'bug']
+ *                       status:
+ *                         type: string
+ *                         enum: ['backlog', 'to_do', 'in_progress', 'done']
+ *                       assigneeId:
+ *                         type: string
+ *                       reporterId:
+ *                         type: string
+ *                       priority:
+ *                         type: string
+ *                         enum: ['low', 'medium', 'high']
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: No issues found for the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: No issues found for the project
+ *       400:
+ *         description: The filter has a syntax error or uses a field that cannot be queried
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Server error
+ */
+router.get('/:projectId', async (req, res) => {
+  const { projectId } = req.params;
+  const {
+    page=1,
+    limit=10,
+    search,
+  } = req.query
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return res.status(422).json({ success: false, message: 'Invalid project ID' });
+    }
+
+    //  prepare filter object
+    const issueFilter = { projectId: new mongoose.Types.ObjectId(projectId) };
+     issueFilter.isDeleted = false;
+
+    // full-text search over title, description, labels and key (text index)
+    if(search){
+      issueFilter.$text = { $search: String(search) };
+    }
+
+    // Apply the saved filter (filterId) and the query language filter, e.g. status = to_do AND assignee = me
+    const listQuery = await resolveIssueListQuery(req.query, getActorId(req), 'createdAt', { projectId });
+    if (listQuery.error) {
+      const { status, ...error } = listQuery.error;
+      return res.status(status).json({ success: false, ...error });
+    }
+    if (Object.keys(listQuery.filter).length > 0) {
+      issueFilter.$and = [listQuery.filter];
+    }
+    const sortEntries = listQuery.sort;
+
+    // Pagination
+    const skip = (page - 1) * limit;
+    const totalIssues = await Issue.countDocuments(issueFilter); 
+    const totalPages = Math.ceil(totalIssues / limit);  
+
+    // Check if there's next page
+    const hasNext = page < totalPages;
+
+    // Fetch issues with applied filters, pagination, and sorting
+    const issues = await findSorted(Issue, issueFilter, sortEntries, skip, parseInt(limit));
+
+    // Fetch assignee and reporter details and include them in the response
+    const issuesWithUserDetails = await Promise.all(issues.map(async (issue) => {
+      const assignee = await getEmployeeById(issue.assigneeId);
+      const reporter = await getEmployeeById(issue.reporterId);
+      const project = await Project.findById(projectId);
+
+      return {
+        ...issue.toObject(),
+        attachments: await describeAttachments(issue.attachments, { baseUrl: requestBaseUrl(req) }),
+        assignee: {
+          id: issue.assigneeId,
+          name: assignee?.data?.user?.first_name + ' ' + assignee?.data?.user?.last_name,
+        },
+        reporter: {
+          id: issue.reporterId,
+          name: reporter?.data?.user?.first_name + ' ' + reporter?.data?.user?.last_name,
+        },
+        project: {
+          id: issue.projectId,
+          name: project.name,
+        },
+      };
+    }));
+
+    if(totalIssues<1){
+         return res.status(404).json({success:false,message:"No issues to show"})
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: issuesWithUserDetails,
+      view: describeView(listQuery.savedFilter),
+      count: totalIssues,
+      totalPages,
+      currentPage: page,
+      next: hasNext,
+    });
+  } catch (err) {
+    console.error('Error fetching issues:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+
+// Bulk Edit Issues Route
+/**
+ * @swagger
+ * /issues/bulk:
+ *   patch:
+ *     summary: Change status, assignee, priority, labels or sprint of many issues at once
+ *     description: |
+ *       Select issues with `issueIds` or with `projectId` plus a query language `filter` (or a saved `filterId`).
+ *       Every issue is checked with the same rules as the single-issue routes and gets its own result.
+ *       With `atomic: true` nothing is changed unless every issue passes.
+ *     tags: [Issues]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - changes
+ *             properties:
+ *               issueIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               projectId:
+ *                 type: string
+ *                 description: Required with filter or filterId
+ *               filter:
+ *                 type: string
+ *                 example: 'status = to_do AND labels ~ "triage"'
+ *               filterId:
+ *                 type: string
+ *               changes:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                   assigneeId:
+ *                     type: string
+ *                     nullable: true
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high]
+ *                   priorityLevel:
+ *                     type: string
+ *                     enum: [Critical, Major, Minor]
+ *                   labels:
+ *                     description: An array replaces the labels; { add, remove } edits them
+ *                     oneOf:
+ *                       - type: array
+ *                         items:
+ *                           type: string
+ *                       - type: object
+ *                         properties:
+ *                           add:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           remove:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                   customFields:
+ *                     type: object
+ *                     description: Values of the project's custom fields by key; null clears one
+ *                   sprintId:
+ *                     type: string
+ *                     nullable: true
+ *                     description: null removes the issues from their sprint
+ *                   resolution:
+ *                     type: string
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               force:
+ *                 type: boolean
+ *                 description: Close issues even when they have open blockers
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-issue results (updated, unchanged or failed)
+ *       400:
+ *         description: Invalid filter or too many matching issues
+ *       409:
+ *         description: Atomic mode and at least one issue failed validation; nothing was changed
+ *       422:
+ *         description: Invalid request body
+ *       500:
+ *         description: Server error
+ */
+router.patch('/bulk',
+  [
+    body('issueIds').optional().isArray({ min: 1, max: BULK_EDIT_LIMIT }).withMessage(`issueIds must be an array of 1 to ${BULK_EDIT_LIMIT} ids`),
+    body('issueIds.*').isMongoId().withMessage('Each issue ID must be a valid ObjectId'),
+    body('projectId').optional().isMongoId().withMessage('Invalid project ID'),
+    body('filter').optional().isString().withMessage('filter must be a string'),
+    body('changes').isObject().withMessage('changes must be an object'),
+    body('atomic').optional().isBoolean().withMessage('atomic must be a boolean'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueIds, projectId, filter, filterId, changes, force } = req.body;
+    const atomic = req.body.atomic === true || req.body.atomic === 'true';
+    const actorId = getActorId(req);
+
+    const unsupported = Object.keys(changes).filter(field => !BULK_EDIT_FIELDS.includes(field));
+    if (unsupported.length > 0 || Object.keys(changes).length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: `changes must contain only: ${BULK_EDIT_FIELDS.join(', ')}`,
+      });
+    }
+
+    try {
+      // select the issues
+      let issues;
+      const results = [];
+      if (issueIds) {
+        const found = await Issue.find({ _id: { $in: issueIds } });
+        const byId = new Map(found.map(issue => [issue._id.toString(), issue]));
+        issues = [];
+        [...new Set(issueIds)].forEach(id => {
+          const issue = byId.get(id);
+          if (!issue || issue.isDeleted) {
+            results.push({ issueId: id, status: 'failed', error: { status: 404, message: 'Issue not found' } });
+          } else {
+            issues.push(issue);
+          }
+        });
+      } else if (projectId && (filter || filterId)) {
+        const listQuery = await resolveIssueListQuery({ filter, filterId }, actorId, 'createdAt', { projectId });
+        if (listQuery.error) {
+          const { status, ...error } = listQuery.error;
+          return res.status(status).json({ success: false, ...error });
+        }
+        const issueFilter = { projectId: new mongoose.Types.ObjectId(projectId), isDeleted: false };
+        if (Object.keys(listQuery.filter).length > 0) issueFilter.$and = [listQuery.filter];
+
+        const matching = await Issue.countDocuments(issueFilter);
+        if (matching > BULK_EDIT_LIMIT) {
+          return res.status(400).json({
+            success: false,
+            message: `The filter matches ${matching} issues; narrow it down to at most ${BULK_EDIT_LIMIT}`,
+          });
+        }
+        issues = await findSorted(Issue, issueFilter, listQuery.sort, 0, BULK_EDIT_LIMIT);
+      } else {
+        return res.status(422).json({ success: false, message: 'Provide issueIds, or projectId with a filter or filterId' });
+      }
+
+      // validate every issue before changing anything
+      const context = createUpdateContext();
+      const pending = [];
+      for (const issue of issues) {
+        const prepared = await prepareIssueChanges(issue, changes, { force: force === true || force === 'true', context });
+        if (prepared.error) {
+          results.push({ issueId: issue._id, key: issue.key, status: 'failed', error: prepared.error });
+        } else {
+          pending.push({ issue, prepared, original: issue.toObject(), before: snapshotIssue(issue) });
+        }
+      }
+
+      const failedCount = results.length;
+      if (atomic && failedCount > 0) {
+        pending.forEach(({ issue }) => results.push({ issueId: issue._id, key: issue.key, status: 'skipped' }));
+        return res.status(409).json({
+          success: false,
+          message: `No issues were changed because ${failedCount} issue(s) failed validation`,
+          summary: { requested: results.length, updated: 0, unchanged: 0, failed: failedCount },
+          results,
+        });
+      }
+
+      // apply; in atomic mode a failure part-way restores the issues already written
+      const applied = [];
+      const historyEntries = [];
+      for (const { issue, prepared, original, before } of pending) {
+        issue.set(prepared.updates);
+        const after = snapshotIssue(issue);
+        if (diffSnapshots(before, after).length === 0 && !prepared.sprintChange) {
+          results.push({ issueId: issue._id, key: issue.key, status: 'unchanged' });
+          continue;
+        }
+
+        try {
+          await applyIssueChanges(issue, prepared);
+          applied.push({ issue, prepared, original });
+          historyEntries.push({ issue, before, after: snapshotIssue(issue) });
+          const result = { issueId: issue._id, key: issue.key, status: 'updated' };
+          if (prepared.blockers.length > 0) {
+            result.warnings = [`Issue was closed while ${prepared.blockers.length} blocking issue(s) are still open`];
+            result.blockers = prepared.blockers;
+          }
+          results.push(result);
+        } catch (err) {
+          const error = isVersionError(err)
+            ? { status: 409, message: concurrentEditResponse('Issue').message }
+            : { status: 500, message: 'Server error' };
+          if (!atomic) {
+            if (error.status === 500) console.error(`Error bulk updating issue ${issue._id}:`, err);
+            results.push({ issueId: issue._id, key: issue.key, status: 'failed', error });
+            continue;
+          }
+
+          for (const item of applied) {
+            await Issue.replaceOne({ _id: item.issue._id }, item.original);
+            const { sprintChange } = item.prepared;
+            if (sprintChange && sprintChange.to) await Sprint.updateOne({ _id: sprintChange.to }, { $pull: { issues: item.issue._id } });
+            if (sprintChange && sprintChange.from) await Sprint.updateOne({ _id: sprintChange.from }, { $addToSet: { issues: item.issue._id } });
+          }
+          if (error.status === 409) {
+            return res.status(409).json({ success: false, message: `${issue.key} was changed by someone else at the same time; no issues were changed` });
+          }
+          console.error('Bulk issue update failed and was rolled back:', err);
+          return res.status(500).json({ success: false, message: 'Bulk update failed; no issues were changed' });
+        }
+      }
+
+      await recordBulkChanges(historyEntries, { actorId, source: 'bulk_edit' });
+
+      const count = (status) => results.filter(result => result.status === status).length;
+      return res.status(200).json({
+        success: true,
+        message: `${count('updated')} issue(s) updated`,
+        summary: { requested: results.length, updated: count('updated'), unchanged: count('unchanged'), failed: count('failed') },
+        results,
+      });
+    } catch (err) {
+      console.error('Error bulk updating issues:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}:
+ *   put:
+ *     summary: Update an issue's details
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the issue to be updated
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag (issue version) the change is based on; a stale version is rejected with 409
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: The title of the issue
+ *               description:
+ *                 type: string
+ *                 description: Detailed description of the issue
+ *               status:
+ *                 type: string
+ *                 description: Current status of the issue, validated against the project workflow
+ *               priority:
+ *                 type: string
+ *                 enum: ['low', 'medium', 'high']
+ *                 description: The priority of the issue
+ *               assigneeId:
+ *                 type: string
+ *                 description: The ID of the employee assigned to the issue
+ *               reporterId:
+ *                 type: string
+ *                 description: The ID of the employee who reported the issue
+ *               parentTaskId:
+ *                 type: string
+ *                 description: The ID of the parent task (only for subtasks)
+ *               epicId:
+ *                 type: string
+ *                 description: The ID of the epic to which the issue belongs (only for stories and subtasks)
+ *               resolution:
+ *                 type: string
+ *                 enum: [Fixed, "Won't Fix", Duplicate, Incomplete]
+ *                 description: Duplicate requires a 'duplicates' link to the original issue
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the labels; checked against the label catalog when the project restricts labels
+ *               customFields:
+ *                 type: object
+ *                 description: Values of the project's custom fields by key; only the given fields change and null clears one
+ *                 example: { "environment": "production", "client_ticket": "ACME-1042" }
+ *               dueDate:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Due date (YYYY-MM-DD, due at the end of that day UTC) or date-time; null clears it
+ *               force:
+ *                 type: boolean
+ *                 description: Close the issue even though blocking issues are still open
+ *               actorId:
+ *                 type: string
+ *                 description: The employee making the change, recorded in the issue history
+ *     responses:
+ *       200:
+ *         description: Issue updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       description: The issue's unique ID
+ *                     title:
+ *                       type: string
+ *                       description: The updated title of the issue
+ *                     description:
+ *                       type: string
+ *                       description: The updated description of the issue
+ *                     status:
+ *                       type: string
+ *                       description: The updated status of the issue
+ *                     priority:
+ *                       type: string
+ *                       description: The updated priority of the issue
+ *                     assigneeId:
+ *                       type: string
+ *                       description: The updated assignee ID
+ *                     reporterId:
+ *                       type: string
+ *                       description: The updated reporter ID
+ *                     parentTaskId:
+ *                       type: string
+ *                       description: The updated parent task ID (if applicable)
+ *                     epicId:
+ *                       type: string
+ *                       description: The updated epic ID (if applicable)
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Timestamp when the issue was last updated
+ *       400:
+ *         description: Invalid input, required fields missing or invalid
+ *       404:
+ *         description: Issue not found for the provided ID
+ *       409:
+ *         description: |
+ *           Status transition not allowed by the project workflow, the issue is blocked by open issues, or the
+ *           If-Match version is stale. A stale version returns the `current` issue, its `currentVersion` and a `diff`
+ *           listing each submitted field with the value now on the server.
+ *       500:
+ *         description: Server error while updating the issue
+ */
+router.put('/:issueId', async (req, res) => {
+  const { issueId } = req.params;
+  const { title, description, status, priority, assigneeId, reporterId, parentTaskId, epicId, resolution, labels, customFields, dueDate, force } = req.body;
+  const submitted = { title, description, status, priority, assigneeId, reporterId, parentTaskId, epicId, resolution, labels, customFields, dueDate };
+
+  try {
+    const issue = await Issue.findById(issueId);
+    if (!issue || issue.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+    }
+    if (!matchesIfMatch(req, issue)) {
+      setEntityTag(res, issue);
+      return res.status(409).json(conflictResponse(issue, submitted, 'Issue'));
+    }
+    const before = snapshotIssue(issue);
+    const checkedDueDate = dueDate !== undefined ? parseDueDate(dueDate) : null;
+    if (checkedDueDate && checkedDueDate.error) {
+      return res.status(400).json({ success: false, message: checkedDueDate.error });
+    }
+
+    // status, resolution, people, hierarchy, label and custom field changes share their checks with the bulk edit route
+    const changes = {};
+    Object.entries({ status, priority, assigneeId, reporterId, parentTaskId, epicId, resolution }).forEach(([field, value]) => {
+      if (value) changes[field] = value;
+    });
+    if (labels !== undefined) changes.labels = labels;
+    if (customFields !== undefined) changes.customFields = customFields;
+    const prepared = await prepareIssueChanges(issue, changes, { force: force === true || force === 'true' });
+    if (prepared.error) {
+      const { status: httpStatus, ...error } = prepared.error;
+      return res.status(httpStatus).json({ success: false, ...error });
+    }
+    const { blockers } = prepared;
+
+    if (title) issue.title = title;
+    if (description) issue.description = description;
+    if (checkedDueDate) issue.dueDate = checkedDueDate.dueDate;
+
+    await applyIssueChanges(issue, prepared);
+    await recordIssueChanges(issue, before, { actorId: getActorId(req), source: 'issue_update' });
+    setEntityTag(res, issue);
+
+    if (blockers.length > 0) {
+      return res.status(200).json({
+        success: true,
+        data: issue,
+        warnings: [`Issue was closed while ${blockers.length} blocking issue(s) are still open`],
+        blockers,
+      });
+    }
+    return res.status(200).json({ success: true, data: issue });
+  } catch (err) {
+    // someone saved the issue between our read and our write
+    if (isVersionError(err)) {
+      const current = await Issue.findById(issueId);
+      setEntityTag(res, current);
+      return res.status(409).json(conflictResponse(current, submitted, 'Issue'));
+    }
+    console.error('Error updating issue:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Soft Delete Issue Route
+/**
+ * @swagger
+ * /issues/{issueId}:
+ *   delete:
+ *     summary: Soft delete an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     description: |
+ *       Moves the issue and every issue below it to the trash. They can be restored with
+ *       `POST /issues/{issueId}/restore` until they are purged after TRASH_RETENTION_DAYS (default 30).
+ *     responses:
+ *       200:
+ *         description: Issue soft deleted successfully
+ *       404:
+ *         description: Issue not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:issueId',
+  [
+     param('issueId')
+          .custom((value) => mongoose.Types.ObjectId.isValid(value))
+          .withMessage('Invalid issue ID'),
+  ],
+   async (req, res) => {
+     const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+  const { issueId } = req.params;
+
+  try {
+    // Find the issue by its ID and update isDeleted field
+     const issue = await Issue.findById(issueId);
+     if(!issue){
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+     }
+
+     if(issue.isDeleted){
+      return res.status(404).json({ success: false, message: 'Issue already deleted' });
+     }
+     // subtasks and the stories of an epic go to the trash with it
+     const trashed = await trashIssue(issue, { actorId: getActorId(req) });
+    return res.status(200).json({
+      success: true,
+      message: 'Issue soft deleted successfully',
+      deletedCount: trashed.length,
+      purgeAt: getPurgeDate(issue),
+    });
+  } catch (err) {
+    if (isVersionError(err)) {
+      return res.status(409).json(concurrentEditResponse('Issue'));
+    }
+    console.error('Error deleting issue:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// route for updating issue status ( for drag and drop)
+// Update the status of an issue
+/**
+ * @swagger
+ * /issues/{issueId}/status:
+ *   put:
+ *     summary: Update the status of an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The issue ID
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag (issue version) the change is based on; a stale version is rejected with 409
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Any status of the project workflow, e.g. to_do, in_progress, in_review, in_testing, done
+ *               force:
+ *                 type: boolean
+ *                 description: Close the issue even though blocking issues are still open
+ *               actorId:
+ *                 type: string
+ *                 description: The employee making the change, recorded in the issue history
+ *     responses:
+ *       200:
+ *         description: Issue status updated successfully
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Issue not found
+ *       409:
+ *         description: |
+ *           Transition not allowed by the project workflow, the issue is blocked by open issues, or the
+ *           If-Match version is stale (the response then has the `current` issue, `currentVersion` and a `diff`)
+ */
+router.put('/:issueId/status', async (req, res) => {
+  const { issueId } = req.params;
+  const { status } = req.body; // example----> to_do, in_progress, done
+
+  try {
+    const issue = await Issue.findById(issueId);
+    if (!issue || issue.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Issue deleted or not found' });
+    }
+
+    if (!status) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+    if (!matchesIfMatch(req, issue)) {
+      setEntityTag(res, issue);
+      return res.status(409).json(conflictResponse(issue, { status }, 'Issue'));
+    }
+
+    // the project workflow decides which statuses exist and which moves are allowed
+    const { force } = req.body;
+    const prepared = await prepareIssueChanges(issue, { status }, { force: force === true || force === 'true' });
+    if (prepared.error) {
+      const { status: httpStatus, ...error } = prepared.error;
+      return res.status(httpStatus).json({ success: false, ...error });
+    }
+
+    const before = snapshotIssue(issue);
+    await applyIssueChanges(issue, prepared);
+    await recordIssueChanges(issue, before, { actorId: getActorId(req), source: 'status_update' });
+    setEntityTag(res, issue);
+
+    if (prepared.blockers.length > 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'Issue status updated',
+        warnings: [`Issue was closed while ${prepared.blockers.length} blocking issue(s) are still open`],
+        blockers: prepared.blockers,
+      });
+    }
+    return res.status(200).json({ success: true, message: 'Issue status updated' });
+  } catch (err) {
+    if (isVersionError(err)) {
+      const current = await Issue.findById(issueId);
+      setEntityTag(res, current);
+      return res.status(409).json(conflictResponse(current, { status: req.body.status }, 'Issue'));
+    }
+    console.error('Error updating issue status:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueId}/history:
+ *   get:
+ *     summary: Get the field-level change history of an issue
+ *     description: Every change records the actor, the route that made it, and the old and new value of each field. Newest entries come first.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         description: Only return entries that changed this field (e.g. status)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Change history of the issue
+ *       404:
+ *         description: Issue not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:issueId/history',
+  [
+    param('issueId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid issue ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId } = req.params;
+    const { field, page = 1, limit = 20 } = req.query;
+
+    try {
+      const issue = await Issue.findById(issueId);
+      if (!issue) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+
+      const historyFilter = { issueId };
+      if (field) historyFilter['changes.field'] = String(field);
+
+      const skip = (page - 1) * limit;
+      const totalEntries = await IssueHistory.countDocuments(historyFilter);
+      const totalPages = Math.ceil(totalEntries / limit);
+      const hasNext = page < totalPages;
+
+      const entries = await IssueHistory.find(historyFilter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      // resolve each actor once
+      const actorIds = [...new Set(entries.filter(entry => entry.actorId).map(entry => entry.actorId.toString()))];
+      const actors = await Promise.all(actorIds.map(id => getEmployeeById(id)));
+      const actorNames = new Map(actorIds.map((id, index) => [
+        id,
+        actors[index]?.data?.user?.first_name + ' ' + actors[index]?.data?.user?.last_name,
+      ]));
+
+      const data = entries.map(entry => ({
+        ...entry.toObject(),
+        changes: field ? entry.changes.filter(change => change.field === field) : entry.changes,
+        actor: entry.actorId
+          ? { id: entry.actorId, name: actorNames.get(entry.actorId.toString()) }
+          : null,
+      }));
+
+      return res.status(200).json({
+        success: true,
+        data,
+        count: totalEntries,
+        totalPages,
+        currentPage: page,
+        next: hasNext,
+      });
+    } catch (err) {
+      console.error('Error fetching issue history:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/tree:
+ *   get:
+ *     summary: Get the hierarchy below an issue with rollups
+ *     description: |
+ *       Returns the issue with all its descendants: stories of an epic (epicId) and children of any issue (parentTaskId).
+ *       Every node has a `rollup` of itself and everything below it: issue count, story points, time spent,
+ *       counts per status and per status category, percent done by issue count and by story points.
+ *       `ancestors` lists the issues above it, nearest first.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: depth
+ *         description: Maximum number of levels below the issue (at most 10)
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Issue hierarchy with rollups
+ *       404:
+ *         description: Issue not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:issueId/tree',
+  [
+    param('issueId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid issue ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { issueId } = req.params;
+    const depth = parseInt(req.query.depth) || MAX_TREE_DEPTH;
+
+    try {
+      const issue = await Issue.findById(issueId);
+      if (!issue || issue.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+
+      const [tree, ancestors] = await Promise.all([buildIssueTree(issue, depth), getAncestors(issue)]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ancestors: ancestors.map(ancestor => ({
+            id: ancestor._id,
+            key: ancestor.key,
+            title: ancestor.title,
+            type: ancestor.type,
+          })),
+          tree,
+        },
+      });
+    } catch (err) {
+      console.error('Error fetching issue tree:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/clone:
+ *   post:
+ *     summary: Clone an issue
+ *     description: |
+ *       Creates a copy in the same project with a new key, in the workflow's initial status and linked to the
+ *       original with a "clones" link. Sprint, votes, watchers, comments and logged time are not copied.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Title of the clone (defaults to "CLONE - " and the original title)
+ *               includeSubtasks:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also copy every issue below this one (subtasks, stories of an epic)
+ *               includeLabels:
+ *                 type: boolean
+ *                 default: true
+ *               includeAttachments:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Copy the attachment files so the clone has its own
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Issue cloned successfully
+ *       404:
+ *         description: Issue not found
+ *       422:
+ *         description: Invalid request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:issueId/clone',
+  [
+    param('issueId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid issue ID'),
+    body('title').optional().isString().trim().notEmpty().withMessage('title cannot be empty'),
+    body('includeSubtasks').optional().isBoolean().withMessage('includeSubtasks must be a boolean'),
+    body('includeLabels').optional().isBoolean().withMessage('includeLabels must be a boolean'),
+    body('includeAttachments').optional().isBoolean().withMessage('includeAttachments must be a boolean'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { title, includeSubtasks, includeLabels, includeAttachments } = req.body;
+
+    try {
+      const issue = await Issue.findById(req.params.issueId);
+      if (!issue || issue.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+      const project = await Project.findById(issue.projectId);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+
+      const cloned = await cloneIssue(issue, project, {
+        title,
+        includeSubtasks: includeSubtasks === true || includeSubtasks === 'true',
+        includeLabels: includeLabels !== false && includeLabels !== 'false',
+        includeAttachments: includeAttachments === true || includeAttachments === 'true',
+        actorId: getActorId(req),
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `${issue.key} cloned as ${cloned.issue.key}`,
+        data: { issue: cloned.issue, subtasks: cloned.subtasks },
+        warnings: cloned.warnings,
+      });
+    } catch (err) {
+      console.error('Error cloning issue:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/move:
+ *   post:
+ *     summary: Move an issue and everything below it to another project
+ *     description: |
+ *       Every moved issue gets a new key from the target project; the old key stays resolvable as an alias.
+ *       Statuses missing from the target workflow map to the first status of the same category. The issues
+ *       leave the sprints of the old project and can join a sprint of the target project with targetSprintId.
+ *       The moved issue is detached from its parent and epic; custom field values the target project does not
+ *       define are dropped.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetProjectId
+ *             properties:
+ *               targetProjectId:
+ *                 type: string
+ *               targetSprintId:
+ *                 type: string
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Issues moved; `moved` lists the old and new key of every issue
+ *       400:
+ *         description: The issue already belongs to the target project, or the sprint belongs to another project
+ *       404:
+ *         description: Issue, project or sprint not found
+ *       409:
+ *         description: The target sprint is completed
+ *       413:
+ *         description: The attachments would exceed the target project's storage quota
+ *       422:
+ *         description: Invalid request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:issueId/move',
+  [
+    param('issueId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid issue ID'),
+    body('targetProjectId').isMongoId().withMessage('Valid targetProjectId is required'),
+    body('targetSprintId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid sprint ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { targetProjectId, targetSprintId } = req.body;
+
+    try {
+      const issue = await Issue.findById(req.params.issueId);
+      if (!issue || issue.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+      if (issue.projectId.toString() === targetProjectId) {
+        return res.status(400).json({ success: false, message: 'Issue already belongs to this project' });
+      }
+
+      const [fromProject, toProject] = await Promise.all([
+        Project.findById(issue.projectId),
+        Project.findById(targetProjectId),
+      ]);
+      if (!fromProject || fromProject.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+      if (!toProject || toProject.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Target project not found' });
+      }
+
+      let targetSprint = null;
+      if (targetSprintId) {
+        targetSprint = await Sprint.findById(targetSprintId);
+        if (!targetSprint) {
+          return res.status(404).json({ success: false, message: 'Sprint not found' });
+        }
+        if (!targetSprint.projectId.equals(toProject._id)) {
+          return res.status(400).json({ success: false, message: 'Sprint belongs to another project' });
+        }
+        if (targetSprint.status === 'completed') {
+          return res.status(409).json({ success: false, message: 'Sprint is already completed' });
+        }
+      }
+
+      const result = await moveIssue(issue, fromProject, toProject, { targetSprint, actorId: getActorId(req) });
+      if (result.error) {
+        const { status: httpStatus, ...error } = result.error;
+        return res.status(httpStatus).json({ success: false, ...error });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `${result.moved[0].oldKey} moved to ${toProject.name} as ${result.issue.key}`,
+        data: result.issue,
+        moved: result.moved,
+        warnings: result.warnings,
+      });
+    } catch (err) {
+      if (isVersionError(err)) {
+        return res.status(409).json(concurrentEditResponse('Issue'));
+      }
+      console.error('Error moving issue:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /issues/{issueId}/restore:
+ *   post:
+ *     summary: Restore a deleted issue
+ *     description: Brings back the issue and the issues that were deleted along with it.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Issue restored successfully
+ *       404:
+ *         description: Issue not found (or already purged)
+ *       409:
+ *         description: The issue is not deleted, or its parent is still in the trash
+ *       500:
+ *         description: Server error
+ */
+router.post('/:issueId/restore',
+  [
+    param('issueId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid issue ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const issue = await Issue.findById(req.params.issueId);
+      if (!issue) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+      if (!issue.isDeleted) {
+        return res.status(409).json({ success: false, message: 'Issue is not deleted' });
+      }
+
+      const restored = await restoreIssue(issue, { actorId: getActorId(req) });
+      if (restored.error) {
+        return res.status(restored.error.status).json({ success: false, message: restored.error.message });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Restored ${restored.issues.length} issue(s)`,
+        data: issue,
+        restored: restored.issues.map(item => ({ id: item._id, key: item.key })),
+      });
+    } catch (err) {
+      if (isVersionError(err)) {
+        return res.status(409).json(concurrentEditResponse('Issue'));
+      }
+      console.error('Error restoring issue:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Watch and vote routes act for the caller, who must be a known employee.
+// Returns { actorId, issue } or { error: { status, message } }.
+async function loadActorAndIssue(req) {
+  const { issueId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(issueId)) {
+    return { error: { status: 422, message: 'Invalid issue ID' } };
+  }
+  const actorId = getActorId(req);
+  if (!actorId) {
+    return { error: { status: 422, message: 'Valid actorId is required' } };
+  }
+  const issue = await Issue.findById(issueId);
+  if (!issue || issue.isDeleted) {
+    return { error: { status: 404, message: 'Issue not found' } };
+  }
+  if (!(await getEmployeeById(actorId))) {
+    return { error: { status: 404, message: 'Employee not found' } };
+  }
+  return { actorId, issue };
+}
+
+/**
+ * @swagger
+ * /issues/{issueId}/watch:
+ *   post:
+ *     summary: Start watching an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The caller watches the issue
+ *       404:
+ *         description: Issue or employee not found
+ *       422:
+ *         description: Invalid issue ID or missing actorId
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Stop watching an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The caller no longer watches the issue
+ *       404:
+ *         description: Issue or employee not found
+ *       422:
+ *         description: Invalid issue ID or missing actorId
+ *       500:
+ *         description: Server error
+ */
+router.post('/:issueId/watch', async (req, res) => {
+  try {
+    const { actorId, issue, error } = await loadActorAndIssue(req);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const updated = await Issue.findByIdAndUpdate(issue._id, { $addToSet: { watchers: actorId } }, { new: true });
+    return setSuccessResponse(res, StatusCodes.OK, true, {
+      issueId: updated._id,
+      key: updated.key,
+      watching: true,
+      watcherCount: updated.watchers.length,
+    }, 'You are watching this issue');
+  } catch (err) {
+    console.error('Error watching issue:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.delete('/:issueId/watch', async (req, res) => {
+  try {
+    const { actorId, issue, error } = await loadActorAndIssue(req);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const updated = await Issue.findByIdAndUpdate(issue._id, { $pull: { watchers: actorId } }, { new: true });
+    return setSuccessResponse(res, StatusCodes.OK, true, {
+      issueId: updated._id,
+      key: updated.key,
+      watching: false,
+      watcherCount: updated.watchers.length,
+    }, 'You are no longer watching this issue');
+  } catch (err) {
+    console.error('Error unwatching issue:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueId}/reminders/snooze:
+ *   post:
+ *     summary: Snooze due date reminders of an issue
+ *     description: |
+ *       The caller gets no due date reminders about the issue until `until` (or for `hours`, 24 by default).
+ *       When the snooze ends they get the current reminder once, even if it fell due during the snooze.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               actorId:
+ *                 type: string
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *               hours:
+ *                 type: number
+ *                 example: 24
+ *     responses:
+ *       200:
+ *         description: Reminders are snoozed for the caller
+ *       404:
+ *         description: Issue or employee not found
+ *       422:
+ *         description: Invalid issue ID, missing actorId, or until/hours not in the future
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Resume due date reminders of an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The caller gets due date reminders again
+ *       404:
+ *         description: Issue or employee not found
+ *       422:
+ *         description: Invalid issue ID or missing actorId
+ *       500:
+ *         description: Server error
+ */
+router.post('/:issueId/reminders/snooze', async (req, res) => {
+  const { until, hours = 24 } = req.body;
+  const snoozedUntil = until ? new Date(until) : new Date(Date.now() + Number(hours) * 60 * 60 * 1000);
+  if (Number.isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+    return res.status(422).json({ success: false, message: 'until must be a date-time in the future, or hours a positive number' });
+  }
+
+  try {
+    const { actorId, issue, error } = await loadActorAndIssue(req);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    await setReminderSnooze(issue._id, actorId, snoozedUntil);
+    return setSuccessResponse(res, StatusCodes.OK, true, {
+      issueId: issue._id,
+      key: issue.key,
+      dueDate: issue.dueDate || null,
+      snoozedUntil,
+    }, `Reminders snoozed until ${snoozedUntil.toISOString()}`);
+  } catch (err) {
+    console.error('Error snoozing reminders:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.delete('/:issueId/reminders/snooze', async (req, res) => {
+  try {
+    const { actorId, issue, error } = await loadActorAndIssue(req);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    await setReminderSnooze(issue._id, actorId, null);
+    return setSuccessResponse(res, StatusCodes.OK, true, {
+      issueId: issue._id,
+      key: issue.key,
+      dueDate: issue.dueDate || null,
+      snoozedUntil: null,
+    }, 'Reminders resumed');
+  } catch (err) {
+    console.error('Error resuming reminders:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /issues/{issueId}/vote:
+ *   post:
+ *     summary: Vote for an issue
+ *     description: Every employee has one vote per issue; the voters are kept in `voters` and counted in `votes`.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Vote recorded
+ *       404:
+ *         description: Issue or employee not found
+ *       409:
+ *         description: The caller already voted for the issue
+ *       422:
+ *         description: Invalid issue ID or missing actorId
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Withdraw a vote
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vote withdrawn
+ *       404:
+ *         description: Issue or employee not found
+ *       409:
+ *         description: The caller has not voted for the issue
+ *       422:
+ *         description: Invalid issue ID or missing actorId
+ *       500:
+ *         description: Server error
+ */
+router.post('/:issueId/vote', async (req, res) => {
+  try {
+    const { actorId, issue, error } = await loadActorAndIssue(req);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    // the voters condition makes a second vote by the same employee a no-op, even when requests race
+    const updated = await Issue.findOneAndUpdate(
+      { _id: issue._id, voters: { $ne: actorId } },
+      { $addToSet: { voters: actorId }, $inc: { votes: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'You have already voted for this issue' });
     }
 
-    return res.status(200).json({
-      success: true,
-      data: issuesWithUserDetails,
-      count: totalIssues,
-      totalPages,
-      currentPage: page,
-      next: hasNext,
-    });
+    return setSuccessResponse(res, StatusCodes.OK, true, {
+      issueId: updated._id,
+      key: updated.key,
+      voted: true,
+      votes: updated.votes,
+    }, 'Vote recorded');
   } catch (err) {
-    console.error('Error fetching issues:', err);
+    console.error('Error voting for issue:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+router.delete('/:issueId/vote', async (req, res) => {
+  try {
+    const { actorId, issue, error } = await loadActorAndIssue(req);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const updated = await Issue.findOneAndUpdate(
+      { _id: issue._id, voters: actorId },
+      { $pull: { voters: actorId }, $inc: { votes: -1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'You have not voted for this issue' });
+    }
+
+    return setSuccessResponse(res, StatusCodes.OK, true, {
+      issueId: updated._id,
+      key: updated.key,
+      voted: false,
+      votes: updated.votes,
+    }, 'Vote withdrawn');
+  } catch (err) {
+    console.error('Error withdrawing vote:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
 /**
  * @swagger
- * /issues/{issueId}:
- *   put:
- *     summary: Update an issue's details
+ * /issues/{issueId}/attachments:
+ *   get:
+ *     summary: List the attachments of an issue
+ *     description: |
+ *       Each attachment comes with a download `url` that expires at `expiresAt` (S3 presigned URL, or a signed
+ *       link when files are stored locally). Images and videos also get a `previewUrl`: a WebP thumbnail or
+ *       poster frame of at most 320px, generated in the background after upload. Until it is ready
+ *       (`previewStatus` is `pending`) or when it could not be made (`failed`), `previewUrl` is null.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachments with name, size, MIME type, uploader, upload time and download URL
+ *       404:
+ *         description: Issue not found
+ *       422:
+ *         description: Invalid issue ID
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Attach files to an issue
  *     tags: [Issues]
  *     parameters:
  *       - in: path
@@ -690,128 +2883,142 @@ router.get('/:projectId', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: The ID of the issue to be updated
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - attachments
  *             properties:
- *               title:
- *                 type: string
- *                 description: The title of the issue
- *               description:
- *                 type: string
- *                 description: Detailed description of the issue
- *               status:
- *                 type: string
- *                 enum: ['backlog', 'to_do', 'in_progress', 'done']
- *                 description: Current status of the issue
- *               priority:
- *                 type: string
- *                 enum: ['low', 'medium', 'high']
- *                 description: The priority of the issue
- *               assigneeId:
- *                 type: string
- *                 description: The ID of the employee assigned to the issue
- *               reporterId:
- *                 type: string
- *                 description: The ID of the employee who reported the issue
- *               parentTaskId:
- *                 type: string
- *                 description: The ID of the parent task (only for subtasks)
- *               epicId:
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 10 files of at most 10MB
+ *               actorId:
  *                 type: string
- *                 description: The ID of the epic to which the issue belongs (only for stories and subtasks)
+ *                 description: Uploader
  *     responses:
- *       200:
- *         description: Issue updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                       description: The issue's unique ID
- *                     title:
- *                       type: string
- *                       description: The updated title of the issue
- *                     description:
- *                       type: string
- *                       description: The updated description of the issue
- *                     status:
- *                       type: string
- *                       description: The updated status of the issue
- *                     priority:
- *                       type: string
- *                       description: The updated priority of the issue
- *                     assigneeId:
- *                       type: string
- *                       description: The updated assignee ID
- *                     reporterId:
- *                       type: string
- *                       description: The updated reporter ID
- *                     parentTaskId:
- *                       type: string
- *                       description: The updated parent task ID (if applicable)
- *                     epicId:
- *                       type: string
- *                       description: The updated epic ID (if applicable)
- *                     updatedAt:
- *                       type: string
- *                       format: date-time
- *                       description: Timestamp when the issue was last updated
+ *       201:
+ *         description: The added attachments with download URLs; previews of images and videos follow in the background
  *       400:
- *         description: Invalid input, required fields missing or invalid
+ *         description: No files uploaded
  *       404:
- *         description: Issue not found for the provided ID
+ *         description: Issue not found
+ *       413:
+ *         description: The files would exceed the project's storage quota
+ *       415:
+ *         description: A file type is not allowed or its extension does not match its content
+ *       422:
+ *         description: Invalid issue ID
  *       500:
- *         description: Server error while updating the issue
+ *         description: Server error
  */
-router.put('/:issueId', async (req, res) => {
-  const { issueId } = req.params;
-  const { title, description, status, priority, assigneeId, reporterId, parentTaskId, epicId } = req.body;
-
+router.get('/:issueId/attachments', async (req, res) => {
   try {
-    const issue = await Issue.findById(issueId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.issueId)) {
+      return res.status(422).json({ success: false, message: 'Invalid issue ID' });
+    }
+    const issue = await Issue.findById(req.params.issueId, 'key attachments isDeleted');
     if (!issue || issue.isDeleted) {
       return res.status(404).json({ success: false, message: 'Issue not found' });
     }
 
-    if (title) issue.title = title;
-    if (description) issue.description = description;
-    if (status) issue.status = status;
-    if (priority) issue.priority = priority;
-    if (assigneeId) issue.assigneeId = assigneeId;
-    if (reporterId) issue.reporterId = reporterId;
-    if (parentTaskId) issue.parentTaskId = parentTaskId;
-    if (epicId) issue.epicId = epicId;
+    return setSuccessResponse(res, StatusCodes.OK, true, await describeAttachments(issue.attachments, { baseUrl: requestBaseUrl(req) }), 'Attachments fetched successfully');
+  } catch (err) {
+    console.error('Error fetching attachments:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post('/:issueId/attachments', uploadFiles, async (req, res) => {
+  const attachments = (req.files || []).map(file => attachmentFromUpload(file, getActorId(req)));
+  let reservation = null;
+  try {
+    if (attachments.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.issueId)) {
+      await deleteAttachmentFiles(attachments);
+      return res.status(422).json({ success: false, message: 'Invalid issue ID' });
+    }
+    const existing = await Issue.findById(req.params.issueId, 'projectId isDeleted');
+    if (!existing || existing.isDeleted) {
+      await deleteAttachmentFiles(attachments);
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+    }
 
-    issue.updatedAt = Date.now();
+    // the files count against the project's storage quota
+    const bytes = attachmentBytes(attachments);
+    const reserved = await reserveStorage(existing.projectId, bytes);
+    if (reserved.error) {
+      await deleteAttachmentFiles(attachments);
+      const { status: httpStatus, ...error } = reserved.error;
+      return res.status(httpStatus).json({ success: false, ...error });
+    }
+    reservation = { projectId: existing.projectId, bytes };
 
-    await issue.save();
+    const issue = await Issue.findOneAndUpdate(
+      { _id: existing._id, isDeleted: false },
+      { $push: { attachments: { $each: attachments } }, $set: { updatedAt: new Date() }, $inc: { __v: 1 } },
+      { new: true }
+    );
+    // deleted in the meantime
+    if (!issue) {
+      await releaseStorage(reservation.projectId, reservation.bytes);
+      await deleteAttachmentFiles(attachments);
+      return res.status(404).json({ success: false, message: 'Issue not found' });
+    }
 
-    return res.status(200).json({ success: true, data: issue });
+    const added = issue.attachments.slice(-attachments.length);
+    queuePreviews(issue._id, added);
+    return setSuccessResponse(res, StatusCodes.CREATED, true, await describeAttachments(added, { baseUrl: requestBaseUrl(req) }), 'Attachments added successfully');
   } catch (err) {
-    console.error('Error updating issue:', err);
+    console.error('Error adding attachments:', err);
+    if (reservation) await releaseStorage(reservation.projectId, reservation.bytes);
+    await deleteAttachmentFiles(attachments);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Soft Delete Issue Route
 /**
  * @swagger
- * /issues/{issueId}:
+ * /issues/{issueId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Get a download URL for an attachment
+ *     description: Returns an expiring `url`; with `redirect=true` the response redirects to it instead.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The attachment with its download URL
+ *       302:
+ *         description: Redirect to the download URL
+ *       404:
+ *         description: Issue or attachment not found
+ *       422:
+ *         description: Invalid issue or attachment ID
+ *       500:
+ *         description: Server error
  *   delete:
- *     summary: Soft delete an issue
+ *     summary: Remove an attachment from an issue and delete its file
  *     tags: [Issues]
  *     parameters:
  *       - in: path
@@ -819,102 +3026,119 @@ router.put('/:issueId', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Issue soft deleted successfully
+ *         description: Attachment removed
  *       404:
- *         description: Issue not found
+ *         description: Issue or attachment not found
+ *       422:
+ *         description: Invalid issue or attachment ID
  *       500:
  *         description: Server error
  */
-router.delete('/:issueId',
-  [
-     param('issueId')
-          .custom((value) => mongoose.Types.ObjectId.isValid(value))
-          .withMessage('Invalid issue ID'),
-  ],
-   async (req, res) => {
-     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(422).json({ success: false, errors: errors.array() });
+router.get('/:issueId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { issueId, attachmentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(issueId) || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+      return res.status(422).json({ success: false, message: 'Invalid issue or attachment ID' });
     }
-  const { issueId } = req.params;
+    const issue = await Issue.findById(issueId, 'key attachments isDeleted');
+    const attachment = issue && !issue.isDeleted ? issue.attachments.id(attachmentId) : null;
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const [download] = await describeAttachments([attachment], { baseUrl: requestBaseUrl(req) });
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, download.url);
+    }
+    return setSuccessResponse(res, StatusCodes.OK, true, download, 'Download URL created');
+  } catch (err) {
+    console.error('Error creating attachment download URL:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
+router.delete('/:issueId/attachments/:attachmentId', async (req, res) => {
   try {
-    // Find the issue by its ID and update isDeleted field
-     const issue = await Issue.findById(issueId);
-     if(!issue){
-      return res.status(404).json({ success: false, message: 'Issue not found' });
-     }
+    const { issueId, attachmentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(issueId) || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+      return res.status(422).json({ success: false, message: 'Invalid issue or attachment ID' });
+    }
 
-     if(issue.isDeleted){
-      return res.status(404).json({ success: false, message: 'Issue already deleted' });
-     }
-     issue.isDeleted= true;
-     await issue.save();
-    return res.status(200).json({ success: true, message: 'Issue soft deleted successfully' });
+    // the old document tells which file to delete; the filter makes concurrent removals delete it once
+    const issue = await Issue.findOneAndUpdate(
+      { _id: issueId, isDeleted: false, 'attachments._id': attachmentId },
+      { $pull: { attachments: { _id: attachmentId } }, $set: { updatedAt: new Date() }, $inc: { __v: 1 } }
+    );
+    if (!issue) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const attachment = issue.attachments.id(attachmentId);
+    await deleteAttachmentFiles([attachment]);
+    await releaseStorage(issue.projectId, attachment.size);
+    return setSuccessResponse(res, StatusCodes.OK, true, { issueId: issue._id, key: issue.key, attachmentId }, 'Attachment removed successfully');
   } catch (err) {
-    console.error('Error deleting issue:', err);
+    console.error('Error removing attachment:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// route for updating issue status ( for drag and drop)
-// Update the status of an issue
 /**
  * @swagger
- * /issues/{issueId}/status:
- *   put:
- *     summary: Update the status of an issue
+ * /issues/attachments/file:
+ *   get:
+ *     summary: Download a locally stored attachment through a signed URL
+ *     description: The URLs come from the attachment endpoints when S3 is not configured; they stop working when they expire.
  *     tags: [Issues]
  *     parameters:
- *       - in: path
- *         name: issueId
+ *       - in: query
+ *         name: key
+ *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: name
  *         required: true
- *         description: The issue ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [to_do, in_progress, done]
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Issue status updated successfully
+ *         description: The file
  *       400:
- *         description: Invalid status
+ *         description: Missing parameters
+ *       403:
+ *         description: Invalid signature
  *       404:
- *         description: Issue not found
+ *         description: File not found
+ *       410:
+ *         description: The link has expired
  */
-router.put('/:issueId/status', async (req, res) => {
-  const { issueId } = req.params;
-  const { status } = req.body; // example----> to_do, in_progress, done
-
-  try {
-    const issue = await Issue.findById(issueId);
-    if (!issue || issue.isDeleted) {
-      return res.status(404).json({ success: false, message: 'Issue deleted or not found' });
-    }
-
-    const validStatuses = ['to_do', 'in_progress', 'done'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
-    }
-
-    issue.status = status;
-    await issue.save();
-
-    return res.status(200).json({ success: true, message: 'Issue status updated' });
-  } catch (err) {
-    console.error('Error updating issue status:', err);
-    return res.status(500).json({ success: false, message: 'Server error' });
+router.get('/attachments/file', (req, res) => {
+  const { filePath, name, error } = verifyLocalDownload(req.query);
+  if (error) {
+    return res.status(error.status).json({ success: false, message: error.message });
   }
+  return res.download(filePath, name, (err) => {
+    if (!err || res.headersSent) return;
+    res.status(err.code === 'ENOENT' ? 404 : 500).json({ success: false, message: err.code === 'ENOENT' ? 'File not found' : 'Server error' });
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,527 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Label = require('../models/Label');
+const Project = require('../models/Project');
+const {
+  COLOR_PATTERN,
+  normalizeLabelName,
+  parseLabelList,
+  getLabelUsage,
+  rewriteIssueLabels,
+  removeLabelFromIssues,
+} = require('../services/LabelService');
+const { setSuccessResponse } = require('../utils/sendResponse');
+const { getActorId } = require('../utils/requestActor');
+const { isVersionError, concurrentEditResponse } = require('../utils/concurrency');
+const { StatusCodes } = require('http-status-codes');
+
+const projectIdValidator = param('projectId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid project ID');
+
+const labelIdValidator = param('labelId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid label ID');
+
+const labelFieldValidators = [
+  body('color').optional().matches(COLOR_PATTERN).withMessage('color must be a hex color like #1F6FEB'),
+  body('description').optional().isString().withMessage('description must be a string'),
+];
+
+// load the project of the route and, when given, the catalog label; returns an error response body or the documents
+const loadProjectAndLabel = async ({ projectId, labelId }) => {
+  const project = await Project.findById(projectId);
+  if (!project || project.isDeleted) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+  if (!labelId) return { project };
+
+  const label = await Label.findOne({ _id: labelId, projectId });
+  if (!label) {
+    return { error: { status: 404, message: 'Label not found' } };
+  }
+  return { project, label };
+};
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels:
+ *   get:
+ *     summary: Get the label catalog of a project with usage counts
+ *     description: |
+ *       `count` is the number of issues using the label, ignoring case; `variants` lists the spellings found on issues.
+ *       `uncatalogued` lists labels used on issues that are not in the catalog, e.g. to merge them into a catalog label.
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Label catalog fetched successfully
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a label to the catalog of a project
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "frontend"
+ *               color:
+ *                 type: string
+ *                 example: "#1F6FEB"
+ *               description:
+ *                 type: string
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Label created successfully
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: The catalog already has a label with this name (ignoring case)
+ *       422:
+ *         description: Invalid label
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [projectIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { project, error } = await loadProjectAndLabel(req.params);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const [labels, usage] = await Promise.all([
+      Label.find({ projectId: project._id }).sort({ normalizedName: 1 }),
+      getLabelUsage(project._id),
+    ]);
+
+    const data = labels.map(label => ({
+      ...label.toObject(),
+      count: usage.get(label.normalizedName)?.count || 0,
+      variants: usage.get(label.normalizedName)?.variants || [],
+    }));
+    const catalogued = new Set(labels.map(label => label.normalizedName));
+    const uncatalogued = [...usage.entries()]
+      .filter(([name]) => !catalogued.has(name))
+      .map(([, entry]) => ({ name: entry.variants[0], variants: entry.variants, count: entry.count }))
+      .sort((a, b) => b.count - a.count);
+
+    return res.status(200).json({
+      success: true,
+      data,
+      uncatalogued,
+      restrictLabels: project.restrictLabels,
+    });
+  } catch (err) {
+    console.error('Error fetching label catalog:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post('/',
+  [
+    projectIdValidator,
+    body('name').isString().trim().notEmpty().withMessage('Label name is required')
+      .isLength({ max: 50 }).withMessage('Label name must be at most 50 characters')
+      .not().contains(',').withMessage('Label name cannot contain commas'),
+    ...labelFieldValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, color, description } = req.body;
+
+    try {
+      const { project, error } = await loadProjectAndLabel(req.params);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      const existing = await Label.findOne({ projectId: project._id, normalizedName: normalizeLabelName(name) });
+      if (existing) {
+        return res.status(409).json({ success: false, message: `The catalog already has the label '${existing.name}'` });
+      }
+
+      const label = await Label.create({
+        projectId: project._id,
+        name,
+        color,
+        description,
+        createdBy: getActorId(req),
+      });
+
+      return setSuccessResponse(res, StatusCodes.CREATED, true, label, 'Label created successfully');
+    } catch (err) {
+      // another request created the same name between the check and the insert
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, message: `The catalog already has the label '${name}'` });
+      }
+      console.error('Error creating label:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels/settings:
+ *   put:
+ *     summary: Turn label validation against the catalog on or off
+ *     description: When on, labels added to issues on create and update must be in the catalog. Labels issues already have are kept.
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - restrictLabels
+ *             properties:
+ *               restrictLabels:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Label settings updated; `uncatalogued` lists labels still used on issues that are not in the catalog
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Invalid request
+ *       500:
+ *         description: Server error
+ */
+router.put('/settings',
+  [
+    projectIdValidator,
+    body('restrictLabels').isBoolean().withMessage('restrictLabels must be a boolean'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { project, error } = await loadProjectAndLabel(req.params);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      project.restrictLabels = req.body.restrictLabels === true || req.body.restrictLabels === 'true';
+      project.updatedAt = Date.now();
+      await project.save();
+
+      const [labels, usage] = await Promise.all([
+        Label.find({ projectId: project._id }, 'normalizedName'),
+        getLabelUsage(project._id),
+      ]);
+      const catalogued = new Set(labels.map(label => label.normalizedName));
+      const uncatalogued = [...usage.entries()]
+        .filter(([name]) => !catalogued.has(name))
+        .map(([, entry]) => entry.variants[0]);
+
+      return setSuccessResponse(res, StatusCodes.OK, true, {
+        restrictLabels: project.restrictLabels,
+        uncatalogued,
+      }, 'Label settings updated successfully');
+    } catch (err) {
+      if (isVersionError(err)) {
+        return res.status(409).json(concurrentEditResponse('Project'));
+      }
+      console.error('Error updating label settings:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels/{labelId}:
+ *   put:
+ *     summary: Rename a label or change its color and description
+ *     description: A rename rewrites the label on every issue of the project, whatever its case.
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Label updated successfully; `issuesUpdated` counts the re-labelled issues
+ *       404:
+ *         description: Project or label not found
+ *       409:
+ *         description: Another catalog label already has the new name; merge the labels instead
+ *       422:
+ *         description: Invalid label
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a label from the catalog
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: removeFromIssues
+ *         description: Also take the label off every issue of the project
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Label deleted successfully
+ *       404:
+ *         description: Project or label not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:labelId',
+  [
+    projectIdValidator,
+    labelIdValidator,
+    body('name').optional().isString().trim().notEmpty().withMessage('Label name cannot be empty')
+      .isLength({ max: 50 }).withMessage('Label name must be at most 50 characters')
+      .not().contains(',').withMessage('Label name cannot contain commas'),
+    ...labelFieldValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, color, description } = req.body;
+
+    try {
+      const { project, label, error } = await loadProjectAndLabel(req.params);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      let issuesUpdated = 0;
+      if (name !== undefined && name !== label.name) {
+        const conflict = await Label.findOne({
+          projectId: project._id,
+          normalizedName: normalizeLabelName(name),
+          _id: { $ne: label._id },
+        });
+        if (conflict) {
+          return res.status(409).json({
+            success: false,
+            message: `The catalog already has the label '${conflict.name}'; merge the labels instead`,
+          });
+        }
+
+        const previousName = label.name;
+        label.name = name;
+        label.updatedAt = Date.now();
+        await label.save();
+        issuesUpdated = await rewriteIssueLabels(project._id, [previousName], label.name, {
+          actorId: getActorId(req),
+          source: 'label_rename',
+        });
+      }
+
+      if (color !== undefined) label.color = color;
+      if (description !== undefined) label.description = description;
+      label.updatedAt = Date.now();
+      await label.save();
+
+      return setSuccessResponse(res, StatusCodes.OK, true, { label, issuesUpdated }, 'Label updated successfully');
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, message: `The catalog already has the label '${name}'; merge the labels instead` });
+      }
+      console.error('Error updating label:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+router.delete('/:labelId', [projectIdValidator, labelIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { project, label, error } = await loadProjectAndLabel(req.params);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    await Label.deleteOne({ _id: label._id });
+    let issuesUpdated = 0;
+    if (req.query.removeFromIssues === 'true') {
+      issuesUpdated = await removeLabelFromIssues(project._id, label.name, {
+        actorId: getActorId(req),
+        source: 'label_delete',
+      });
+    }
+
+    return setSuccessResponse(res, StatusCodes.OK, true, { issuesUpdated }, 'Label deleted successfully');
+  } catch (err) {
+    console.error('Error deleting label:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{projectId}/labels/{labelId}/merge:
+ *   post:
+ *     summary: Merge other labels into a catalog label
+ *     description: |
+ *       Every issue carrying one of the source labels (any case) gets the target label instead.
+ *       Sources may be catalog labels, which are then removed from the catalog, or free-form labels found on issues.
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         description: The label to keep
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sources
+ *             properties:
+ *               sources:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["ui", "front-end"]
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Labels merged successfully
+ *       404:
+ *         description: Project or label not found
+ *       422:
+ *         description: Invalid request
+ *       500:
+ *         description: Server error
+ */
+router.post('/:labelId/merge',
+  [
+    projectIdValidator,
+    labelIdValidator,
+    body('sources').isArray({ min: 1 }).withMessage('sources must be a non-empty array of label names'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { project, label, error } = await loadProjectAndLabel(req.params);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      const sources = parseLabelList(req.body.sources);
+      // merging a label into itself only fixes the spelling of its case variants
+      const mergedNames = sources
+        .map(normalizeLabelName)
+        .filter(normalized => normalized !== label.normalizedName);
+
+      const issuesUpdated = await rewriteIssueLabels(project._id, [...sources, label.name], label.name, {
+        actorId: getActorId(req),
+        source: 'label_merge',
+      });
+      const { deletedCount } = await Label.deleteMany({ projectId: project._id, normalizedName: { $in: mergedNames } });
+
+      return setSuccessResponse(res, StatusCodes.OK, true, {
+        label,
+        issuesUpdated,
+        removedFromCatalog: deletedCount,
+      }, 'Labels merged successfully');
+    } catch (err) {
+      console.error('Error merging labels:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
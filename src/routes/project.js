@@ -9,6 +9,20 @@ const mongoose= require("mongoose");
 const Sprint = require('../models/Sprint');
 const { setSuccessResponse } = require('../utils/sendResponse');
 const {StatusCodes} = require("http-status-codes");
+const { getWorkflow, validateWorkflowDefinition } = require('../services/WorkflowService');
+const { snapshotIssue, recordBulkChanges } = require('../services/IssueHistoryService');
+const { getActorId } = require('../utils/requestActor');
+const { QueryError, PROJECT_QUERY_FIELDS, parseQuery, resolveSortParam, findSorted } = require('../utils/queryLanguage');
+const { normalizeKey, isValidKey, isKeyTaken, suggestProjectKey, renameProjectKey } = require('../services/ProjectKeyService');
+const { validateCustomFieldDefinitions } = require('../services/CustomFieldService');
+const { setEntityTag, matchesIfMatch, isVersionError, conflictResponse, concurrentEditResponse } = require('../utils/concurrency');
+const { upload } = require('../middleware/csvUploadMiddleware');
+const S3StorageService = require('../services/S3StorageService');
+const { MB } = require('../services/StorageQuotaService');
+const { parseJiraExport } = require('../services/JiraExportParser');
+const { parseJiraMapping, planJiraImport, commitJiraImport } = require('../services/JiraImportService');
+
+const KEY_FORMAT_MESSAGE = 'Project key must be 2-10 characters, start with a letter and contain only letters and digits';
 
 
 /**
@@ -32,6 +46,10 @@ const {StatusCodes} = require("http-status-codes");
  *             properties:
  *               name:
  *                 type: string
+ *               key:
+ *                 type: string
+ *                 description: Prefix of issue keys (e.g. "KW"). Generated from the name when omitted.
+ *                 example: "KW"
  *               description:
  *                 type: string
  *               ownerId:
@@ -103,6 +121,8 @@ const {StatusCodes} = require("http-status-codes");
  *                             enum: [low, medium, high]
  *       400:
  *         description: Invalid input or validation error
+ *       409:
+ *         description: Project name or key already in use
  *       401:
  *         description: Unauthorized - missing or invalid token
  *       500:
@@ -114,6 +134,7 @@ router.post(
     body('name').notEmpty().withMessage('Name is required'),
     body('description').notEmpty().withMessage('Description is required'),
     body('ownerId').isMongoId().withMessage('Valid ownerId is required'),
+    body('key').customSanitizer(normalizeKey).custom(isValidKey).withMessage(KEY_FORMAT_MESSAGE).optional(),
     body('members').isArray().withMessage('Members must be an array').optional(), // members should be an array, optional
     body('members.*').isMongoId().withMessage('Each memberId must be a valid ObjectId').optional(), // Each member ID in the array must be a valid ObjectId
     // Validate each memberId exists in the Employee collection
@@ -133,7 +154,7 @@ router.post(
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { name, description, ownerId, members = [], status = 'active', backlog = [] } = req.body;
+    const { name, key, description, ownerId, members = [], status = 'active', backlog = [] } = req.body;
     try {
       // check for duplicate project
       const existingProject = await Project.findOne({name});
@@ -143,6 +164,11 @@ router.post(
           message: 'Project already exists.',
         });
       }
+
+      // keys stay reserved after a rename so old issue keys remain unambiguous
+      if (key && await isKeyTaken(key)) {
+        return res.status(409).json({ success: false, message: `Project key ${key} is already in use` });
+      }
       // Validate ownerId by fetching employee
       const employee = await getEmployeeById(ownerId);
       if (!employee || !employee.data || !employee.data.profile.emp_id) {
@@ -155,6 +181,8 @@ router.post(
       // Create project
       const project = new Project({
         name,
+        key: key || await suggestProjectKey(name),
+        issueCounter: 0,
         description,
         ownerId,
         members,
@@ -197,6 +225,189 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /projects/import/jira:
+ *   post:
+ *     summary: Import projects from a Jira export
+ *     description: |
+ *       Reads a Jira CSV export ("Export CSV (all fields)") or JSON export (the search API response, with
+ *       `expand=names` so custom fields such as Sprint and Epic Link can be recognised) and creates one project
+ *       per Jira project with its issues, epics, parent/subtask links and sprints. The import is all or nothing.
+ *
+ *       When the Jira project key is free it becomes the project key and issues keep their Jira keys. Otherwise
+ *       the project gets a key from its name and each issue keeps its Jira key as an alias, so
+ *       `GET /issues/key/{issueKey}` still finds it.
+ *
+ *       Statuses, priorities, issue types and users are mapped through `mapping`; Jira names are matched
+ *       case-insensitively. Without a mapping, statuses named like a workflow status keep it and others
+ *       fall back to their Jira status category; common Jira priorities and types have defaults. Unmapped
+ *       assignees are left unassigned and unmapped reporters become the owner. The report lists what was
+ *       skipped, unmapped or not imported (comments and attachments).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - ownerId
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Jira CSV or JSON export
+ *               ownerId:
+ *                 type: string
+ *                 description: Owner of the created projects
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object with statuses, priorities, issueTypes and users (Jira email, account id or name to employee id)
+ *                 example: '{"statuses": {"Code Review": "in_review", "QA": "in_testing"}, "priorities": {"P1": {"priority": "high", "priorityLevel": "Critical"}}, "issueTypes": {"Spike": "task"}, "users": {"jane@example.com": "64b7f0c2a1e4d3f5b6c7d8e9"}}'
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *       201:
+ *         description: Projects imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     projects:
+ *                       type: integer
+ *                     issues:
+ *                       type: integer
+ *                     epics:
+ *                       type: integer
+ *                     subtasks:
+ *                       type: integer
+ *                     sprints:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       jiraKey:
+ *                         type: string
+ *                       key:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       issues:
+ *                         type: integer
+ *                       sprints:
+ *                         type: integer
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       jiraKey:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       jiraKey:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                 unmapped:
+ *                   type: object
+ *                   description: Jira statuses, priorities, issueTypes and users without a mapping, each with its count and what it was imported as
+ *                 notImported:
+ *                   type: object
+ *                   properties:
+ *                     comments:
+ *                       type: integer
+ *                     attachments:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Missing file, unreadable export, invalid mapping or owner
+ *       422:
+ *         description: The export cannot be imported (e.g. a project name is taken); nothing was imported
+ *       415:
+ *         description: The file is not a CSV or JSON file
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/import/jira', upload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded' });
+  }
+  try {
+    const { records, error: parseError } = await parseJiraExport(req.file.path, req.file.originalname);
+    if (parseError) {
+      return res.status(parseError.status).json({ success: false, message: parseError.message });
+    }
+
+    const { mapping, error: mappingError } = parseJiraMapping(req.body.mapping);
+    if (mappingError) {
+      const { status: httpStatus, ...error } = mappingError;
+      return res.status(httpStatus).json({ success: false, ...error });
+    }
+
+    const { ownerId } = req.body;
+    const owner = mongoose.Types.ObjectId.isValid(ownerId) ? await getEmployeeById(ownerId) : null;
+    if (!owner || !owner.data || !owner.data.profile.emp_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ownerId. No matching employee found in attendance system.',
+      });
+    }
+
+    const plan = await planJiraImport(records, { mapping, ownerId });
+    const { errors, ...report } = plan.report;
+
+    const dryRun = [req.body.dryRun, req.query.dryRun].some(value => value === true || value === 'true');
+    if (dryRun) {
+      return res.status(200).json({ success: true, dryRun: true, message: 'Nothing was imported (dry run)', errors, ...report });
+    }
+    if (errors.length > 0) {
+      return res.status(422).json({ success: false, message: 'Nothing was imported', errors, ...report });
+    }
+
+    const { projects } = await commitJiraImport(plan, { actorId: getActorId(req) });
+    return res.status(201).json({
+      success: true,
+      message: `Imported ${report.summary.issues} issue(s) into ${projects.length} project(s)`,
+      ...report,
+      data: projects,
+    });
+  } catch (err) {
+    console.error('Error importing Jira export:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // get all projects
 /**
  * @swagger
@@ -223,17 +434,17 @@ router.post(
  *           default: 10
  *       - in: query
  *         name: search
- *         description: Search for projects by name or description (case-insensitive)
+ *         description: Full-text search over project name, key and description (whole words)
  *         required: false
  *         schema:
  *           type: string
  *       - in: query
  *         name: filter
- *         description: A JSON object to filter projects (e.g., {"status": "active"})
+ *         description: Query language filter (e.g. `status = active AND member = me ORDER BY name`). `me` stands for the actorId.
  *         required: false
  *         schema:
  *           type: string
- *           example: '{"status": "active"}'
+ *           example: 'status in (active, completed) AND owner = me'
  *       - in: query
  *         name: sort
  *         description: The field to sort the projects by (e.g., "name", "createdAt")
@@ -429,29 +640,33 @@ router.get('/', async (req, res) => {
     const projectFilter = {};
     projectFilter.isDeleted = false;
 
-    // Add search functionality (search in name or description)
+    // Add search functionality (text index over name, key and description)
     if (search) {
-      const searchRegex = new RegExp(search, 'i'); 
-      projectFilter.$or = [
-        { name: { $regex: searchRegex } },
-        { description: { $regex: searchRegex } }
-      ];
+      projectFilter.$text = { $search: String(search) };
     }
 
-    // Add filter functionality (parse the filter if provided)
-    if (filter) {
-      try {
-        const parsedFilter = JSON.parse(filter); // Parse filter if it's passed as a JSON string
-        Object.assign(projectFilter, parsedFilter); // Merge parsed filter with projectFilter
-      } catch (err) {
-        return res.status(400).json({ success: false, message: 'Invalid filter format' });
+    // Parse the query language filter; only whitelisted project fields can be queried
+    let parsedQuery;
+    try {
+      parsedQuery = parseQuery(filter, PROJECT_QUERY_FIELDS, { actorId: getActorId(req) });
+    } catch (err) {
+      if (err instanceof QueryError) {
+        return res.status(400).json({ success: false, message: `Invalid filter: ${err.message}`, position: err.position });
       }
+      throw err;
+    }
+    if (Object.keys(parsedQuery.filter).length > 0) {
+      projectFilter.$and = [parsedQuery.filter];
     }
 
-    // Prepare sorting object
-    const sortObject = {};
-    if (sort && sortOrder) {
-      sortObject[sort] = sortOrder === 'desc' ? -1 : 1;
+    // Prepare sorting object; ORDER BY in the filter wins over the sort parameters
+    let sortEntries = parsedQuery.sort;
+    if (sortEntries.length === 0) {
+      const sortEntry = resolveSortParam(PROJECT_QUERY_FIELDS, sort, sortOrder);
+      if (!sortEntry) {
+        return res.status(400).json({ success: false, message: `Cannot sort by '${sort}'` });
+      }
+      sortEntries = [sortEntry];
     }
 
     // Pagination
@@ -463,10 +678,7 @@ router.get('/', async (req, res) => {
     const hasNext = page < totalPages;
 
     // Fetch projects with the applied filters, pagination, and sorting
-    const projects = await Project.find(projectFilter)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort(sortObject); 
+    const projects = await findSorted(Project, projectFilter, sortEntries, skip, parseInt(limit));
 
     // Fetch employee details for the owner and members of each project
     const projectsWithEmployees = await Promise.all(projects.map(async (project) => {
@@ -477,6 +689,7 @@ router.get('/', async (req, res) => {
       return {
         id: project._id,
         name: project.name,
+        key: project.key,
         description: project.description,
         owner: {
           id: project?.ownerId,
@@ -519,12 +732,70 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /projects/storage:
+ *   get:
+ *     summary: Attachment storage statistics
+ *     description: S3 bucket totals (when S3 is configured) and each project's attachment usage against its quota, fullest first. Sizes are bytes.
+ *     tags: [Projects]
+ *     responses:
+ *       200:
+ *         description: Storage statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     s3Available:
+ *                       type: boolean
+ *                     totalFiles:
+ *                       type: integer
+ *                     totalSize:
+ *                       type: integer
+ *                     projects:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           projectId:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           key:
+ *                             type: string
+ *                           used:
+ *                             type: integer
+ *                           quota:
+ *                             type: integer
+ *                           percentUsed:
+ *                             type: number
+ *       500:
+ *         description: Server error
+ */
+router.get('/storage', async (req, res) => {
+  try {
+    const stats = await S3StorageService.getStorageStats();
+    return setSuccessResponse(res, StatusCodes.OK, true, stats, 'Storage statistics fetched successfully');
+  } catch (err) {
+    console.error('Error fetching storage statistics:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // get projects by id
 /**
  * @swagger
  * /projects/{id}:
  *   get:
  *     summary: Get a specific project by ID
+ *     description: The ETag header carries the project version (`__v`) to send back in If-Match when updating the project.
  *     tags: [Projects]
  *     parameters:
  *       - in: path
@@ -596,6 +867,7 @@ router.get('/:id',
       })),
     };
 
+    setEntityTag(res, project);
     return setSuccessResponse(res,StatusCodes.OK,true,projectWithEmployees,"Project fetched successfully");
   } catch (err) {
     console.error('Error fetching project:', err);
@@ -617,6 +889,12 @@ router.get('/:id',
  *         schema:
  *           type: string
  *         description: The ID of the project to update
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag (project version) from GET /projects/{id}; a stale version is rejected with 409
  *     requestBody:
  *       required: true
  *       content:
@@ -627,6 +905,10 @@ router.get('/:id',
  *               name:
  *                 type: string
  *                 description: The new name of the project (optional)
+ *               key:
+ *                 type: string
+ *                 description: New issue key prefix (optional). Existing issues are re-keyed and their old keys keep resolving.
+ *                 example: "KWEB"
  *               description:
  *                 type: string
  *                 description: The new description of the project (optional)
@@ -639,6 +921,10 @@ router.get('/:id',
  *                 items:
  *                   type: string
  *                   description: List of member IDs to validate (optional)
+ *               storageQuotaMb:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Attachment storage quota in MB (optional); null returns to the default (PROJECT_STORAGE_QUOTA_MB)
  *             required: []
  *     responses:
  *       200:
@@ -675,6 +961,10 @@ router.get('/:id',
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       409:
+ *         description: |
+ *           Project key already in use, or the If-Match version is stale. A stale version returns the `current`
+ *           project, its `currentVersion` and a `diff` listing each submitted field with the value now on the server.
  *       500:
  *         description: Server error
  *         content:
@@ -690,7 +980,9 @@ router.get('/:id',
 router.put('/:id', 
 [
     body('name').notEmpty().withMessage('Name is required'),
+    body('key').customSanitizer(normalizeKey).custom(isValidKey).withMessage(KEY_FORMAT_MESSAGE).optional(),
     body('description').isString().optional(),
+    body('storageQuotaMb').isFloat({ min: 0 }).withMessage('storageQuotaMb must be a number of MB, at least 0').optional({ values: 'null' }),
     body('members').isArray().withMessage('Members must be an array').optional(), // members should be an array, optional
     body('members.*').isMongoId().withMessage('Each memberId must be a valid ObjectId').optional(), // Each member ID in the array must be a valid ObjectId
     // Validate each memberId exists in the Employee collection
@@ -717,7 +1009,7 @@ router.put('/:id',
     }
 
   const { id } = req.params;
-  const { name, description, status, members } = req.body;
+  const { name, key, description, status, members, storageQuotaMb } = req.body;
 
   try {
   //  // Fetch all the employees by their IDs to validate if the member IDs exist in the employee database
@@ -739,20 +1031,39 @@ router.put('/:id',
     if (!project || project.isDeleted) {
       return res.status(404).json({ success: false, message: 'Project not found' });
     }
+    if (!matchesIfMatch(req, project)) {
+      setEntityTag(res, project);
+      return res.status(409).json(conflictResponse(project, { name, key, description, status, members }, 'Project'));
+    }
 
     if(name) project.name = name ;
     if(description) project.description = description;
     if(status) project.status = status ;
     if(members) project.members = members;
+    if (storageQuotaMb !== undefined) project.storageQuota = storageQuotaMb === null ? null : Math.round(Number(storageQuotaMb) * MB);
+
+    if (key && key !== project.key && await isKeyTaken(key, project._id)) {
+      return res.status(409).json({ success: false, message: `Project key ${key} is already in use` });
+    }
 
      project.updatedAt= Date.now();
 
     await project.save();
-        return setSuccessResponse(res,StatusCodes.CREATED,true,project,"Project updated successfully")
+
+    // re-key the project's issues; the old keys become aliases
+    const updatedProject = key ? await renameProjectKey(project, key) : project;
+    setEntityTag(res, updatedProject);
+        return setSuccessResponse(res,StatusCodes.CREATED,true,updatedProject,"Project updated successfully")
   } catch (err) {
       if (err.message.includes('Members with IDs')) {
         return res.status(400).json({ success: false, message: err.message });
       }
+    // someone saved the project between our read and our write
+    if (isVersionError(err)) {
+      const current = await Project.findById(id);
+      setEntityTag(res, current);
+      return res.status(409).json(conflictResponse(current, { name, key, description, status, members }, 'Project'));
+    }
     // generic error
     console.error('Error updating project:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
@@ -810,6 +1121,9 @@ router.delete('/:id',
     // return res.status(200).json({ success: true, message: 'Project marked as deleted' });
     return setSuccessResponse(res,StatusCodes.CREATED,true,null,"Project deleted sucessfully");
   } catch (err) {
+    if (isVersionError(err)) {
+      return res.status(409).json(concurrentEditResponse('Project'));
+    }
     console.error('Error deleting project:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -959,6 +1273,9 @@ async (req, res) => {
     // Return success response
     return setSuccessResponse(res, StatusCodes.CREATED, true, project, ` ${addOrRemLen} Member/Members added or removed successfully`);
   } catch (err) {
+    if (isVersionError(err)) {
+      return res.status(409).json(concurrentEditResponse('Project'));
+    }
     // Catch specific errors from the validation
     if (err.message.includes('Invalid member IDs')) {
       return res.status(400).json({ success: false, message: err.message });
@@ -971,6 +1288,387 @@ async (req, res) => {
 });
 
 
+// get project workflow
+/**
+ * @swagger
+ * /projects/{id}/workflow:
+ *   get:
+ *     summary: Get the issue workflow of a project
+ *     description: Returns the project's statuses, their categories and the allowed transitions. Projects without a configured workflow use the default one.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workflow fetched successfully
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/workflow',
+  [
+    param('id')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid project ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+
+      const isDefault = !project.workflow || project.workflow.statuses.length === 0;
+      return setSuccessResponse(res, StatusCodes.OK, true, { ...getWorkflow(project), isDefault }, 'Workflow fetched successfully');
+    } catch (err) {
+      console.error('Error fetching workflow:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// replace project workflow
+/**
+ * @swagger
+ * /projects/{id}/workflow:
+ *   put:
+ *     summary: Replace the issue workflow of a project
+ *     description: |
+ *       Statuses are grouped into the categories backlog, todo, in_progress and done. The categories drive
+ *       sprint start/end and time logging. An empty transitions list allows any move; a transition with
+ *       from '*' allows the move from every status. Issues still using a removed status must be moved with statusMapping.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - statuses
+ *             properties:
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: "in_review"
+ *                     name:
+ *                       type: string
+ *                       example: "In Review"
+ *                     category:
+ *                       type: string
+ *                       enum: [backlog, todo, in_progress, done]
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       example: "in_progress"
+ *                     to:
+ *                       type: string
+ *                       example: "in_review"
+ *               statusMapping:
+ *                 type: object
+ *                 description: Moves issues from removed statuses to new ones
+ *                 example: { "in_testing": "in_review" }
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Invalid workflow definition
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Issues still use statuses that the new workflow removes
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/workflow',
+  [
+    param('id')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid project ID'),
+    body('statuses').isArray({ min: 1 }).withMessage('statuses must be a non-empty array'),
+    body('transitions').optional().isArray().withMessage('transitions must be an array'),
+    body('statusMapping').optional().isObject().withMessage('statusMapping must be an object'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { statuses, transitions = [], statusMapping = {} } = req.body;
+
+    try {
+      const project = await Project.findById(id);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+
+      const definitionErrors = validateWorkflowDefinition({ statuses, transitions });
+      if (definitionErrors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid workflow', errors: definitionErrors });
+      }
+
+      const newKeys = new Set(statuses.map(status => status.key));
+      const invalidTargets = Object.values(statusMapping).filter(target => !newKeys.has(target));
+      if (invalidTargets.length > 0) {
+        return res.status(400).json({ success: false, message: `statusMapping targets unknown statuses: ${invalidTargets.join(', ')}` });
+      }
+
+      // issues sitting in a removed status must be mapped somewhere, trashed ones too since they can be restored
+      const usedStatuses = await Issue.distinct('status', { projectId: id });
+      const orphaned = usedStatuses.filter(status => !newKeys.has(status) && !statusMapping[status]);
+      if (orphaned.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Issues still use statuses removed by this workflow: ${orphaned.join(', ')}. Provide a statusMapping for them.`,
+        });
+      }
+
+      project.workflow = {
+        statuses: statuses.map(({ key, name, category }) => ({ key, name: name || key, category })),
+        transitions: transitions.map(({ from, to }) => ({ from, to })),
+      };
+      project.updatedAt = Date.now();
+      await project.save();
+
+      // move issues off removed statuses and record it in their history
+      const removedStatuses = usedStatuses.filter(status => !newKeys.has(status));
+      if (removedStatuses.length > 0) {
+        const issues = await Issue.find({ projectId: id, status: { $in: removedStatuses } });
+        // an issue whose status changed in between is left alone and gets no history entry
+        const writtenEntries = [];
+        for (const issue of issues) {
+          const before = snapshotIssue(issue);
+          const result = await Issue.updateOne(
+            { _id: issue._id, status: before.status },
+            { $set: { status: statusMapping[before.status] }, $inc: { __v: 1 } }
+          );
+          if (result.modifiedCount > 0) writtenEntries.push({ issue, before, after: { ...before, status: statusMapping[before.status] } });
+        }
+        await recordBulkChanges(writtenEntries, { actorId: getActorId(req), source: 'workflow_migration' });
+      }
+
+      return setSuccessResponse(res, StatusCodes.OK, true, getWorkflow(project), 'Workflow updated successfully');
+    } catch (err) {
+      if (isVersionError(err)) {
+        return res.status(409).json(concurrentEditResponse('Project'));
+      }
+      console.error('Error updating workflow:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// get project custom fields
+/**
+ * @swagger
+ * /projects/{id}/custom-fields:
+ *   get:
+ *     summary: Get the custom fields of a project's issues
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom fields fetched successfully
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Replace the custom fields of a project's issues
+ *     description: |
+ *       Field types are text, number, date, select, multiselect and employee. Issues set values in `customFields`
+ *       by field key, and listings filter and sort on them as `cf.<key>`. Values of removed fields are deleted;
+ *       the type of a field in use cannot change and options in use cannot be removed.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fields
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: "environment"
+ *                     name:
+ *                       type: string
+ *                       example: "Environment"
+ *                     type:
+ *                       type: string
+ *                       enum: [text, number, date, select, multiselect, employee]
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["production", "staging"]
+ *                     required:
+ *                       type: boolean
+ *                     description:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Custom fields updated successfully
+ *       400:
+ *         description: Invalid field definitions
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A field in use would change type or lose options that issues still use
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/custom-fields',
+  [
+    param('id')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid project ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+
+      return setSuccessResponse(res, StatusCodes.OK, true, project.customFields, 'Custom fields fetched successfully');
+    } catch (err) {
+      console.error('Error fetching custom fields:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// replace project custom fields
+router.put('/:id/custom-fields',
+  [
+    param('id')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Invalid project ID'),
+    body('fields').isArray().withMessage('fields must be an array'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { fields } = req.body;
+
+    try {
+      const project = await Project.findById(id);
+      if (!project || project.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Project not found' });
+      }
+
+      const definitionErrors = validateCustomFieldDefinitions(fields);
+      if (definitionErrors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid custom fields', errors: definitionErrors });
+      }
+
+      // values already stored must stay valid
+      const conflicts = [];
+      for (const field of fields) {
+        const current = project.customFields.find(existing => existing.key === field.key);
+        if (!current) continue;
+        const used = await Issue.distinct(`customFields.${field.key}`, { projectId: id, isDeleted: false });
+        if (used.length === 0) continue;
+        if (current.type !== field.type) {
+          conflicts.push(`'${field.key}' is in use and cannot change from ${current.type} to ${field.type}`);
+        } else if (['select', 'multiselect'].includes(field.type)) {
+          const removed = used.filter(value => !field.options.includes(value));
+          if (removed.length > 0) {
+            conflicts.push(`'${field.key}' options still in use: ${removed.join(', ')}`);
+          }
+        }
+      }
+      if (conflicts.length > 0) {
+        return res.status(409).json({ success: false, message: 'Issues still use these custom field values', errors: conflicts });
+      }
+
+      const newKeys = new Set(fields.map(field => field.key));
+      const removedKeys = project.customFields.map(field => field.key).filter(key => !newKeys.has(key));
+
+      project.customFields = fields.map(({ key, name, type, options = [], required = false, description = '' }) => ({
+        key,
+        name: name || key,
+        type,
+        options: ['select', 'multiselect'].includes(type) ? options : [],
+        required: required === true,
+        description,
+      }));
+      project.updatedAt = Date.now();
+      await project.save();
+
+      if (removedKeys.length > 0) {
+        await Issue.updateMany(
+          { projectId: id },
+          { $unset: Object.fromEntries(removedKeys.map(key => [`customFields.${key}`, ''])), $inc: { __v: 1 } }
+        );
+      }
+
+      return setSuccessResponse(res, StatusCodes.OK, true, project.customFields, 'Custom fields updated successfully');
+    } catch (err) {
+      if (isVersionError(err)) {
+        return res.status(409).json(concurrentEditResponse('Project'));
+      }
+      console.error('Error updating custom fields:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /projects/{projectId}/analytics:
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const Project = require('../models/Project');
+const { getVisibleProjectIds } = require('../services/ProjectAccessService');
+const { findIssueByKey } = require('../services/ProjectKeyService');
+const { extractSearchTerms, buildSnippet } = require('../utils/textHighlight');
+const { getActorId } = require('../utils/requestActor');
+
+// upper bound of text matches read per collection before ranking
+const MAX_MATCHES = 200;
+// a comment match counts for less than a match on the issue itself
+const COMMENT_SCORE_WEIGHT = 0.5;
+// an exact key lookup always ranks first
+const EXACT_KEY_SCORE = 1000;
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search issues and comments across the projects the caller can see
+ *     description: |
+ *       Ranked full-text search over issue titles, keys, labels, descriptions and comments.
+ *       Each result lists the fields that matched with snippets in which the matched words are wrapped in `<mark>` tags.
+ *       Only projects the actor owns or is a member of are searched.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: Words to search for; "quoted phrases" and -excluded words are supported
+ *         schema:
+ *           type: string
+ *         example: 'login redirect'
+ *       - in: query
+ *         name: actorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: projectId
+ *         description: Limit the search to one of the visible projects
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeComments
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *       422:
+ *         description: Missing search text or actorId
+ *       500:
+ *         description: Server error
+ */
+router.get('/',
+  [
+    query('q').isString().trim().notEmpty().withMessage('Search text (q) is required'),
+    query('projectId').optional().isMongoId().withMessage('Invalid project ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const actorId = getActorId(req);
+    if (!actorId) {
+      return res.status(422).json({ success: false, message: 'Valid actorId is required' });
+    }
+
+    const { q, projectId, includeComments = 'true' } = req.query;
+    const page = parseInt(req.query.page || 1);
+    const limit = parseInt(req.query.limit || 20);
+
+    try {
+      let projectIds = await getVisibleProjectIds(actorId);
+      if (projectId) {
+        projectIds = projectIds.filter(id => id.toString() === projectId);
+      }
+      const visible = new Set(projectIds.map(id => id.toString()));
+      const terms = extractSearchTerms(q);
+
+      // one entry per issue, collecting its score and the fields that matched
+      const results = new Map();
+      const addResult = (issue, score, match) => {
+        const id = issue._id.toString();
+        if (!results.has(id)) {
+          results.set(id, { issue, score: 0, matches: [] });
+        }
+        const result = results.get(id);
+        result.score += score;
+        const duplicate = match && match.field !== 'comment' && result.matches.some(item => item.field === match.field);
+        if (match && !duplicate) result.matches.push(match);
+      };
+
+      const issueMatches = await Issue.find(
+        { $text: { $search: q }, projectId: { $in: projectIds }, isDeleted: false },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_MATCHES)
+        .lean();
+
+      issueMatches.forEach(issue => {
+        addResult(issue, issue.score, null);
+        ['title', 'key', 'labels', 'description'].forEach(field => {
+          const value = field === 'labels' ? (issue.labels || []).join(', ') : issue[field];
+          const snippet = buildSnippet(value, terms);
+          if (snippet) results.get(issue._id.toString()).matches.push({ field, snippet });
+        });
+      });
+
+      // keys like "KW-12" are split into words by the text index, so look them up directly too
+      const keyMatch = await findIssueByKey(q.trim());
+      if (keyMatch && !keyMatch.isDeleted && visible.has(keyMatch.projectId.toString())) {
+        addResult(keyMatch, EXACT_KEY_SCORE, { field: 'key', snippet: `<mark>${keyMatch.key}</mark>` });
+      }
+
+      if (includeComments !== 'false') {
+        // only comments on visible issues compete for the MAX_MATCHES slots, so the issue is joined before the limit
+        const commentMatches = await Comment.aggregate([
+          { $match: { $text: { $search: q }, isDeleted: false } },
+          { $lookup: { from: Issue.collection.name, localField: 'issueId', foreignField: '_id', as: 'issue' } },
+          { $match: { 'issue.projectId': { $in: projectIds }, 'issue.isDeleted': false } },
+          { $addFields: { score: { $meta: 'textScore' } } },
+          { $sort: { score: -1 } },
+          { $limit: MAX_MATCHES },
+          { $project: { issue: 0 } },
+        ]);
+
+        const commentIssues = await Issue.find({
+          _id: { $in: commentMatches.map(comment => comment.issueId) },
+          projectId: { $in: projectIds },
+          isDeleted: false,
+        }).lean();
+        const issuesById = new Map(commentIssues.map(issue => [issue._id.toString(), issue]));
+
+        commentMatches.forEach(comment => {
+          const issue = issuesById.get(comment.issueId.toString());
+          if (!issue) return;
+          addResult(issue, comment.score * COMMENT_SCORE_WEIGHT, {
+            field: 'comment',
+            commentId: comment._id,
+            authorId: comment.authorId,
+            snippet: buildSnippet(comment.body, terms),
+          });
+        });
+      }
+
+      const ranked = [...results.values()].sort((a, b) => b.score - a.score);
+      const pageResults = ranked.slice((page - 1) * limit, page * limit);
+
+      const projects = await Project.find(
+        { _id: { $in: [...new Set(pageResults.map(result => result.issue.projectId.toString()))] } },
+        'name key'
+      );
+      const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+
+      const data = pageResults.map(({ issue, score, matches }) => {
+        const project = projectsById.get(issue.projectId.toString());
+        return {
+          issue: {
+            id: issue._id,
+            key: issue.key,
+            title: issue.title,
+            type: issue.type,
+            status: issue.status,
+            assigneeId: issue.assigneeId,
+          },
+          project: { id: issue.projectId, name: project?.name, key: project?.key },
+          score: Math.round(score * 1000) / 1000,
+          matches,
+        };
+      });
+
+      const totalPages = Math.ceil(ranked.length / limit);
+      return res.status(200).json({
+        success: true,
+        data,
+        count: ranked.length,
+        totalPages,
+        currentPage: page,
+        next: page < totalPages,
+      });
+    } catch (err) {
+      console.error('Error searching issues:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -9,6 +9,19 @@ const { getEmployeeById } = require('../services/EmployeeFetchService');
 const { validateDates } = require('../utils/dateValidation');
 const { setSuccessResponse } = require('../utils/sendResponse');
 const { StatusCodes } = require('http-status-codes');
+const { snapshotIssue, recordIssueChanges, recordBulkChanges } = require('../services/IssueHistoryService');
+const { getActorId } = require('../utils/requestActor');
+const { isVersionError, concurrentEditResponse } = require('../utils/concurrency');
+const {
+  getWorkflow,
+  getSprintStartStatus,
+  getSprintEndStatus,
+  getWorkStartStatus,
+  validateTransition,
+} = require('../services/WorkflowService');
+const { checkBlockersForStatus } = require('../services/IssueLinkService');
+const { findSorted } = require('../utils/queryLanguage');
+const { resolveIssueListQuery, describeView } = require('../services/SavedFilterService');
 
 
 
@@ -151,6 +164,8 @@ router.post(
  *                   $ref: '#/components/schemas/Sprint'
  *       404:
  *         description: Issue or Sprint not found
+ *       409:
+ *         description: The project workflow does not allow moving the issue to its sprint status
  *         content:
  *           application/json:
  *             schema:
@@ -213,14 +228,29 @@ router.put('/add-to-sprint/:issueId',
         return res.status(409).json({ success: false, message: 'Issue is already part of another active sprint' });
       }
 
+    // Change issue status to the workflow's "To Do" status when it's added to the sprint
+    const workflow = getWorkflow(await Project.findById(sprint.projectId));
+    const sprintStatus = getSprintStartStatus(workflow);
+    const statusError = validateTransition(workflow, issue.status, sprintStatus);
+    if (statusError) {
+      return res.status(409).json({ success: false, message: statusError });
+    }
+
     // Add the issue to the sprint's issues array
+    const before = snapshotIssue(issue);
     sprint.issues.push(issue._id);
-    issue.status = 'to_do';  // Change issue status to "To Do" when it's added to the sprint
-    await sprint.save();
+    issue.sprintId = sprint._id;
+    issue.status = sprintStatus;
+    // the issue first: a concurrent edit of it refuses the save before the sprint changes
     await issue.save();
+    await sprint.save();
+    await recordIssueChanges(issue, before, { actorId: getActorId(req), source: 'add_to_sprint' });
 
     return setSuccessResponse(res,StatusCodes.CREATED,true,sprint,"Issue added to the sprint and status updated to to_do");
   } catch (err) {
+    if (isVersionError(err)) {
+      return res.status(409).json(concurrentEditResponse('Issue'));
+    }
     console.error('Error adding issue to sprint:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -255,6 +285,8 @@ router.put('/add-to-sprint/:issueId',
  *                 message:
  *                   type: string
  *                   example: Sprint started and issues updated
+ *       409:
+ *         description: Some issues cannot move to the sprint status under the project workflow
  *       404:
  *         description: Sprint not found or already active
  *         content:
@@ -301,15 +333,38 @@ router.put('/start-sprint/:sprintId',
       return res.status(404).json({ success: false, message: 'Sprint not found or already started' });
     }
 
+    // every issue must be allowed to move to the workflow's "To Do" status before anything changes
+    const workflow = getWorkflow(await Project.findById(sprint.projectId));
+    const sprintStatus = getSprintStartStatus(workflow);
+    const issues = await Issue.find({ _id: { $in: sprint.issues }, isDeleted: false });
+    const blockedIssues = issues
+      .map(issue => ({ issueId: issue._id, key: issue.key, message: validateTransition(workflow, issue.status, sprintStatus) }))
+      .filter(result => result.message);
+    if (blockedIssues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some issues cannot move to the sprint status under the project workflow',
+        errors: blockedIssues,
+      });
+    }
+
     // Update sprint status to 'active'
     sprint.status = 'active';
     await sprint.save();
 
-    // Update all issues status to 'to_do' when sprint starts
-    await Issue.updateMany(
-      { _id: { $in: sprint.issues } },
-      { status: 'to_do' }
-    );
+    // Move the issues to the "To Do" status when the sprint starts. Like ending a sprint, each update is
+    // filtered on the status that was read, and trashed issues are left alone
+    const writtenEntries = [];
+    for (const issue of issues) {
+      const before = snapshotIssue(issue);
+      if (before.status === sprintStatus) continue;
+      const result = await Issue.updateOne(
+        { _id: issue._id, status: before.status, isDeleted: false },
+        { $set: { status: sprintStatus }, $inc: { __v: 1 } }
+      );
+      if (result.modifiedCount > 0) writtenEntries.push({ issue, before, after: { ...before, status: sprintStatus } });
+    }
+    await recordBulkChanges(writtenEntries, { actorId: getActorId(req), source: 'sprint_start' });
 
     return setSuccessResponse(res,StatusCodes.CREATED,true,sprint,"sprint started and issues updated")
   } catch (err) {
@@ -374,6 +429,8 @@ router.put('/start-sprint/:sprintId',
  *                 message:
  *                   type: string
  *                   example: Sprint not found
+ *       409:
+ *         description: Some issues cannot be closed out under the project workflow
  *       500:
  *         description: Internal server error
  *         content:
@@ -419,37 +476,62 @@ router.post('/end-sprint/:sprintId',
         message: 'Cannot end sprint as there are unfinished time logs. Please complete all tasks.'
       });
     }
+    // Work out where each issue lands: started work is closed, untouched work goes back to the backlog
+    const workflow = getWorkflow(await Project.findById(sprint.projectId));
+    const issues = await Issue.find({ _id: { $in: sprint.issues }, isDeleted: false });
+    const historyEntries = issues.map(issue => {
+      const before = snapshotIssue(issue);
+      const status = getSprintEndStatus(workflow, issue.status) || issue.status;
+      return { issue, before, after: { ...before, status } };
+    });
+
+    const blockedIssues = historyEntries
+      .map(entry => ({
+        issueId: entry.issue._id,
+        key: entry.issue.key,
+        message: validateTransition(workflow, entry.before.status, entry.after.status),
+      }))
+      .filter(result => result.message);
+    if (blockedIssues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some issues cannot be closed out under the project workflow',
+        errors: blockedIssues,
+      });
+    }
+
     // Mark the sprint as completed
     sprint.status = 'completed';
     sprint.updatedAt = Date.now();
     await sprint.save();
 
-    // Update the issues associated with this sprint
-    await Issue.updateMany(
-      { _id: { $in: sprint.issues } },
-      [
-        {
-          $set: {
-            status: {
-              $cond: {
-                if: { $eq: ['$status', 'in_progress'] }, 
-                then: 'done',
-                else: {
-                  $cond: {
-                    if: { $eq: ['$status', 'to_do'] }, 
-                    then: 'backlog',
-                    else: 'done',
-                  },
-                },
-              },
-            },
-          },
-        },
-      ]
-    );
+    // filter on the status that was read; an issue whose status changed in between is left alone and gets
+    // no history entry, so the recorded history matches what was written
+    const writtenEntries = [];
+    for (const entry of historyEntries) {
+      if (entry.before.status === entry.after.status) {
+        writtenEntries.push(entry);
+        continue;
+      }
+      const result = await Issue.updateOne(
+        { _id: entry.issue._id, status: entry.before.status, isDeleted: false },
+        { $set: { status: entry.after.status }, $inc: { __v: 1 } }
+      );
+      if (result.modifiedCount > 0) writtenEntries.push(entry);
+    }
+    await recordBulkChanges(writtenEntries, { actorId: getActorId(req), source: 'sprint_end' });
+
+    // ending a sprint always closes started work, but flag issues closed while their blockers are still open
+    const warnings = [];
+    for (const entry of writtenEntries) {
+      const { blockers } = await checkBlockersForStatus(entry.issue, workflow, entry.after.status, true);
+      if (blockers.length > 0) {
+        warnings.push({ issueId: entry.issue._id, key: entry.issue.key, blockers });
+      }
+    }
 
     // return res.status(200).json({ success: true, message: 'Sprint completed and issues updated' });
-      return setSuccessResponse(res,StatusCodes.CREATED,"Sprint completed and issues updated");
+      return setSuccessResponse(res,StatusCodes.CREATED,true,{ warnings },"Sprint completed and issues updated");
   } catch (err) {
     console.error('Error ending sprint:', err);
     return res.status(500).json({ success: false, message: 'Server error' });
@@ -546,6 +628,9 @@ router.post('/time-log/stop',[
     
     return setSuccessResponse(res,StatusCodes.CREATED,true,{timeSpentInMs:timeSpent},"Time log stopped");
   } catch (error) {
+    if (isVersionError(error)) {
+      return res.status(409).json(concurrentEditResponse('Issue'));
+    }
     console.error('Error stopping time log:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -566,6 +651,22 @@ router.post('/time-log/stop',[
  *         description: The ID of the sprint to fetch issues for
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: filter
+ *         description: Query language filter, same syntax as GET /issues/{projectId}
+ *         schema:
+ *           type: string
+ *         example: 'status != done AND assignee = me ORDER BY priority DESC'
+ *       - in: query
+ *         name: filterId
+ *         description: Saved filter to apply; combined with `filter` when both are given
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         description: Employee that `me` refers to
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: List of issues in the sprint
@@ -630,11 +731,8 @@ router.get('/:sprintId/issues', async (req, res) => {
     page = 1,
     limit = 10,
     search,
-    filter,
-    sort = 'createdAt', 
     startDate, // yyyy-mm-dd
     endDate, // yyyy-mm-dd
-    sortOrder = 'asc',
   } = req.query;
 
   try {
@@ -650,24 +748,21 @@ router.get('/:sprintId/issues', async (req, res) => {
     // Define the base filter for the issues
     const issueFilter = { _id: { $in: issueIds } };
 
-    // Implement search functionality
+    // Implement search functionality (text index over title, description, labels and key)
     if (search) {
-      const searchRegex = new RegExp(search, 'i');
-      issueFilter.$or = [
-        { title: { $regex: searchRegex } },
-        { description: { $regex: searchRegex } },
-      ];
+      issueFilter.$text = { $search: String(search) };
     }
 
-    // Handle additional filters passed by the user
-    if (filter) {
-      try {
-        const parsedFilter = JSON.parse(filter);
-        Object.assign(issueFilter, parsedFilter);
-      } catch (err) {
-        return res.status(400).json({ success: false, message: 'Invalid filter format' });
-      }
+    // Apply the saved filter (filterId) and the query language filter, e.g. status = to_do AND assignee = me
+    const listQuery = await resolveIssueListQuery(req.query, getActorId(req), 'createdAt', { projectId: sprint.projectId });
+    if (listQuery.error) {
+      const { status, ...error } = listQuery.error;
+      return res.status(status).json({ success: false, ...error });
     }
+    if (Object.keys(listQuery.filter).length > 0) {
+      issueFilter.$and = [listQuery.filter];
+    }
+    const sortEntries = listQuery.sort;
 
      // Handle date range filter
     if (startDate || endDate) {
@@ -690,12 +785,6 @@ router.get('/:sprintId/issues', async (req, res) => {
       issueFilter.createdAt = dateFilter;
     }
 
-    // Prepare sorting object
-    const sortObject = {};
-    if (sort && sortOrder) {
-      sortObject[sort] = sortOrder === 'desc' ? -1 : 1; // sort descending or ascending based on user input
-    }
-
     // Pagination logic
     const skip = (page - 1) * limit;
     const totalIssues = await Issue.countDocuments(issueFilter); // Get total issue count based on issueFilter
@@ -703,10 +792,7 @@ router.get('/:sprintId/issues', async (req, res) => {
     const hasNext = page < totalPages; // Check if there's a next page
 
     // Fetch issues with pagination, sorting, and filtering
-    const issues = await Issue.find(issueFilter)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort(sortObject);
+    const issues = await findSorted(Issue, issueFilter, sortEntries, skip, parseInt(limit));
 
     // Fetch additional details like assignee, reporter, and project for each issue
     const detailedIssues = await Promise.all(issues.map(async (issue) => {
@@ -735,6 +821,7 @@ router.get('/:sprintId/issues', async (req, res) => {
     return res.status(200).json({
       success: true,
       data: detailedIssues,
+      view: describeView(listQuery.savedFilter),
       count: totalIssues,
       totalPages,
       currentPage: page,
@@ -915,6 +1002,8 @@ router.get('/:sprintId/time-logs', async (req, res) => {
  *         description: Active time log already exists or invalid sprint
  *       404:
  *         description: Sprint not found
+ *       409:
+ *         description: The project workflow does not allow starting work on the issue
  *       500:
  *         description: Internal server error
  */
@@ -975,19 +1064,32 @@ router.post('/:sprintId/time-log/start',
       });
     }
 
+    // starting work moves the issue to the workflow's first "In Progress" status
+    const workflow = getWorkflow(await Project.findById(sprint.projectId));
+    const workStatus = getWorkStartStatus(workflow);
+    const statusError = validateTransition(workflow, issue.status, workStatus);
+    if (statusError) {
+      return res.status(409).json({ success: false, message: statusError });
+    }
+
+    const before = snapshotIssue(issue);
+    issue.status = workStatus;
+    await issue.save();
+
     sprint.timeLogs.push({
       issueId,
       assigneeId,
       startTime: new Date()
     });
-
     await sprint.save();
-    issue.status='in_progress';
-    await issue.save();
+    await recordIssueChanges(issue, before, { actorId: assigneeId, source: 'time_log_start' });
 
     res.status(200).json({ success: true, message: 'Time log started' });
 
   } catch (err) {
+    if (isVersionError(err)) {
+      return res.status(409).json(concurrentEditResponse('Issue'));
+    }
     console.error('Start time log error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -0,0 +1,364 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const IssueTemplate = require('../models/IssueTemplate');
+const Project = require('../models/Project');
+const { validateTemplateDefinition } = require('../services/IssueTemplateService');
+const { setSuccessResponse } = require('../utils/sendResponse');
+const { getActorId } = require('../utils/requestActor');
+const { StatusCodes } = require('http-status-codes');
+
+const projectIdValidator = param('projectId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid project ID');
+
+const templateIdValidator = param('templateId')
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid template ID');
+
+const templateFieldValidators = [
+  body('issue').optional().isObject().withMessage('issue must be an object'),
+  body('issue.type').optional().isIn(['task', 'story', 'epic', 'subtask', 'bug']).withMessage('Invalid issue type'),
+  body('issue.priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
+  body('issue.priorityLevel').optional().isIn(['Critical', 'Major', 'Minor']).withMessage('Invalid priorityLevel'),
+  body('issue.labels').optional().isArray().withMessage('issue.labels must be an array'),
+  body('issue.customFields').optional().isObject().withMessage('issue.customFields must be an object'),
+  body('subtasks').optional().isArray({ max: 50 }).withMessage('subtasks must be an array of at most 50 items'),
+  body('subtasks.*.priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid subtask priority'),
+  body('subtasks.*.labels').optional().isArray().withMessage('Subtask labels must be an array'),
+];
+
+// load the project of the route and, when given, one of its templates; returns an error or the documents
+const loadProjectAndTemplate = async ({ projectId, templateId }) => {
+  const project = await Project.findById(projectId);
+  if (!project || project.isDeleted) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+  if (!templateId) return { project };
+
+  const template = await IssueTemplate.findOne({ _id: templateId, projectId, isDeleted: false });
+  if (!template) {
+    return { error: { status: 404, message: 'Template not found' } };
+  }
+  return { project, template };
+};
+
+/**
+ * @swagger
+ * /projects/{projectId}/templates:
+ *   get:
+ *     summary: Get the issue templates of a project
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Templates fetched successfully
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create an issue template
+ *     description: |
+ *       Titles and descriptions may contain `{{placeholders}}` that are filled from `variables`
+ *       when an issue is created with `POST /issues/from-template/{templateId}`.
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "New landing page"
+ *               summary:
+ *                 type: string
+ *               issue:
+ *                 type: object
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                     example: "Landing page: {{page}}"
+ *                   description:
+ *                     type: string
+ *                     example: "## Goal\n\n## Copy\n\n## Assets"
+ *                   type:
+ *                     type: string
+ *                     enum: [task, story, epic, subtask, bug]
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high]
+ *                   priorityLevel:
+ *                     type: string
+ *                     enum: [Critical, Major, Minor]
+ *                   labels:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   storyPoints:
+ *                     type: number
+ *                   customFields:
+ *                     type: object
+ *               subtasks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                       example: "Design mockups for {{page}}"
+ *                     description:
+ *                       type: string
+ *                     priority:
+ *                       type: string
+ *                       enum: [low, medium, high]
+ *                     labels:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     storyPoints:
+ *                       type: number
+ *               actorId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Invalid template
+ *       404:
+ *         description: Project not found
+ *       422:
+ *         description: Invalid request body
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [projectIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { project, error } = await loadProjectAndTemplate(req.params);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const templates = await IssueTemplate.find({ projectId: project._id, isDeleted: false }).sort({ name: 1 });
+    return setSuccessResponse(res, StatusCodes.OK, true, templates, 'Templates fetched successfully');
+  } catch (err) {
+    console.error('Error fetching templates:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post('/',
+  [
+    projectIdValidator,
+    body('name').isString().trim().notEmpty().withMessage('Template name is required'),
+    ...templateFieldValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, summary, issue = {}, subtasks = [] } = req.body;
+
+    try {
+      const { project, error } = await loadProjectAndTemplate(req.params);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      const definitionErrors = await validateTemplateDefinition(project, { issue, subtasks });
+      if (definitionErrors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid template', errors: definitionErrors });
+      }
+
+      const template = await IssueTemplate.create({
+        projectId: project._id,
+        name,
+        summary,
+        issue,
+        subtasks,
+        createdBy: getActorId(req),
+      });
+
+      return setSuccessResponse(res, StatusCodes.CREATED, true, template, 'Template created successfully');
+    } catch (err) {
+      console.error('Error creating template:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /projects/{projectId}/templates/{templateId}:
+ *   get:
+ *     summary: Get an issue template
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template fetched successfully
+ *       404:
+ *         description: Project or template not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update an issue template
+ *     description: Takes the same fields as creating a template; `issue` and `subtasks` are replaced when given.
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Invalid template
+ *       404:
+ *         description: Project or template not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete an issue template
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Project or template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:templateId', [projectIdValidator, templateIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { template, error } = await loadProjectAndTemplate(req.params);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    return setSuccessResponse(res, StatusCodes.OK, true, template, 'Template fetched successfully');
+  } catch (err) {
+    console.error('Error fetching template:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.put('/:templateId',
+  [
+    projectIdValidator,
+    templateIdValidator,
+    body('name').optional().isString().trim().notEmpty().withMessage('Template name cannot be empty'),
+    ...templateFieldValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { project, template, error } = await loadProjectAndTemplate(req.params);
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+
+      const issue = req.body.issue !== undefined ? req.body.issue : template.issue.toObject();
+      const subtasks = req.body.subtasks !== undefined ? req.body.subtasks : template.subtasks.map(subtask => subtask.toObject());
+      const definitionErrors = await validateTemplateDefinition(project, { issue, subtasks });
+      if (definitionErrors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid template', errors: definitionErrors });
+      }
+
+      ['name', 'summary', 'issue', 'subtasks'].forEach(field => {
+        if (req.body[field] !== undefined) template[field] = req.body[field];
+      });
+      template.updatedAt = Date.now();
+      await template.save();
+
+      return setSuccessResponse(res, StatusCodes.OK, true, template, 'Template updated successfully');
+    } catch (err) {
+      console.error('Error updating template:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+router.delete('/:templateId', [projectIdValidator, templateIdValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { template, error } = await loadProjectAndTemplate(req.params);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    template.isDeleted = true;
+    template.updatedAt = Date.now();
+    await template.save();
+
+    return setSuccessResponse(res, StatusCodes.OK, true, null, 'Template deleted successfully');
+  } catch (err) {
+    console.error('Error deleting template:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
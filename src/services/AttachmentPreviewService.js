@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Issue = require('../models/Issue');
+const storage = require('./S3StorageService');
+const { s3Config } = require('../config/s3');
+const { UPLOAD_ROOT, getLocalPath, deleteStoredFile } = require('./AttachmentService');
+const logger = require('../utils/logger');
+
+// longest side of a thumbnail or poster frame, in pixels
+const PREVIEW_SIZE = 320;
+// second of a video used as its poster frame; shorter videos use their first frame
+const POSTER_TIMEMARK = 1;
+
+const pending = [];
+const queued = new Set();
+let draining = false;
+
+// Scale an image down to a WebP preview. `sharp` is loaded on first use like the AWS SDK commands in
+// S3StorageService, so the API still starts on hosts without its native build.
+async function renderPreview(input) {
+  const sharp = require('sharp');
+  const { data, info } = await sharp(input, { animated: false })
+    .rotate()
+    .resize({ width: PREVIEW_SIZE, height: PREVIEW_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Write one frame of a video to `folder`/poster.png. Resolves with the frame's path, or null when the
+// video is shorter than the time mark.
+function extractFrame(videoPath, folder, timemark) {
+  const ffmpeg = require('fluent-ffmpeg');
+  const framePath = path.join(folder, 'poster.png');
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .on('end', () => resolve(fs.existsSync(framePath) ? framePath : null))
+      .on('error', reject)
+      .screenshots({ timemarks: [timemark], count: 1, folder, filename: 'poster.png' });
+  });
+}
+
+// The original file on local disk: S3 objects are downloaded into `workDir`.
+async function fetchOriginal(attachment, workDir) {
+  if (attachment.storage === 's3') {
+    const localPath = path.join(workDir, `original${path.extname(attachment.key)}`);
+    return storage.downloadFile(attachment.key, localPath);
+  }
+  return getLocalPath(attachment.key);
+}
+
+// Store a rendered preview next to where the attachment is stored. Returns the preview metadata.
+async function storePreview(issueId, attachment, { data, width, height }) {
+  const fileName = `${attachment._id}.webp`;
+  if (attachment.storage === 's3') {
+    const { key } = await storage.uploadBuffer(data, s3Config.folders.thumbnails, issueId.toString(), fileName, 'image/webp');
+    return { storage: 's3', key, width, height };
+  }
+
+  const key = path.posix.join(s3Config.folders.thumbnails, issueId.toString(), fileName);
+  const filePath = path.join(UPLOAD_ROOT, key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+  return { storage: 'local', key, width, height };
+}
+
+// Render the thumbnail of an image or the poster frame of a video and store it.
+// Returns the preview metadata ({ storage, key, width, height }).
+async function generatePreview(issueId, attachment) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachment-preview-'));
+  try {
+    const original = await fetchOriginal(attachment, workDir);
+    let source = original;
+    if (/^video\//.test(attachment.mimeType)) {
+      source = await extractFrame(original, workDir, POSTER_TIMEMARK) || await extractFrame(original, workDir, 0);
+      if (!source) throw new Error('The video has no frames');
+    }
+    return await storePreview(issueId, attachment, await renderPreview(source));
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Generate one preview and record it on the issue. Failures are recorded as previewStatus "failed".
+async function processPreview(issueId, attachment) {
+  let preview = null;
+  try {
+    preview = await generatePreview(issueId, attachment);
+  } catch (err) {
+    logger.warn(`Could not generate a preview of attachment ${attachment.key}: ${err.message}`);
+  }
+
+  // previews are not edits, so __v stays and pending If-Match headers still match
+  const { matchedCount } = await Issue.updateOne(
+    { _id: issueId, 'attachments._id': attachment._id },
+    { $set: { 'attachments.$.preview': preview, 'attachments.$.previewStatus': preview ? 'ready' : 'failed' } }
+  );
+  // the attachment was removed while its preview was made
+  if (matchedCount === 0 && preview) await deleteStoredFile(preview);
+  return preview;
+}
+
+async function drainQueue() {
+  while (pending.length > 0) {
+    const { issueId, attachment } = pending.shift();
+    try {
+      await processPreview(issueId, attachment);
+    } catch (err) {
+      logger.error(`Attachment preview failed: ${err.message}`);
+    } finally {
+      queued.delete(attachment._id.toString());
+    }
+  }
+  draining = false;
+}
+
+// Generate previews of an issue's pending attachments in the background, one at a time.
+// Returns the number of attachments queued.
+function queuePreviews(issueId, attachments) {
+  let count = 0;
+  (attachments || []).forEach(attachment => {
+    const id = attachment._id.toString();
+    if (attachment.previewStatus !== 'pending' || queued.has(id)) return;
+    queued.add(id);
+    pending.push({ issueId, attachment });
+    count++;
+  });
+  if (count > 0 && !draining) {
+    draining = true;
+    setImmediate(drainQueue);
+  }
+  return count;
+}
+
+module.exports = {
+  PREVIEW_SIZE,
+  generatePreview,
+  processPreview,
+  queuePreviews,
+};
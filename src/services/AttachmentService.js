@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const storage = require('./S3StorageService');
+const logger = require('../utils/logger');
+
+const UPLOAD_ROOT = path.join(__dirname, '../../uploads');
+// folder of attachment uploads in the bucket and below uploads/
+const ATTACHMENT_FOLDER = 'attachments';
+const DEFAULT_DOWNLOAD_TTL_SECONDS = 15 * 60;
+// where signed downloads of locally stored attachments are served (see routes/issues.js)
+const LOCAL_DOWNLOAD_PATH = '/api/issues/attachments/file';
+
+// signs local download URLs; without ATTACHMENT_URL_SECRET or JWT_SECRET, URLs only work until a restart
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+const getUrlSecret = () => process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET || fallbackSecret;
+
+// seconds a download URL stays valid (ATTACHMENT_URL_TTL_SECONDS)
+function getDownloadTtl() {
+  const seconds = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10);
+  return Number.isNaN(seconds) || seconds < 1 ? DEFAULT_DOWNLOAD_TTL_SECONDS : seconds;
+}
+
+// MIME types that get a thumbnail (sharp) or a poster frame (ffmpeg), see AttachmentPreviewService
+const PREVIEW_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+function canPreview(mimeType) {
+  return PREVIEW_IMAGE_TYPES.includes(mimeType) || /^video\//.test(mimeType || '');
+}
+
+// Attachment metadata for a file stored by the upload middleware: multer-s3 sets `key`, the local
+// fallback sets `path`.
+function attachmentFromUpload(file, uploadedBy = null) {
+  const mimeType = file.mimetype || storage.getContentType(file.originalname);
+  return {
+    storage: file.key ? 's3' : 'local',
+    key: file.key || path.relative(UPLOAD_ROOT, file.path).split(path.sep).join('/'),
+    originalName: file.originalname,
+    size: file.size || 0,
+    mimeType,
+    uploadedBy,
+    createdAt: new Date(),
+    previewStatus: canPreview(mimeType) ? 'pending' : 'none',
+  };
+}
+
+// Absolute path of a locally stored attachment, or null when the key points outside uploads/.
+function getLocalPath(key) {
+  const filePath = path.resolve(UPLOAD_ROOT, key);
+  return filePath.startsWith(`${UPLOAD_ROOT}${path.sep}`) ? filePath : null;
+}
+
+const sign = (key, name, expires) => crypto
+  .createHmac('sha256', getUrlSecret())
+  .update(`${key}\n${name}\n${expires}`)
+  .digest('hex');
+
+// An expiring download URL: presigned by S3, or signed by us for files on local disk.
+// `baseUrl` (protocol and host) makes local URLs absolute. Returns { url, expiresAt }.
+async function getDownloadUrl(attachment, { baseUrl = '', expiresIn = getDownloadTtl() } = {}) {
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  if (attachment.storage === 's3') {
+    return { url: await storage.generatePresignedUrl(attachment.key, expiresIn), expiresAt };
+  }
+
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  const query = new URLSearchParams({
+    key: attachment.key,
+    name: attachment.originalName,
+    expires: String(expires),
+    signature: sign(attachment.key, attachment.originalName, expires),
+  });
+  return { url: `${baseUrl}${LOCAL_DOWNLOAD_PATH}?${query}`, expiresAt };
+}
+
+// Check a signed local download URL. Returns { filePath, name } or { error: { status, message } }.
+function verifyLocalDownload({ key, name, expires, signature } = {}, now = Date.now()) {
+  if (!key || !name || !expires || !signature) {
+    return { error: { status: 400, message: 'key, name, expires and signature are required' } };
+  }
+  const expected = Buffer.from(sign(key, name, expires));
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: { status: 403, message: 'Invalid download signature' } };
+  }
+  if (Number(expires) * 1000 < now) {
+    return { error: { status: 410, message: 'The download link has expired' } };
+  }
+  const filePath = getLocalPath(key);
+  if (!filePath) {
+    return { error: { status: 403, message: 'Invalid download signature' } };
+  }
+  return { filePath, name };
+}
+
+// Attachments as returned by the API: metadata with a download `url` and, once generated, a `previewUrl`
+// for the thumbnail or poster frame. Both expire at `expiresAt`.
+async function describeAttachments(attachments, { baseUrl = '' } = {}) {
+  return Promise.all((attachments || []).map(async (attachment) => {
+    const { url, expiresAt } = await getDownloadUrl(attachment, { baseUrl });
+    const previewUrl = attachment.previewStatus === 'ready' && attachment.preview
+      ? (await getDownloadUrl({
+        storage: attachment.preview.storage,
+        key: attachment.preview.key,
+        originalName: `${attachment.originalName}.webp`,
+      }, { baseUrl })).url
+      : null;
+    return { ...(attachment.toObject ? attachment.toObject() : attachment), url, previewUrl, expiresAt };
+  }));
+}
+
+// Copy a stored attachment so a cloned issue doesn't share (and later delete) the same file.
+// Returns the copy's metadata, or null when the original file is gone.
+async function copyAttachment(attachment, uploadedBy = null) {
+  const { dir, name, ext } = path.posix.parse(attachment.key);
+  const copyKey = path.posix.join(dir, `${name}_copy_${Date.now()}${ext}`);
+  const copy = {
+    storage: attachment.storage,
+    key: copyKey,
+    originalName: attachment.originalName,
+    size: attachment.size,
+    mimeType: attachment.mimeType,
+    uploadedBy,
+    createdAt: new Date(),
+    // the copy gets its own preview
+    previewStatus: canPreview(attachment.mimeType) ? 'pending' : 'none',
+  };
+
+  try {
+    if (attachment.storage === 's3') {
+      await storage.copyFile(attachment.key, copyKey);
+    } else {
+      await fs.promises.copyFile(getLocalPath(attachment.key), getLocalPath(copyKey));
+    }
+    return copy;
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.name === 'NoSuchKey') return null;
+    throw err;
+  }
+}
+
+// Delete one stored file (an attachment or a preview). Returns whether a file was deleted.
+async function deleteStoredFile(file) {
+  try {
+    if (file.storage === 's3') {
+      await storage.deleteFile(file.key);
+    } else {
+      const filePath = getLocalPath(file.key);
+      if (!filePath) return false;
+      await fs.promises.unlink(filePath);
+    }
+    return true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn(`Could not delete attachment ${file.key}: ${err.message}`);
+    return false;
+  }
+}
+
+// Delete stored attachment files and their previews. Files that are already gone are skipped.
+// Returns the number of attachments deleted.
+async function deleteAttachmentFiles(attachments) {
+  let deleted = 0;
+  for (const attachment of attachments) {
+    if (attachment.preview) await deleteStoredFile(attachment.preview);
+    if (await deleteStoredFile(attachment)) deleted++;
+  }
+  return deleted;
+}
+
+module.exports = {
+  UPLOAD_ROOT,
+  ATTACHMENT_FOLDER,
+  DEFAULT_DOWNLOAD_TTL_SECONDS,
+  PREVIEW_IMAGE_TYPES,
+  getDownloadTtl,
+  canPreview,
+  attachmentFromUpload,
+  getLocalPath,
+  getDownloadUrl,
+  describeAttachments,
+  verifyLocalDownload,
+  copyAttachment,
+  deleteStoredFile,
+  deleteAttachmentFiles,
+};
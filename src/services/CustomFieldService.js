@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { getEmployeeById } = require('./EmployeeFetchService');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'employee'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+// custom fields are addressed as cf.<key> in the query language and in CSV columns
+const CUSTOM_FIELD_PREFIX = 'cf.';
+
+// query language type of each custom field type
+const QUERY_TYPES = {
+  text: 'string',
+  number: 'number',
+  date: 'date',
+  select: 'string',
+  multiselect: 'string',
+  employee: 'id',
+};
+
+// Validate the custom field definitions sent by a client. Returns a list of error messages.
+function validateCustomFieldDefinitions(definitions) {
+  const errors = [];
+  const keys = new Set();
+
+  definitions.forEach((definition, index) => {
+    if (!definition || typeof definition.key !== 'string' || !FIELD_KEY_PATTERN.test(definition.key)) {
+      errors.push(`fields[${index}].key must start with a lowercase letter and use lowercase letters, digits or underscores`);
+      return;
+    }
+    if (keys.has(definition.key)) {
+      errors.push(`Duplicate custom field '${definition.key}'`);
+    }
+    keys.add(definition.key);
+    if (!CUSTOM_FIELD_TYPES.includes(definition.type)) {
+      errors.push(`fields[${index}].type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+    if (['select', 'multiselect'].includes(definition.type)) {
+      const options = Array.isArray(definition.options) ? definition.options : [];
+      if (options.length === 0) {
+        errors.push(`fields[${index}].options must list the choices of a ${definition.type} field`);
+      }
+      if (new Set(options).size !== options.length) {
+        errors.push(`fields[${index}].options contains duplicates`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+const isEmptyValue = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Convert one raw value (JSON or CSV text) to the stored type. Returns { value } or { message }.
+async function convertValue(definition, raw) {
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(raw);
+      if (typeof raw === 'boolean' || Number.isNaN(number)) return { message: 'must be a number' };
+      return { value: number };
+    }
+    case 'date': {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) return { message: 'must be a date (YYYY-MM-DD)' };
+      return { value: date };
+    }
+    case 'select': {
+      if (!definition.options.includes(String(raw))) {
+        return { message: `must be one of ${definition.options.join(', ')}` };
+      }
+      return { value: String(raw) };
+    }
+    case 'multiselect': {
+      const list = Array.isArray(raw) ? raw : String(raw).split(',');
+      const values = [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+      const invalid = values.filter(item => !definition.options.includes(item));
+      if (invalid.length > 0) {
+        return { message: `contains ${invalid.join(', ')}; allowed values are ${definition.options.join(', ')}` };
+      }
+      return { value: values };
+    }
+    case 'employee': {
+      if (!mongoose.Types.ObjectId.isValid(raw)) return { message: 'must be an employee id' };
+      if (!(await getEmployeeById(raw))) return { message: 'employee not found' };
+      return { value: new mongoose.Types.ObjectId(String(raw)) };
+    }
+    default:
+      if (typeof raw === 'object') return { message: 'must be text' };
+      return { value: String(raw) };
+  }
+}
+
+// Validate custom field values against the definitions of a project.
+// `values` maps field keys to raw values; an empty value clears the field. With `existing` (the current
+// values of an issue) only the given keys change and may not clear a required field; without it
+// every required field must be present.
+// Returns { customFields } with every stored value, or { error: { status, message, field } }.
+async function validateCustomFieldValues(project, values, { existing = null } = {}) {
+  const definitions = new Map((project.customFields || []).map(definition => [definition.key, definition]));
+  const input = values || {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: { status: 400, message: 'customFields must be an object of field keys and values' } };
+  }
+
+  const result = existing ? { ...existing } : {};
+  for (const [key, raw] of Object.entries(input)) {
+    const definition = definitions.get(key);
+    if (!definition) {
+      return { error: { status: 400, message: `Unknown custom field '${key}'`, field: key } };
+    }
+    if (isEmptyValue(raw)) {
+      delete result[key];
+      continue;
+    }
+    const converted = await convertValue(definition, raw);
+    if (converted.message) {
+      return { error: { status: 400, message: `Custom field '${definition.name}' ${converted.message}`, field: key } };
+    }
+    result[key] = converted.value;
+  }
+
+  // on updates only the fields being changed are checked, so a newly required field doesn't block other edits
+  const missing = [...definitions.values()]
+    .filter(definition => definition.required && (!existing || definition.key in input) && isEmptyValue(result[definition.key]));
+  if (missing.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Required custom fields are missing: ${missing.map(definition => definition.name).join(', ')}`,
+        field: missing[0].key,
+      },
+    };
+  }
+
+  return { customFields: result };
+}
+
+// Pick the cf.<key> columns of a CSV row as a values object.
+function extractCustomFieldColumns(row) {
+  const values = {};
+  Object.entries(row).forEach(([column, value]) => {
+    if (column.startsWith(CUSTOM_FIELD_PREFIX)) values[column.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+  });
+  return values;
+}
+
+// Field resolver for the query language: cf.<key> filters and sorts on the custom fields of the project.
+function customFieldQueryResolver(project) {
+  const definitions = new Map(((project && project.customFields) || []).map(definition => [definition.key, definition]));
+  return (name) => {
+    if (!name.startsWith(CUSTOM_FIELD_PREFIX)) return null;
+    const definition = definitions.get(name.slice(CUSTOM_FIELD_PREFIX.length));
+    if (!definition) return null;
+    return {
+      path: `customFields.${definition.key}`,
+      type: QUERY_TYPES[definition.type],
+      array: definition.type === 'multiselect',
+      values: definition.type === 'select' ? definition.options : undefined,
+    };
+  };
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_PREFIX,
+  validateCustomFieldDefinitions,
+  validateCustomFieldValues,
+  extractCustomFieldColumns,
+  customFieldQueryResolver,
+};
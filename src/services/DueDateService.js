@@ -0,0 +1,154 @@
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const { getWorkflow } = require('./WorkflowService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_LEAD_HOURS = [24];
+const DEFAULT_OVERDUE_HOURS = [0, 72];
+const DEFAULT_DUE_SOON_DAYS = 3;
+// a reminder that fell due longer ago than this (the job was down) is skipped instead of sent late
+const STALE_REMINDER_HOURS = 24;
+
+// A due date from a request or CSV cell. A plain date (YYYY-MM-DD) is due at the end of that day (UTC);
+// missing and empty values clear the due date. Returns { dueDate } or { error }.
+function parseDueDate(value) {
+  if (value === undefined || value === null || value === '') return { dueDate: null };
+  const text = String(value).trim();
+  const dueDate = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T23:59:59.999Z`) : new Date(text);
+  if (Number.isNaN(dueDate.getTime())) {
+    return { error: 'dueDate must be a date (YYYY-MM-DD) or date-time' };
+  }
+  return { dueDate };
+}
+
+function parseHours(value, fallback) {
+  if (!value) return fallback;
+  const hours = value.split(',').map(item => parseFloat(item)).filter(item => !Number.isNaN(item) && item >= 0);
+  return hours.length > 0 ? hours : fallback;
+}
+
+// When reminders go out, in hours relative to the due date: before it (DUE_REMINDER_LEAD_HOURS) and
+// after it (DUE_REMINDER_OVERDUE_HOURS), both comma separated. Returns the offsets in ascending order,
+// negative before the due date.
+function getReminderOffsets() {
+  const before = parseHours(process.env.DUE_REMINDER_LEAD_HOURS, DEFAULT_LEAD_HOURS).map(hours => -hours);
+  const after = parseHours(process.env.DUE_REMINDER_OVERDUE_HOURS, DEFAULT_OVERDUE_HOURS);
+  return [...new Set([...before, ...after])].sort((a, b) => a - b);
+}
+
+// The reminder that is due now: the latest offset that has passed, or null before the first one.
+function getCurrentReminder(dueDate, offsets, now = new Date()) {
+  const passed = offsets.filter(offset => dueDate.getTime() + offset * HOUR_MS <= now.getTime());
+  if (passed.length === 0) return null;
+  const offsetHours = passed[passed.length - 1];
+  return { offsetHours, at: new Date(dueDate.getTime() + offsetHours * HOUR_MS) };
+}
+
+const sameTime = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+// Decide whether an employee gets a reminder for `issue` now. `state` is the employee's entry in
+// issue.dueReminders, if any. A snoozed recipient hears nothing until the snooze ends and then gets the
+// current reminder once, however late. Returns { offsetHours, overdue } or null.
+function planReminder(issue, state, { now = new Date(), offsets = getReminderOffsets() } = {}) {
+  if (!issue.dueDate) return null;
+  if (state && state.snoozedUntil && new Date(state.snoozedUntil) > now) return null;
+
+  const current = getCurrentReminder(new Date(issue.dueDate), offsets, now);
+  if (!current) return null;
+  const overdue = new Date(issue.dueDate) <= now;
+  if (state && state.snoozedUntil) return { offsetHours: current.offsetHours, overdue };
+
+  if (now.getTime() - current.at.getTime() > STALE_REMINDER_HOURS * HOUR_MS) return null;
+  // reminders already sent for this due date; a new due date starts over
+  if (state && sameTime(state.dueDate, issue.dueDate) && state.offsetHours !== null && state.offsetHours >= current.offsetHours) {
+    return null;
+  }
+  return { offsetHours: current.offsetHours, overdue };
+}
+
+// Issues the reminder job looks at: due within the reminder window, or with a snooze that has ended.
+function reminderCandidateFilter(now = new Date(), offsets = getReminderOffsets()) {
+  const earliest = offsets[offsets.length - 1] + STALE_REMINDER_HOURS;
+  const latest = -offsets[0];
+  return {
+    isDeleted: false,
+    dueDate: { $ne: null },
+    $or: [
+      { dueDate: { $gte: new Date(now.getTime() - earliest * HOUR_MS), $lte: new Date(now.getTime() + Math.max(latest, 0) * HOUR_MS) } },
+      { dueReminders: { $elemMatch: { snoozedUntil: { $lte: now } } } },
+    ],
+  };
+}
+
+// Keys of the "done" statuses of each project, for leaving finished issues out of due listings and reminders.
+async function getDoneStatuses(projectIds) {
+  const projects = await Project.find({ _id: { $in: projectIds } }, 'workflow');
+  return new Map(projects.map(project => [
+    project._id.toString(),
+    getWorkflow(project).statuses.filter(status => status.category === 'done').map(status => status.key),
+  ]));
+}
+
+// Issue filter of a due listing. `kind` is 'overdue' (past the due date) or 'soon' (due within `days`),
+// limited to a project and/or an assignee. Issues in a "done" status are left out.
+async function dueListFilter(kind, { projectId, assigneeId, days = DEFAULT_DUE_SOON_DAYS, now = new Date() }) {
+  const filter = {
+    isDeleted: false,
+    dueDate: kind === 'overdue'
+      ? { $lt: now }
+      : { $gte: now, $lte: new Date(now.getTime() + days * 24 * HOUR_MS) },
+  };
+  if (projectId) filter.projectId = projectId;
+  if (assigneeId) filter.assigneeId = assigneeId;
+
+  const doneStatuses = await getDoneStatuses(projectId ? [projectId] : await Issue.distinct('projectId', filter));
+  const open = [...doneStatuses.entries()].map(([id, statuses]) => ({ projectId: id, status: { $nin: statuses } }));
+  filter.$or = open.length > 0 ? open : [{ _id: null }];
+  return filter;
+}
+
+// Stop reminders about an issue for one employee until `until`, or resume them with until = null.
+// Reminder bookkeeping is not an edit, so __v stays.
+async function setReminderSnooze(issueId, employeeId, until) {
+  const result = await Issue.updateOne(
+    { _id: issueId, 'dueReminders.employeeId': employeeId },
+    { $set: { 'dueReminders.$.snoozedUntil': until } }
+  );
+  if (result.matchedCount === 0 && until) {
+    await Issue.updateOne(
+      { _id: issueId, 'dueReminders.employeeId': { $ne: employeeId } },
+      { $push: { dueReminders: { employeeId, snoozedUntil: until } } }
+    );
+  }
+}
+
+// Remember the reminder sent to an employee, which also ends an expired snooze.
+async function recordReminder(issue, employeeId, offsetHours, now = new Date()) {
+  const state = { dueDate: issue.dueDate, offsetHours, sentAt: now, snoozedUntil: null };
+  const result = await Issue.updateOne(
+    { _id: issue._id, 'dueReminders.employeeId': employeeId },
+    { $set: Object.fromEntries(Object.entries(state).map(([field, value]) => [`dueReminders.$.${field}`, value])) }
+  );
+  if (result.matchedCount === 0) {
+    await Issue.updateOne(
+      { _id: issue._id, 'dueReminders.employeeId': { $ne: employeeId } },
+      { $push: { dueReminders: { employeeId, ...state } } }
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_LEAD_HOURS,
+  DEFAULT_OVERDUE_HOURS,
+  DEFAULT_DUE_SOON_DAYS,
+  STALE_REMINDER_HOURS,
+  parseDueDate,
+  getReminderOffsets,
+  getCurrentReminder,
+  planReminder,
+  reminderCandidateFilter,
+  getDoneStatuses,
+  dueListFilter,
+  setReminderSnooze,
+  recordReminder,
+};
@@ -0,0 +1,188 @@
+const { once } = require('events');
+const Sprint = require('../models/Sprint');
+const { getEmployeeById } = require('./EmployeeFetchService');
+const { CUSTOM_FIELD_PREFIX } = require('./CustomFieldService');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+};
+
+// columns of every export, in order; custom fields of the project follow as cf.<key>
+const EXPORT_COLUMNS = [
+  'key',
+  'title',
+  'type',
+  'status',
+  'priority',
+  'priorityLevel',
+  'assignee',
+  'assigneeId',
+  'reporter',
+  'reporterId',
+  'project',
+  'sprint',
+  'labels',
+  'storyPoints',
+  'dueDate',
+  'resolution',
+  'votes',
+  'createdAt',
+  'updatedAt',
+  'description',
+];
+
+const employeeName = (employee) => {
+  const user = employee?.data?.user;
+  if (!user) return '';
+  return [user.first_name, user.last_name].filter(Boolean).join(' ');
+};
+
+// Look up names once per export: the same people and sprints appear on most rows.
+function createNameResolver() {
+  const employees = new Map();
+  const sprints = new Map();
+
+  const cached = (cache, id, load) => {
+    if (!id) return Promise.resolve('');
+    const cacheKey = id.toString();
+    if (!cache.has(cacheKey)) cache.set(cacheKey, load(cacheKey));
+    return cache.get(cacheKey);
+  };
+
+  return {
+    employee: (id) => cached(employees, id, async (employeeId) => employeeName(await getEmployeeById(employeeId))),
+    sprint: (id) => cached(sprints, id, async (sprintId) => {
+      const sprint = await Sprint.findById(sprintId, 'name');
+      return sprint ? sprint.name : '';
+    }),
+  };
+}
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  return String(value);
+};
+
+// Flatten an issue (a plain object from the cursor) into the export columns.
+async function buildExportRow(issue, { project, names }) {
+  const [assignee, reporter, sprint] = await Promise.all([
+    names.employee(issue.assigneeId),
+    names.employee(issue.reporterId),
+    names.sprint(issue.sprintId),
+  ]);
+
+  const row = {
+    key: issue.key,
+    title: issue.title,
+    type: issue.type,
+    status: issue.status,
+    priority: issue.priority,
+    priorityLevel: issue.priorityLevel,
+    assignee,
+    assigneeId: issue.assigneeId,
+    reporter,
+    reporterId: issue.reporterId,
+    project: project.name,
+    sprint,
+    labels: issue.labels || [],
+    storyPoints: issue.storyPoints,
+    dueDate: issue.dueDate,
+    resolution: issue.resolution,
+    votes: issue.votes,
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    description: issue.description,
+  };
+  (project.customFields || []).forEach(definition => {
+    row[`${CUSTOM_FIELD_PREFIX}${definition.key}`] = (issue.customFields || {})[definition.key];
+  });
+  return row;
+}
+
+// Quote a CSV cell. Text starting like a formula (including a list whose first item does) is prefixed
+// with ' so spreadsheets show it as text; numbers are left alone.
+const csvCell = (value) => {
+  let text = formatValue(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const markdownCell = (value) => formatValue(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\|/g, '\\|')
+  .replace(/\r?\n/g, '<br>');
+
+const ndjsonValue = (value) => {
+  if (value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Text written before the first row, for each format.
+function formatHeader(format, columns, project) {
+  // the byte order mark makes Excel read the file as UTF-8
+  if (format === 'csv') return `\uFEFF${columns.map(csvCell).join(',')}\r\n`;
+  if (format === 'md') {
+    return `# ${markdownCell(project.name)} issues\n\n| ${columns.map(markdownCell).join(' | ')} |\n|${columns.map(() => ' --- ').join('|')}|\n`;
+  }
+  return '';
+}
+
+function formatRow(format, columns, row) {
+  if (format === 'csv') return `${columns.map(column => csvCell(row[column])).join(',')}\r\n`;
+  if (format === 'md') return `| ${columns.map(column => markdownCell(row[column])).join(' | ')} |\n`;
+  return `${JSON.stringify(Object.fromEntries(columns.map(column => [column, ndjsonValue(row[column])])))}\n`;
+}
+
+// Wait until the response takes more data or closes, removing the listener of the other event.
+async function waitForDrain(res) {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal }),
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+// Write the issues of a cursor to the response as they are read, waiting for the client when the
+// socket buffer is full. Stops early when the client goes away. Returns the number of rows written.
+async function streamIssueExport(cursor, res, { format, project }) {
+  const columns = [
+    ...EXPORT_COLUMNS,
+    ...(project.customFields || []).map(definition => `${CUSTOM_FIELD_PREFIX}${definition.key}`),
+  ];
+  const names = createNameResolver();
+  let count = 0;
+
+  res.write(formatHeader(format, columns, project));
+  try {
+    for await (const issue of cursor) {
+      if (res.destroyed) break;
+      const row = await buildExportRow(issue, { project, names });
+      if (!res.write(formatRow(format, columns, row))) {
+        await waitForDrain(res);
+      }
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  formatHeader,
+  formatRow,
+  streamIssueExport,
+};
@@ -0,0 +1,172 @@
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const { getWorkflow, getStatusCategory, STATUS_CATEGORIES } = require('./WorkflowService');
+
+// guards against runaway trees and corrupt data
+const MAX_TREE_DEPTH = 10;
+
+// The hierarchy: an issue's parent is its parentTaskId; issues without a parent hang under their epic.
+function getParentId(issue) {
+  return issue.parentTaskId || issue.epicId || null;
+}
+
+// Issues directly below any of the given issues.
+async function findChildren(issueIds) {
+  return Issue.find({
+    isDeleted: false,
+    $or: [
+      { parentTaskId: { $in: issueIds } },
+      { epicId: { $in: issueIds }, parentTaskId: null },
+    ],
+  }).sort({ issueNumber: 1 });
+}
+
+// Walk up from an issue to the top of its hierarchy. Returns the ancestors, nearest first.
+async function getAncestors(issue) {
+  const ancestors = [];
+  const seen = new Set([issue._id.toString()]);
+  let parentId = getParentId(issue);
+
+  while (parentId && !seen.has(parentId.toString()) && ancestors.length < MAX_TREE_DEPTH) {
+    seen.add(parentId.toString());
+    const parent = await Issue.findById(parentId);
+    if (!parent) break;
+    ancestors.push(parent);
+    parentId = getParentId(parent);
+  }
+  return ancestors;
+}
+
+// Every issue below an issue (children, their children, ...), nearest levels first.
+async function getDescendants(issue, maxDepth = MAX_TREE_DEPTH) {
+  const descendants = [];
+  const seen = new Set([issue._id.toString()]);
+  let frontier = [issue._id];
+
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const children = (await findChildren(frontier)).filter(child => !seen.has(child._id.toString()));
+    children.forEach(child => seen.add(child._id.toString()));
+    descendants.push(...children);
+    frontier = children.map(child => child._id);
+  }
+  return descendants;
+}
+
+// Moving an issue under a new parent must not make it its own ancestor.
+async function wouldCreateParentCycle(issueId, newParentId) {
+  if (!newParentId) return false;
+  if (issueId.toString() === newParentId.toString()) return true;
+
+  const newParent = await Issue.findById(newParentId);
+  if (!newParent) return false;
+  const ancestors = await getAncestors(newParent);
+  return ancestors.some(ancestor => ancestor._id.toString() === issueId.toString());
+}
+
+const emptyRollup = () => ({
+  issueCount: 0,
+  storyPoints: 0,
+  doneStoryPoints: 0,
+  timeSpent: 0,
+  statusCounts: {},
+  categoryCounts: Object.fromEntries(STATUS_CATEGORIES.map(category => [category, 0])),
+  percentDone: 0,
+  pointsPercentDone: null,
+});
+
+function addToRollup(rollup, values) {
+  rollup.issueCount += values.issueCount;
+  rollup.storyPoints += values.storyPoints;
+  rollup.doneStoryPoints += values.doneStoryPoints;
+  rollup.timeSpent += values.timeSpent;
+  Object.entries(values.statusCounts).forEach(([status, count]) => {
+    rollup.statusCounts[status] = (rollup.statusCounts[status] || 0) + count;
+  });
+  Object.entries(values.categoryCounts).forEach(([category, count]) => {
+    rollup.categoryCounts[category] = (rollup.categoryCounts[category] || 0) + count;
+  });
+}
+
+function finishRollup(rollup) {
+  rollup.percentDone = rollup.issueCount > 0
+    ? Math.round((rollup.categoryCounts.done / rollup.issueCount) * 100)
+    : 0;
+  // only meaningful once the issues are estimated
+  rollup.pointsPercentDone = rollup.storyPoints > 0
+    ? Math.round((rollup.doneStoryPoints / rollup.storyPoints) * 100)
+    : null;
+  return rollup;
+}
+
+// Build the descendant tree of an issue. Every node carries a rollup of itself and everything below it:
+// issue count, story points, time spent, status and status-category counts and percent done.
+async function buildIssueTree(root, maxDepth = MAX_TREE_DEPTH) {
+  const depthLimit = Math.min(maxDepth, MAX_TREE_DEPTH);
+  const issues = new Map([[root._id.toString(), root]]);
+  const childIds = new Map();
+  let frontier = [root._id];
+
+  for (let depth = 0; depth < depthLimit && frontier.length > 0; depth++) {
+    const children = await findChildren(frontier);
+    const next = [];
+    children.forEach(child => {
+      const id = child._id.toString();
+      if (issues.has(id)) return; // already placed, e.g. corrupt parent cycles
+      issues.set(id, child);
+      const parentId = getParentId(child).toString();
+      if (!childIds.has(parentId)) childIds.set(parentId, []);
+      childIds.get(parentId).push(id);
+      next.push(child._id);
+    });
+    frontier = next;
+  }
+
+  const projectIds = [...new Set([...issues.values()].map(issue => issue.projectId.toString()))];
+  const projects = await Project.find({ _id: { $in: projectIds } });
+  const workflows = new Map(projects.map(project => [project._id.toString(), getWorkflow(project)]));
+
+  const toNode = (id) => {
+    const issue = issues.get(id);
+    const workflow = workflows.get(issue.projectId.toString()) || getWorkflow(null);
+    const category = getStatusCategory(workflow, issue.status);
+    const storyPoints = issue.storyPoints || 0;
+
+    const rollup = emptyRollup();
+    addToRollup(rollup, {
+      issueCount: 1,
+      storyPoints,
+      doneStoryPoints: category === 'done' ? storyPoints : 0,
+      timeSpent: issue.timeSpent || 0,
+      statusCounts: { [issue.status]: 1 },
+      categoryCounts: category ? { [category]: 1 } : {},
+    });
+
+    const children = (childIds.get(id) || []).map(toNode);
+    children.forEach(child => addToRollup(rollup, child.rollup));
+
+    return {
+      id: issue._id,
+      key: issue.key,
+      title: issue.title,
+      type: issue.type,
+      status: issue.status,
+      statusCategory: category,
+      assigneeId: issue.assigneeId,
+      storyPoints: issue.storyPoints ?? null,
+      timeSpent: issue.timeSpent || 0,
+      rollup: finishRollup(rollup),
+      children,
+    };
+  };
+
+  return toNode(root._id.toString());
+}
+
+module.exports = {
+  MAX_TREE_DEPTH,
+  getParentId,
+  getAncestors,
+  getDescendants,
+  wouldCreateParentCycle,
+  buildIssueTree,
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const IssueHistory = require('../models/IssueHistory');
+
+// fields whose changes are recorded in the issue history
+const TRACKED_FIELDS = [
+  'projectId',
+  'key',
+  'title',
+  'description',
+  'type',
+  'status',
+  'priority',
+  'priorityLevel',
+  'assigneeId',
+  'reporterId',
+  'parentTaskId',
+  'epicId',
+  'sprintId',
+  'labels',
+  'storyPoints',
+  'dueDate',
+  'resolution',
+  'progress',
+  'isDeleted',
+  'customFields',
+];
+
+// store ids and dates as plain strings so old and new values compare and serialize the same way
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  // custom field maps are compared by key, whatever order the keys were set in
+  if (value instanceof Map) {
+    if (value.size === 0) return null;
+    return Object.fromEntries([...value.keys()].sort().map(key => [key, normalizeValue(value.get(key))]));
+  }
+  return value;
+};
+
+// Capture the tracked fields of an issue before it is modified.
+// Without an issue this returns the empty snapshot used to record creation.
+function snapshotIssue(issue = null) {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (!issue) {
+      snapshot[field] = null;
+      return;
+    }
+    snapshot[field] = normalizeValue(issue.get ? issue.get(field) : issue[field]);
+  });
+  return snapshot;
+}
+
+// List the tracked fields that differ between two snapshots.
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+}
+
+// Record the difference between a snapshot and the current state of an issue.
+// Nothing is written when no tracked field changed.
+async function recordIssueChanges(issue, before, { actorId = null, source }) {
+  const changes = diffSnapshots(before, snapshotIssue(issue));
+  if (changes.length === 0) return null;
+
+  return IssueHistory.create({
+    issueId: issue._id,
+    projectId: issue.projectId,
+    actorId,
+    source,
+    changes,
+  });
+}
+
+// Record one entry per issue for bulk updates such as sprint start and end.
+// Each entry is { issue, before, after } where before/after are snapshots.
+async function recordBulkChanges(entries, { actorId = null, source }) {
+  const docs = entries
+    .map(({ issue, before, after }) => ({
+      issueId: issue._id,
+      projectId: issue.projectId,
+      actorId,
+      source,
+      changes: diffSnapshots(before, after),
+    }))
+    .filter(doc => doc.changes.length > 0);
+
+  if (docs.length === 0) return [];
+  return IssueHistory.insertMany(docs);
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotIssue,
+  diffSnapshots,
+  recordIssueChanges,
+  recordBulkChanges,
+};
@@ -0,0 +1,408 @@
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const Sprint = require('../models/Sprint');
+const { createUpdateContext, prepareIssueChanges, applyIssueChanges } = require('./IssueUpdateService');
+const { getInitialStatus, validateTransition } = require('./WorkflowService');
+const { allocateIssueKeys, findIssueByKey } = require('./ProjectKeyService');
+const { checkIssueLabels, parseLabelList } = require('./LabelService');
+const { CUSTOM_FIELD_PREFIX, validateCustomFieldValues, extractCustomFieldColumns } = require('./CustomFieldService');
+const { getParentId } = require('./IssueHierarchyService');
+const { snapshotIssue, recordBulkChanges } = require('./IssueHistoryService');
+const { parseDueDate } = require('./DueDateService');
+
+const IMPORT_ROW_LIMIT = 1000;
+
+// fields a CSV column can be mapped to; custom fields are cf.<key>
+const IMPORT_FIELDS = [
+  'key',
+  'projectId',
+  'title',
+  'description',
+  'type',
+  'status',
+  'priority',
+  'priorityLevel',
+  'assigneeId',
+  'reporterId',
+  'parent',
+  'epic',
+  'labels',
+  'storyPoints',
+  'dueDate',
+];
+
+// column names of older import files and of the id-based API
+const FIELD_ALIASES = { parentTaskId: 'parent', parentId: 'parent', epicId: 'epic' };
+
+const ISSUE_TYPES = ['task', 'story', 'epic', 'subtask', 'bug'];
+
+// parent references: an issue id, an issue key or #<row> for another row of the file
+const ROW_REFERENCE = /^#(\d+)$/;
+
+// spreadsheet row number of a data row: the header is row 1
+const rowNumber = (index) => index + 2;
+
+const toField = (name) => {
+  if (!name) return null;
+  const field = FIELD_ALIASES[name] || name;
+  return IMPORT_FIELDS.includes(field) || field.startsWith(CUSTOM_FIELD_PREFIX) ? field : null;
+};
+
+// Parse the column mapping sent with an import: a JSON object of CSV column to field. Columns mapped
+// to null or '' are ignored. Returns { mapping } or { error: { status, message } }.
+function parseColumnMapping(raw) {
+  if (raw === undefined || raw === null || raw === '') return { mapping: {} };
+
+  let mapping = raw;
+  if (typeof raw === 'string') {
+    try {
+      mapping = JSON.parse(raw);
+    } catch (err) {
+      return { error: { status: 400, message: 'mapping must be a JSON object of CSV column to field' } };
+    }
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: { status: 400, message: 'mapping must be a JSON object of CSV column to field' } };
+  }
+
+  const unknown = Object.values(mapping).filter(field => field !== null && field !== '' && !toField(field));
+  if (unknown.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Unknown import fields: ${unknown.join(', ')}. Fields are ${IMPORT_FIELDS.join(', ')} and cf.<key>`,
+      },
+    };
+  }
+  return { mapping };
+}
+
+// Exports guard text that looks like a formula with a leading ' (see IssueExportService); take it off again.
+const cleanCell = (value) => String(value === undefined || value === null ? '' : value)
+  .trim()
+  .replace(/^'(?=[=+\-@])/, '');
+
+// Rename the columns of a CSV row to fields. Returns { values, ignored } where ignored lists unknown columns.
+function mapRow(row, mapping = {}) {
+  const values = {};
+  const ignored = [];
+  Object.entries(row).forEach(([column, raw]) => {
+    const target = Object.prototype.hasOwnProperty.call(mapping, column) ? mapping[column] : column;
+    const field = toField(target);
+    if (!field) {
+      ignored.push(column);
+      return;
+    }
+    values[field] = cleanCell(raw);
+  });
+  return { values, ignored };
+}
+
+// Check the plain fields of a row. Returns the converted values and adds messages to `errors`.
+function checkPlainFields(values, errors, { creating }) {
+  const fields = {};
+
+  for (const field of ['title', 'description']) {
+    if (values[field]) fields[field] = values[field];
+    else if (creating) errors.push(`${field} is required`);
+  }
+
+  if (values.type) {
+    if (ISSUE_TYPES.includes(values.type)) fields.type = values.type;
+    else errors.push(`type must be one of ${ISSUE_TYPES.join(', ')}`);
+  } else if (creating) {
+    errors.push('type is required');
+  }
+
+  for (const field of ['priority', 'priorityLevel']) {
+    if (!values[field]) continue;
+    const allowed = Issue.schema.path(field).enumValues;
+    if (allowed.includes(values[field])) fields[field] = values[field];
+    else errors.push(`${field} must be one of ${allowed.join(', ')}`);
+  }
+
+  if (values.storyPoints) {
+    const points = Number(values.storyPoints);
+    if (Number.isNaN(points) || points < 0) errors.push('storyPoints must be a positive number');
+    else fields.storyPoints = points;
+  }
+
+  if (values.dueDate) {
+    const { dueDate, error } = parseDueDate(values.dueDate);
+    if (error) errors.push(error);
+    else fields.dueDate = dueDate;
+  }
+
+  return fields;
+}
+
+// Validate a row that creates an issue. Returns { fields } ready to insert (without key and hierarchy).
+async function checkNewIssue(entry, context) {
+  const { values, project, errors } = entry;
+  const fields = checkPlainFields(values, errors, { creating: true });
+  fields.priorityLevel = fields.priorityLevel || 'Major';
+
+  for (const field of ['assigneeId', 'reporterId']) {
+    const value = values[field];
+    if (!value) {
+      errors.push(`${field} is required`);
+    } else if (!mongoose.Types.ObjectId.isValid(value)) {
+      errors.push(`${field} is not a valid id`);
+    } else if (!(await context.employeeExists(value))) {
+      errors.push(`${field} ${value} is not a known employee`);
+    } else {
+      fields[field] = value;
+    }
+  }
+  if (values.assigneeId && values.assigneeId === values.reporterId) {
+    errors.push('Assignee and reporter cannot be the same');
+  }
+
+  const workflow = await context.getWorkflow(project._id);
+  fields.status = values.status || getInitialStatus(workflow);
+  const statusError = validateTransition(workflow, fields.status, fields.status);
+  if (statusError) errors.push(statusError);
+
+  const labels = await checkIssueLabels(project, values.labels, {
+    catalog: project.restrictLabels ? await context.getLabelCatalog(project._id) : null,
+  });
+  if (labels.error) errors.push(labels.error.message);
+  else fields.labels = labels.labels;
+
+  const customFields = await validateCustomFieldValues(project, extractCustomFieldColumns(values));
+  if (customFields.error) errors.push(customFields.error.message);
+  else fields.customFields = customFields.customFields;
+
+  return fields;
+}
+
+// Validate a row that updates an existing issue. Empty cells leave the field as it is.
+async function checkIssueUpdate(entry, context) {
+  const { values, issue, errors } = entry;
+  const fields = checkPlainFields(values, errors, { creating: false });
+
+  // status, people, labels and custom fields follow the rules of PUT /issues/:issueId
+  const changes = {};
+  ['status', 'priority', 'priorityLevel', 'assigneeId', 'reporterId'].forEach(field => {
+    if (values[field]) changes[field] = values[field];
+  });
+  if (values.labels) changes.labels = parseLabelList(values.labels);
+  const customFields = extractCustomFieldColumns(values);
+  if (Object.values(customFields).some(Boolean)) {
+    changes.customFields = Object.fromEntries(Object.entries(customFields).filter(([, value]) => value));
+  }
+
+  const prepared = await prepareIssueChanges(issue, changes, { context });
+  if (prepared.error) errors.push(prepared.error.message);
+  else entry.prepared = prepared;
+
+  return fields;
+}
+
+// Resolve a parent or epic reference of a row. Returns { id, projectId } or { message }.
+async function resolveReference(value, { byRow, byIssueId }) {
+  const rowMatch = ROW_REFERENCE.exec(value);
+  if (rowMatch) {
+    const target = byRow.get(Number(rowMatch[1]));
+    if (!target || !target.project) return { message: `row ${rowMatch[1]} is not an issue of this file` };
+    return { id: target.id, projectId: target.project._id, key: `row ${target.row}` };
+  }
+
+  const issue = mongoose.Types.ObjectId.isValid(value) ? await Issue.findById(value) : await findIssueByKey(value);
+  if (!issue || issue.isDeleted) return { message: `issue ${value} not found` };
+  // rows updating the referenced issue may move it, so use the row's project
+  const target = byIssueId.get(issue._id.toString());
+  return { id: issue._id, projectId: target && target.project ? target.project._id : issue.projectId, key: issue.key };
+}
+
+// Does following the parents of an entry lead back to it? New links of the file win over stored ones.
+async function leadsToCycle(entry, byIssueId) {
+  const stored = new Map();
+  const parentOf = async (id) => {
+    const target = byIssueId.get(id);
+    if (target) {
+      const parentTaskId = target.links.parentTaskId || (target.issue && target.issue.parentTaskId);
+      const epicId = target.links.epicId || (target.issue && target.issue.epicId);
+      return parentTaskId || epicId || null;
+    }
+    if (!stored.has(id)) stored.set(id, await Issue.findById(id, 'parentTaskId epicId'));
+    const issue = stored.get(id);
+    return issue ? getParentId(issue) : null;
+  };
+
+  const start = entry.id.toString();
+  const seen = new Set();
+  let current = await parentOf(start);
+  while (current && !seen.has(current.toString())) {
+    if (current.toString() === start) return true;
+    seen.add(current.toString());
+    current = await parentOf(current.toString());
+  }
+  return false;
+}
+
+// Validate every row of an import without writing anything. Each entry of the plan carries its row
+// number, the existing issue for rows matched by key, the checked fields and its errors and warnings.
+async function planImport(rows, { projectId = null, mapping = {} } = {}) {
+  const context = createUpdateContext();
+  const ignoredColumns = new Set();
+  const entries = [];
+  const keyRows = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    const { values, ignored } = mapRow(row, mapping);
+    ignored.forEach(column => ignoredColumns.add(column));
+    const entry = { row: rowNumber(index), values, errors: [], warnings: [], links: {}, issue: null, project: null };
+    entries.push(entry);
+
+    const rowProjectId = values.projectId || projectId;
+    if (!rowProjectId || !mongoose.Types.ObjectId.isValid(rowProjectId)) {
+      entry.errors.push('A valid projectId is required, as a form field or a column');
+      continue;
+    }
+    const project = await context.getProject(rowProjectId);
+    if (!project || project.isDeleted) {
+      entry.errors.push(`Project ${rowProjectId} not found`);
+      continue;
+    }
+    entry.project = project;
+
+    // rows with the key of an existing issue update it
+    if (values.key) {
+      const key = values.key.toUpperCase();
+      if (keyRows.has(key)) {
+        entry.errors.push(`${key} is already imported by row ${keyRows.get(key)}`);
+        continue;
+      }
+      keyRows.set(key, entry.row);
+
+      const issue = await findIssueByKey(key);
+      if (issue && issue.isDeleted) {
+        entry.errors.push(`${key} is in the trash; restore it before importing`);
+        continue;
+      }
+      if (issue && !issue.projectId.equals(project._id)) {
+        entry.errors.push(`${key} belongs to another project`);
+        continue;
+      }
+      if (issue) entry.issue = issue;
+      else entry.warnings.push(`${key} does not exist; the issue will be created with the next key of the project`);
+    }
+
+    entry.id = entry.issue ? entry.issue._id : new mongoose.Types.ObjectId();
+    entry.fields = entry.issue ? await checkIssueUpdate(entry, context) : await checkNewIssue(entry, context);
+  }
+
+  // hierarchy references can point at rows further down the file, so they are resolved last
+  const valid = entries.filter(entry => entry.id);
+  const byRow = new Map(valid.map(entry => [entry.row, entry]));
+  const byIssueId = new Map(valid.map(entry => [entry.id.toString(), entry]));
+  for (const entry of valid) {
+    for (const [column, field] of [['parent', 'parentTaskId'], ['epic', 'epicId']]) {
+      if (!entry.values[column]) continue;
+      const reference = await resolveReference(entry.values[column], { byRow, byIssueId });
+      if (reference.message) {
+        entry.errors.push(`${column}: ${reference.message}`);
+      } else if (reference.id.toString() === entry.id.toString()) {
+        entry.errors.push(`${column}: an issue cannot be its own ${column}`);
+      } else if (!reference.projectId.equals(entry.project._id)) {
+        entry.errors.push(`${column}: ${reference.key} belongs to another project`);
+      } else {
+        entry.links[field] = reference.id;
+      }
+    }
+  }
+  for (const entry of valid) {
+    if ((entry.links.parentTaskId || entry.links.epicId) && await leadsToCycle(entry, byIssueId)) {
+      entry.errors.push('parent and epic references form a cycle');
+    }
+  }
+
+  return { entries, ignoredColumns: [...ignoredColumns] };
+}
+
+// The validation report of a plan: a summary and one line per row.
+function describeImport({ entries, ignoredColumns }) {
+  const rows = entries.map(entry => ({
+    row: entry.row,
+    action: entry.errors.length > 0 ? 'error' : (entry.issue ? 'update' : 'create'),
+    key: entry.issue ? entry.issue.key : null,
+    title: entry.values.title || (entry.issue ? entry.issue.title : null),
+    errors: entry.errors,
+    warnings: entry.warnings,
+  }));
+  const count = (action) => rows.filter(row => row.action === action).length;
+
+  return {
+    summary: { rows: rows.length, create: count('create'), update: count('update'), errors: count('error') },
+    rows,
+    ignoredColumns,
+  };
+}
+
+// Write a plan without errors: all rows or none. New issues get consecutive keys per project in file order.
+// Returns { created, updated }.
+async function commitImport({ entries }, { actorId = null } = {}) {
+  const creates = entries.filter(entry => !entry.issue);
+  const updates = entries.filter(entry => entry.issue);
+
+  const byProject = new Map();
+  creates.forEach(entry => {
+    const projectKey = entry.project._id.toString();
+    if (!byProject.has(projectKey)) byProject.set(projectKey, []);
+    byProject.get(projectKey).push(entry);
+  });
+  for (const group of byProject.values()) {
+    const keys = await allocateIssueKeys(group[0].project, group.length);
+    group.forEach((entry, index) => { entry.newKey = keys[index]; });
+  }
+
+  const docs = creates.map(entry => ({
+    _id: entry.id,
+    ...entry.newKey,
+    projectId: entry.project._id,
+    ...entry.fields,
+    parentTaskId: entry.links.parentTaskId || null,
+    epicId: entry.links.epicId || null,
+  }));
+
+  // no transactions: undo what was written when a later write fails
+  const originals = [];
+  let created = [];
+  try {
+    if (docs.length > 0) created = await Issue.insertMany(docs, { ordered: true });
+    for (const entry of updates) {
+      originals.push(entry.issue.toObject());
+      entry.before = snapshotIssue(entry.issue);
+      entry.issue.set({ ...entry.fields, ...entry.links });
+      await applyIssueChanges(entry.issue, entry.prepared);
+    }
+  } catch (err) {
+    await Issue.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    await Promise.all(originals.map(original => Issue.replaceOne({ _id: original._id }, original)));
+    // sprint membership follows the issue, so put it back too
+    for (const entry of updates.slice(0, originals.length)) {
+      const { sprintChange } = entry.prepared;
+      if (sprintChange && sprintChange.to) await Sprint.updateOne({ _id: sprintChange.to }, { $pull: { issues: entry.issue._id } });
+      if (sprintChange && sprintChange.from) await Sprint.updateOne({ _id: sprintChange.from }, { $addToSet: { issues: entry.issue._id } });
+    }
+    throw err;
+  }
+
+  await recordBulkChanges([
+    ...created.map(issue => ({ issue, before: snapshotIssue(), after: snapshotIssue(issue) })),
+    ...updates.map(entry => ({ issue: entry.issue, before: entry.before, after: snapshotIssue(entry.issue) })),
+  ], { actorId, source: 'csv_import' });
+
+  return { created, updated: updates.map(entry => entry.issue) };
+}
+
+module.exports = {
+  IMPORT_ROW_LIMIT,
+  IMPORT_FIELDS,
+  parseColumnMapping,
+  mapRow,
+  planImport,
+  describeImport,
+  commitImport,
+};
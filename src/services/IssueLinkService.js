@@ -0,0 +1,107 @@
+const IssueLink = require('../models/IssueLink');
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const { getWorkflow, getStatusCategory } = require('./WorkflowService');
+
+// link names accepted by the API, mapped to the stored type and whether source/target are swapped
+const LINK_TYPES = {
+  blocks: { type: 'blocks', inverse: false },
+  is_blocked_by: { type: 'blocks', inverse: true },
+  duplicates: { type: 'duplicates', inverse: false },
+  is_duplicated_by: { type: 'duplicates', inverse: true },
+  relates_to: { type: 'relates_to', inverse: false },
+  clones: { type: 'clones', inverse: false },
+  is_cloned_by: { type: 'clones', inverse: true },
+};
+
+// link types that form a directed chain and therefore must not loop back on themselves
+const ACYCLIC_TYPES = ['blocks', 'duplicates'];
+
+// Turn an API link name into the stored direction.
+function normalizeLink(linkType, issueId, otherIssueId) {
+  const definition = LINK_TYPES[linkType];
+  if (!definition) return null;
+  return definition.inverse
+    ? { type: definition.type, sourceIssueId: otherIssueId, targetIssueId: issueId }
+    : { type: definition.type, sourceIssueId: issueId, targetIssueId: otherIssueId };
+}
+
+// Name of a stored link as seen from one of its issues, e.g. "is_blocked_by" from the target.
+function describeLink(link, issueId) {
+  const outgoing = link.sourceIssueId.toString() === issueId.toString();
+  if (outgoing || link.type === 'relates_to') return link.type;
+  return { blocks: 'is_blocked_by', duplicates: 'is_duplicated_by', clones: 'is_cloned_by' }[link.type];
+}
+
+// Adding "source -> target" closes a cycle when target already reaches source through links of the same type.
+// Returns the issue ids of the existing path from target back to source, or null.
+async function findCycle(type, sourceIssueId, targetIssueId) {
+  if (!ACYCLIC_TYPES.includes(type)) return null;
+
+  const source = sourceIssueId.toString();
+  const previous = new Map([[targetIssueId.toString(), null]]);
+  let frontier = [targetIssueId.toString()];
+
+  while (frontier.length > 0) {
+    const links = await IssueLink.find({ type, sourceIssueId: { $in: frontier } }, 'sourceIssueId targetIssueId');
+    const next = [];
+    for (const link of links) {
+      const to = link.targetIssueId.toString();
+      if (previous.has(to)) continue;
+      previous.set(to, link.sourceIssueId.toString());
+      if (to === source) {
+        const path = [];
+        for (let node = to; node; node = previous.get(node)) path.unshift(node);
+        return path;
+      }
+      next.push(to);
+    }
+    frontier = next;
+  }
+
+  return null;
+}
+
+// Issues that block the given one and are not finished yet under their own project's workflow.
+async function getOpenBlockers(issueId) {
+  const links = await IssueLink.find({ type: 'blocks', targetIssueId: issueId });
+  if (links.length === 0) return [];
+
+  const blockers = await Issue.find({
+    _id: { $in: links.map(link => link.sourceIssueId) },
+    isDeleted: false,
+  });
+  const projectIds = [...new Set(blockers.map(blocker => blocker.projectId.toString()))];
+  const projects = await Project.find({ _id: { $in: projectIds } });
+  const workflows = new Map(projects.map(project => [project._id.toString(), getWorkflow(project)]));
+
+  return blockers
+    .filter(blocker => getStatusCategory(workflows.get(blocker.projectId.toString()) || getWorkflow(null), blocker.status) !== 'done')
+    .map(blocker => ({ issueId: blocker._id, key: blocker.key, title: blocker.title, status: blocker.status }));
+}
+
+// Moving an issue into a done status while its blockers are open is refused unless forced.
+// Returns the open blockers and whether the move must be refused.
+async function checkBlockersForStatus(issue, workflow, toStatus, force = false) {
+  const closing = getStatusCategory(workflow, toStatus) === 'done'
+    && getStatusCategory(workflow, issue.status) !== 'done';
+  if (!closing) return { blockers: [], refused: false };
+
+  const blockers = await getOpenBlockers(issue._id);
+  return { blockers, refused: blockers.length > 0 && !force };
+}
+
+// A 'Duplicate' resolution needs a link pointing at the original issue.
+async function hasDuplicateLink(issueId) {
+  return !!(await IssueLink.exists({ type: 'duplicates', sourceIssueId: issueId }));
+}
+
+module.exports = {
+  LINK_TYPES,
+  normalizeLink,
+  describeLink,
+  findCycle,
+  getOpenBlockers,
+  checkBlockersForStatus,
+  hasDuplicateLink,
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const { getEmployeeById } = require('./EmployeeFetchService');
+const { getWorkflow, getInitialStatus } = require('./WorkflowService');
+const { allocateIssueKeys } = require('./ProjectKeyService');
+const { checkIssueLabels } = require('./LabelService');
+const { validateCustomFieldValues } = require('./CustomFieldService');
+const { snapshotIssue, recordBulkChanges } = require('./IssueHistoryService');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// Replace {{name}} placeholders with the given variables; unknown placeholders stay as they are.
+function fillPlaceholders(text, variables = {}) {
+  if (!text) return text;
+  return String(text).replace(PLACEHOLDER, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  ));
+}
+
+// Check a template definition sent by a client. Returns a list of error messages.
+async function validateTemplateDefinition(project, { issue = {}, subtasks = [] }) {
+  const errors = [];
+  if (issue.type === 'subtask' && subtasks.length > 0) {
+    errors.push('A subtask template cannot have subtasks');
+  }
+  subtasks.forEach((subtask, index) => {
+    if (!subtask || typeof subtask.title !== 'string' || !subtask.title.trim()) {
+      errors.push(`subtasks[${index}].title is required`);
+    }
+  });
+
+  const labelSets = [issue.labels, ...subtasks.map(subtask => subtask && subtask.labels)];
+  for (const labels of labelSets) {
+    const checked = await checkIssueLabels(project, labels);
+    if (checked.error) errors.push(checked.error.message);
+  }
+
+  // required custom fields may be filled in when the template is used
+  if (issue.customFields !== undefined) {
+    const checked = await validateCustomFieldValues(project, issue.customFields, { existing: {} });
+    if (checked.error) errors.push(checked.error.message);
+  }
+
+  return [...new Set(errors)];
+}
+
+// Create the issue of a template and its subtasks with consecutive keys. Subtasks get the parent as
+// parentTaskId and share its assignee, reporter, epic and custom fields.
+// Returns { parent, subtasks } or { error: { status, message } }.
+async function createIssuesFromTemplate(template, project, options) {
+  const { assigneeId, reporterId, epicId = null, variables = {}, actorId = null } = options;
+
+  const title = fillPlaceholders(options.title || template.issue.title, variables);
+  if (!title || !title.trim()) {
+    return { error: { status: 400, message: 'A title is required because the template has none' } };
+  }
+  const description = fillPlaceholders(options.description || template.issue.description, variables);
+  if (!description || !description.trim()) {
+    return { error: { status: 400, message: 'A description is required because the template has none' } };
+  }
+
+  if (await Issue.findOne({ title, projectId: project._id })) {
+    return { error: { status: 409, message: 'Issue already exists for the same project' } };
+  }
+
+  for (const [field, value] of [['assigneeId', assigneeId], ['reporterId', reporterId]]) {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return { error: { status: 422, message: `Valid ${field} is required` } };
+    }
+  }
+  if (String(assigneeId) === String(reporterId)) {
+    return { error: { status: 400, message: "assigneeId and reporterId can't be same" } };
+  }
+  if (!(await getEmployeeById(assigneeId))) {
+    return { error: { status: 404, message: 'assignee not exists' } };
+  }
+  if (!(await getEmployeeById(reporterId))) {
+    return { error: { status: 404, message: 'reporter not found' } };
+  }
+
+  if (epicId) {
+    const epic = mongoose.Types.ObjectId.isValid(epicId) ? await Issue.findById(epicId) : null;
+    if (!epic || epic.isDeleted || !epic.projectId.equals(project._id)) {
+      return { error: { status: 404, message: 'Epic not found' } };
+    }
+  }
+
+  const customFields = await validateCustomFieldValues(project, {
+    ...(template.issue.customFields || {}),
+    ...(options.customFields || {}),
+  });
+  if (customFields.error) {
+    return { error: customFields.error };
+  }
+
+  const labelLists = [template.issue.labels, ...template.subtasks.map(subtask => subtask.labels)];
+  const checkedLabels = [];
+  for (const labels of labelLists) {
+    const checked = await checkIssueLabels(project, labels);
+    if (checked.error) return { error: checked.error };
+    checkedLabels.push(checked.labels);
+  }
+
+  const status = getInitialStatus(getWorkflow(project));
+  const keys = await allocateIssueKeys(project, 1 + template.subtasks.length);
+  const shared = {
+    projectId: project._id,
+    status,
+    assigneeId,
+    reporterId,
+    epicId: epicId || null,
+    customFields: customFields.customFields,
+  };
+
+  const parentId = new mongoose.Types.ObjectId();
+  const docs = [
+    {
+      ...shared,
+      _id: parentId,
+      ...keys[0],
+      title,
+      description,
+      type: template.issue.type,
+      priority: template.issue.priority,
+      priorityLevel: template.issue.priorityLevel,
+      labels: checkedLabels[0],
+      storyPoints: template.issue.storyPoints,
+    },
+    ...template.subtasks.map((subtask, index) => ({
+      ...shared,
+      _id: new mongoose.Types.ObjectId(),
+      ...keys[index + 1],
+      title: fillPlaceholders(subtask.title, variables),
+      description: fillPlaceholders(subtask.description, variables) || title,
+      type: 'subtask',
+      priority: subtask.priority,
+      labels: checkedLabels[index + 1],
+      storyPoints: subtask.storyPoints,
+      parentTaskId: parentId,
+    })),
+  ];
+
+  // all or nothing: if one insert fails the others are removed again
+  let issues;
+  try {
+    issues = await Issue.insertMany(docs, { ordered: true });
+  } catch (err) {
+    await Issue.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    throw err;
+  }
+
+  await recordBulkChanges(
+    issues.map(issue => ({ issue, before: snapshotIssue(), after: snapshotIssue(issue) })),
+    { actorId, source: 'template_create' }
+  );
+
+  return { parent: issues[0], subtasks: issues.slice(1) };
+}
+
+module.exports = {
+  fillPlaceholders,
+  validateTemplateDefinition,
+  createIssuesFromTemplate,
+};
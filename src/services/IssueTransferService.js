@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const IssueLink = require('../models/IssueLink');
+const Sprint = require('../models/Sprint');
+const { getWorkflow, getInitialStatus, getStatusCategory, findStatus, firstStatusInCategory } = require('./WorkflowService');
+const { allocateIssueKeys } = require('./ProjectKeyService');
+const { getDescendants } = require('./IssueHierarchyService');
+const { snapshotIssue, recordBulkChanges } = require('./IssueHistoryService');
+const { copyAttachment, deleteAttachmentFiles } = require('./AttachmentService');
+const { queuePreviews } = require('./AttachmentPreviewService');
+const { reserveStorage, releaseStorage, attachmentBytes } = require('./StorageQuotaService');
+
+// Clone an issue into its own project. Options: title (default "CLONE - <title>"), includeSubtasks
+// (copy everything below the issue), includeLabels and includeAttachments. Clones start in the initial
+// status without sprint, votes, watchers, comments or logged time, and the new issue "clones" the original.
+// Returns { issue, subtasks, warnings }.
+async function cloneIssue(issue, project, options = {}) {
+  const { includeSubtasks = false, includeLabels = true, includeAttachments = false, actorId = null } = options;
+  const warnings = [];
+
+  const sources = [issue, ...(includeSubtasks ? await getDescendants(issue) : [])];
+  const newIds = new Map(sources.map(source => [source._id.toString(), new mongoose.Types.ObjectId()]));
+  // links inside the copied tree point at the copies; the top issue keeps its parent and epic
+  const remap = (id) => (id && newIds.has(id.toString()) ? newIds.get(id.toString()) : id);
+
+  const status = getInitialStatus(getWorkflow(project));
+  const keys = await allocateIssueKeys(project, sources.length);
+
+  // copied files count against the project's storage quota; when they don't fit the clones go without them
+  let copyAttachments = includeAttachments;
+  let reservedBytes = 0;
+  if (includeAttachments) {
+    const bytes = attachmentBytes(sources.flatMap(source => source.attachments));
+    const reserved = await reserveStorage(project._id, bytes);
+    if (reserved.error) {
+      copyAttachments = false;
+      warnings.push(`Attachments were not copied: ${reserved.error.message}`);
+    } else {
+      reservedBytes = bytes;
+    }
+  }
+
+  const docs = [];
+  for (const [index, source] of sources.entries()) {
+    let attachments = [];
+    if (copyAttachments) {
+      for (const attachment of source.attachments) {
+        const copy = await copyAttachment(attachment, actorId);
+        if (copy) {
+          attachments.push(copy);
+        } else {
+          warnings.push(`${source.key}: attachment ${attachment.originalName} no longer exists and was not copied`);
+          await releaseStorage(project._id, attachment.size);
+          reservedBytes -= attachment.size || 0;
+        }
+      }
+    }
+
+    docs.push({
+      _id: newIds.get(source._id.toString()),
+      ...keys[index],
+      projectId: source.projectId,
+      title: index === 0 ? (options.title || `CLONE - ${source.title}`) : source.title,
+      description: source.description,
+      type: source.type,
+      status,
+      priority: source.priority,
+      priorityLevel: source.priorityLevel,
+      assigneeId: source.assigneeId,
+      reporterId: source.reporterId,
+      parentTaskId: remap(source.parentTaskId),
+      epicId: remap(source.epicId),
+      dueDate: source.dueDate,
+      storyPoints: source.storyPoints,
+      labels: includeLabels ? source.labels : [],
+      customFields: source.customFields,
+      attachments,
+    });
+  }
+
+  let clones;
+  try {
+    clones = await Issue.insertMany(docs, { ordered: true });
+  } catch (err) {
+    await Issue.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    await deleteAttachmentFiles(docs.flatMap(doc => doc.attachments));
+    await releaseStorage(project._id, reservedBytes);
+    throw err;
+  }
+
+  await IssueLink.create({ sourceIssueId: clones[0]._id, targetIssueId: issue._id, type: 'clones', createdBy: actorId });
+  await recordBulkChanges(
+    clones.map(clone => ({ issue: clone, before: snapshotIssue(), after: snapshotIssue(clone) })),
+    { actorId, source: 'issue_clone' }
+  );
+  clones.forEach(clone => queuePreviews(clone._id, clone.attachments));
+
+  return { issue: clones[0], subtasks: clones.slice(1), warnings };
+}
+
+// The fields moveIssue changes, for putting an issue back when the move fails halfway.
+function pickMovedFields(item) {
+  const fields = ['projectId', 'key', 'issueNumber', 'status', 'sprintId', 'customFields', 'parentTaskId', 'epicId', 'keyAliases', 'updatedAt'];
+  const current = item.toObject({ flattenMaps: true });
+  return Object.fromEntries(fields.map(field => [field, current[field] === undefined ? null : current[field]]));
+}
+
+// Status of a moved issue in the target workflow: the same status when it exists, otherwise the first
+// status of the same category, otherwise the initial status.
+function mapStatus(status, fromWorkflow, toWorkflow) {
+  if (findStatus(toWorkflow, status)) return status;
+  const category = getStatusCategory(fromWorkflow, status);
+  return (category && firstStatusInCategory(toWorkflow, category)) || getInitialStatus(toWorkflow);
+}
+
+// Move an issue and everything below it to another project. Each issue gets a new key from the target
+// project's counter and keeps its old key as an alias. The top issue leaves its parent and epic, issues
+// leave sprints of the old project (and join targetSprint when given) and custom field values the target
+// project doesn't define with the same type are dropped. Returns { issue, moved, warnings }, or
+// { error: { status, message } } when the attachments don't fit the target project's storage quota.
+// When saving one of the issues fails, the issues already moved are put back and the error is rethrown.
+async function moveIssue(issue, fromProject, toProject, { targetSprint = null, actorId = null } = {}) {
+  const warnings = [];
+  const issues = [issue, ...(await getDescendants(issue))];
+  const issueIds = issues.map(item => item._id);
+  const fromWorkflow = getWorkflow(fromProject);
+  const toWorkflow = getWorkflow(toProject);
+  const targetFields = new Map((toProject.customFields || []).map(field => [field.key, field.type]));
+  const sourceFields = new Map((fromProject.customFields || []).map(field => [field.key, field.type]));
+
+  if (issue.parentTaskId || issue.epicId) {
+    warnings.push(`${issue.key} was detached from its parent and epic in ${fromProject.name}`);
+  }
+
+  // the attachment files now count against the target project's storage quota
+  const bytes = attachmentBytes(issues.flatMap(item => item.attachments));
+  if (bytes > 0) {
+    const reserved = await reserveStorage(toProject._id, bytes);
+    if (reserved.error) return { error: reserved.error };
+  }
+
+  const historyEntries = [];
+  const moved = [];
+  const saved = [];
+
+  try {
+    const keys = await allocateIssueKeys(toProject, issues.length);
+    for (const [index, item] of issues.entries()) {
+      const before = snapshotIssue(item);
+      const previous = pickMovedFields(item);
+      const oldKey = item.key;
+
+      const customFields = {};
+      const dropped = [];
+      (item.customFields ? [...item.customFields.entries()] : []).forEach(([key, value]) => {
+        if (targetFields.get(key) === sourceFields.get(key)) customFields[key] = value;
+        else dropped.push(key);
+      });
+      if (dropped.length > 0) {
+        warnings.push(`${oldKey}: custom fields not defined in ${toProject.name} were dropped: ${dropped.join(', ')}`);
+      }
+
+      item.set({
+        projectId: toProject._id,
+        key: keys[index].key,
+        issueNumber: keys[index].issueNumber,
+        status: mapStatus(item.status, fromWorkflow, toWorkflow),
+        sprintId: targetSprint ? targetSprint._id : null,
+        customFields,
+        updatedAt: Date.now(),
+      });
+      if (index === 0) item.set({ parentTaskId: null, epicId: null });
+      item.keyAliases.addToSet(oldKey);
+      await item.save();
+      saved.push({ item, previous });
+
+      historyEntries.push({ issue: item, before, after: snapshotIssue(item) });
+      moved.push({ id: item._id, oldKey, key: item.key });
+    }
+  } catch (err) {
+    // put the issues already moved back where they were and give the reserved storage back
+    for (const { item, previous } of saved) {
+      await Issue.updateOne({ _id: item._id }, { $set: previous, $inc: { __v: 1 } });
+    }
+    if (bytes > 0) await releaseStorage(toProject._id, bytes);
+    throw err;
+  }
+
+  // sprints belong to one project, so the moved issues leave the old project's sprints
+  const { modifiedCount } = await Sprint.updateMany(
+    { projectId: { $ne: toProject._id }, issues: { $in: issueIds } },
+    { $pull: { issues: { $in: issueIds } } }
+  );
+  if (modifiedCount > 0) {
+    warnings.push(`Issues were removed from ${modifiedCount} sprint(s) of ${fromProject.name}`);
+  }
+  if (targetSprint) {
+    await Sprint.updateOne({ _id: targetSprint._id }, { $addToSet: { issues: { $each: issueIds } } });
+  }
+
+  await releaseStorage(fromProject._id, bytes);
+
+  await recordBulkChanges(historyEntries, { actorId, source: 'issue_move' });
+  return { issue: issues[0], moved, warnings };
+}
+
+module.exports = {
+  cloneIssue,
+  moveIssue,
+};
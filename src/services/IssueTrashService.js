@@ -0,0 +1,134 @@
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const IssueLink = require('../models/IssueLink');
+const IssueHistory = require('../models/IssueHistory');
+const Sprint = require('../models/Sprint');
+const { getDescendants, getParentId } = require('./IssueHierarchyService');
+const { snapshotIssue, recordBulkChanges } = require('./IssueHistoryService');
+const { deleteAttachmentFiles } = require('./AttachmentService');
+const { releaseStorage, attachmentBytes } = require('./StorageQuotaService');
+
+const DEFAULT_RETENTION_DAYS = 30;
+// issues purged per run; the rest waits for the next run
+const PURGE_BATCH_SIZE = 500;
+
+// days deleted issues stay in the trash (TRASH_RETENTION_DAYS)
+function getRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+// When an issue in the trash will be purged. Issues deleted before deletedAt existed count from their last update.
+function getPurgeDate(issue, retentionDays = getRetentionDays()) {
+  const deletedAt = issue.deletedAt || issue.updatedAt;
+  return new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+// Set `changesFor(item)` on every issue and save them. When a save fails (e.g. someone edited the issue
+// at the same time) the issues already saved get their old values back, so a tree is never half in the
+// trash, and the error is thrown. Returns the history entries of the saved issues.
+async function saveAllOrNone(issues, changesFor) {
+  const historyEntries = [];
+  const saved = [];
+  try {
+    for (const item of issues) {
+      const changes = changesFor(item);
+      const previous = Object.fromEntries(Object.keys(changes).map(field => [field, item.get(field)]));
+      const before = snapshotIssue(item);
+      item.set(changes);
+      await item.save();
+      saved.push({ item, previous });
+      historyEntries.push({ issue: item, before, after: snapshotIssue(item) });
+    }
+  } catch (err) {
+    for (const { item, previous } of saved) {
+      await Issue.updateOne({ _id: item._id }, { $set: previous, $inc: { __v: 1 } });
+    }
+    throw err;
+  }
+  return historyEntries;
+}
+
+// Move an issue and everything below it to the trash. Descendants remember the issue they were deleted
+// with so a restore brings them back together. Returns the trashed issues, the issue first.
+async function trashIssue(issue, { actorId = null } = {}) {
+  const issues = [issue, ...(await getDescendants(issue))];
+  const deletedAt = new Date();
+
+  const historyEntries = await saveAllOrNone(issues, item => ({
+    isDeleted: true,
+    deletedAt,
+    deletedBy: actorId,
+    deletedWith: item === issue ? null : issue._id,
+    updatedAt: deletedAt,
+  }));
+
+  await recordBulkChanges(historyEntries, { actorId, source: 'issue_delete' });
+  return issues;
+}
+
+// Take an issue and the issues deleted with it out of the trash. An issue whose parent or epic is
+// still in the trash cannot come back on its own.
+// Returns { issues } or { error: { status, message } }.
+async function restoreIssue(issue, { actorId = null } = {}) {
+  const parentId = getParentId(issue);
+  if (parentId) {
+    const parent = await Issue.findById(parentId);
+    if (parent && parent.isDeleted) {
+      return { error: { status: 409, message: `Restore ${parent.key} first; ${issue.key} was deleted with it or below it` } };
+    }
+  }
+
+  const issues = [issue, ...(await Issue.find({ deletedWith: issue._id, isDeleted: true }))];
+  const historyEntries = await saveAllOrNone(issues, () => ({
+    isDeleted: false, deletedAt: null, deletedBy: null, deletedWith: null, updatedAt: Date.now(),
+  }));
+
+  await recordBulkChanges(historyEntries, { actorId, source: 'issue_restore' });
+  return { issues };
+}
+
+// Permanently delete issues that have been in the trash longer than the retention period, with their
+// attachment files, comments, links and history. Returns { purged, attachments }.
+async function purgeExpiredIssues(now = new Date(), retentionDays = getRetentionDays()) {
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = await Issue.find({
+    isDeleted: true,
+    $or: [
+      { deletedAt: { $lte: cutoff } },
+      { deletedAt: null, updatedAt: { $lte: cutoff } },
+    ],
+  }, '_id projectId attachments').limit(PURGE_BATCH_SIZE);
+  if (expired.length === 0) return { purged: 0, attachments: 0 };
+
+  const issueIds = expired.map(issue => issue._id);
+  const attachments = await deleteAttachmentFiles(expired.flatMap(issue => issue.attachments));
+  const freed = new Map();
+  expired.forEach(issue => {
+    const projectId = issue.projectId.toString();
+    freed.set(projectId, (freed.get(projectId) || 0) + attachmentBytes(issue.attachments));
+  });
+  for (const [projectId, bytes] of freed) await releaseStorage(projectId, bytes);
+
+  await Promise.all([
+    Comment.deleteMany({ issueId: { $in: issueIds } }),
+    IssueLink.deleteMany({ $or: [{ sourceIssueId: { $in: issueIds } }, { targetIssueId: { $in: issueIds } }] }),
+    IssueHistory.deleteMany({ issueId: { $in: issueIds } }),
+    Sprint.updateMany({ issues: { $in: issueIds } }, { $pull: { issues: { $in: issueIds } } }),
+    // issues restored on their own keep no reference to a purged parent
+    Issue.updateMany({ parentTaskId: { $in: issueIds } }, { $set: { parentTaskId: null }, $inc: { __v: 1 } }),
+    Issue.updateMany({ epicId: { $in: issueIds } }, { $set: { epicId: null }, $inc: { __v: 1 } }),
+  ]);
+  const { deletedCount } = await Issue.deleteMany({ _id: { $in: issueIds } });
+
+  return { purged: deletedCount, attachments };
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  getRetentionDays,
+  getPurgeDate,
+  trashIssue,
+  restoreIssue,
+  purgeExpiredIssues,
+};
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const Sprint = require('../models/Sprint');
+const { getEmployeeById } = require('./EmployeeFetchService');
+const { getWorkflow, getSprintStartStatus, validateTransition } = require('./WorkflowService');
+const { checkBlockersForStatus, hasDuplicateLink } = require('./IssueLinkService');
+const { wouldCreateParentCycle } = require('./IssueHierarchyService');
+const { loadLabelCatalog, checkIssueLabels } = require('./LabelService');
+const { validateCustomFieldValues } = require('./CustomFieldService');
+
+const fail = (status, message, extra = {}) => ({ error: { status, message, ...extra } });
+
+// Caches projects, workflows, label catalogs, sprints and employees for the duration of one request, so bulk edits look each up once.
+function createUpdateContext() {
+  const cache = new Map();
+  const cached = (key, load) => {
+    if (!cache.has(key)) cache.set(key, load());
+    return cache.get(key);
+  };
+  const getProject = (projectId) => cached(`project:${projectId}`, () => Project.findById(projectId));
+  return {
+    getProject,
+    getWorkflow: (projectId) => cached(`workflow:${projectId}`, async () => getWorkflow(await getProject(projectId))),
+    getLabelCatalog: (projectId) => cached(`labels:${projectId}`, () => loadLabelCatalog(projectId)),
+    getSprint: (sprintId) => cached(`sprint:${sprintId}`, () => Sprint.findById(sprintId)),
+    employeeExists: (employeeId) => cached(`employee:${employeeId}`, async () => !!(await getEmployeeById(employeeId))),
+  };
+}
+
+// Labels are either replaced (array) or edited ({ add: [], remove: [] }). Returns the new list or null when invalid.
+function resolveLabels(current, change) {
+  const clean = (list) => (Array.isArray(list) ? list : []).map(label => String(label).trim()).filter(Boolean);
+  if (Array.isArray(change)) return [...new Set(clean(change))];
+  if (!change || typeof change !== 'object') return null;
+  const remove = new Set(clean(change.remove));
+  return [...new Set([...(current || []), ...clean(change.add)])].filter(label => !remove.has(label));
+}
+
+// Validate a change set against an issue with the rules of the single-issue routes.
+// Supported fields: status, priority, priorityLevel, assigneeId, reporterId, parentTaskId, epicId, resolution,
+// labels, customFields and sprintId. Returns { updates, sprintChange, blockers } or { error: { status, message, ... } }.
+async function prepareIssueChanges(issue, changes, { force = false, context = createUpdateContext() } = {}) {
+  const updates = {};
+  let sprintChange = null;
+  let blockers = [];
+  const workflow = await context.getWorkflow(issue.projectId);
+
+  for (const field of ['priority', 'priorityLevel']) {
+    if (changes[field] === undefined) continue;
+    if (!Issue.schema.path(field).enumValues.includes(changes[field])) {
+      return fail(400, `Invalid ${field}. Allowed values: ${Issue.schema.path(field).enumValues.join(', ')}`);
+    }
+    updates[field] = changes[field];
+  }
+
+  for (const field of ['assigneeId', 'reporterId']) {
+    const value = changes[field];
+    if (value === undefined) continue;
+    // issues can be unassigned, but always keep a reporter
+    if (value === null && field === 'assigneeId') {
+      updates[field] = null;
+      continue;
+    }
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return fail(422, `Invalid ${field}`);
+    }
+    if (!(await context.employeeExists(value))) {
+      return fail(404, field === 'assigneeId' ? 'assignee not exists' : 'reporter not found');
+    }
+    updates[field] = value;
+  }
+
+  // the parent and epic must exist and must not sit below this issue in the hierarchy
+  for (const field of ['parentTaskId', 'epicId']) {
+    const value = changes[field];
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return fail(422, `Invalid ${field}`);
+    }
+    const parent = await Issue.findById(value);
+    if (!parent || parent.isDeleted) {
+      return fail(404, field === 'epicId' ? 'Epic not found' : 'Parent task not found');
+    }
+    if (await wouldCreateParentCycle(issue._id, parent._id)) {
+      return fail(400, `${parent.key} cannot become the parent of ${issue.key}: it is the issue itself or one of its descendants`);
+    }
+    updates[field] = value;
+  }
+
+  if (changes.labels !== undefined) {
+    const labels = resolveLabels(issue.labels, changes.labels);
+    if (!labels) {
+      return fail(400, 'labels must be an array or { add: [], remove: [] }');
+    }
+    const project = await context.getProject(issue.projectId);
+    const checked = await checkIssueLabels(project, labels, {
+      catalog: project && project.restrictLabels ? await context.getLabelCatalog(issue.projectId) : null,
+      existing: issue.labels,
+    });
+    if (checked.error) {
+      const { status, message, ...extra } = checked.error;
+      return fail(status, message, extra);
+    }
+    updates.labels = checked.labels;
+  }
+
+  // only the given custom fields change; the others keep their values
+  if (changes.customFields !== undefined) {
+    const project = await context.getProject(issue.projectId);
+    const existing = issue.customFields ? Object.fromEntries(issue.customFields) : {};
+    const checked = await validateCustomFieldValues(project, changes.customFields, { existing });
+    if (checked.error) {
+      const { status, message, ...extra } = checked.error;
+      return fail(status, message, extra);
+    }
+    updates.customFields = checked.customFields;
+  }
+
+  if (changes.sprintId !== undefined) {
+    const currentSprintId = issue.sprintId ? issue.sprintId.toString() : null;
+    if (changes.sprintId === null) {
+      if (currentSprintId) sprintChange = { from: issue.sprintId, to: null };
+      updates.sprintId = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(changes.sprintId)) {
+        return fail(422, 'Invalid sprint ID');
+      }
+      const sprint = await context.getSprint(changes.sprintId);
+      if (!sprint) {
+        return fail(404, 'Sprint not found');
+      }
+      if (!sprint.projectId.equals(issue.projectId)) {
+        return fail(400, 'Sprint belongs to another project');
+      }
+      if (sprint.status === 'completed') {
+        return fail(409, 'Sprint is already completed');
+      }
+
+      const alreadyInSprint = sprint.issues.some(id => id.equals(issue._id));
+      if (!alreadyInSprint) {
+        const isInOtherSprint = await Sprint.exists({ _id: { $ne: sprint._id }, status: 'active', issues: issue._id });
+        if (isInOtherSprint) {
+          return fail(409, 'Issue is already part of another active sprint');
+        }
+        // like add-to-sprint, planned issues move to the workflow's "To Do" status unless a status is given
+        if (changes.status === undefined) {
+          const sprintStatus = getSprintStartStatus(workflow);
+          const statusError = validateTransition(workflow, issue.status, sprintStatus);
+          if (statusError) {
+            return fail(409, statusError);
+          }
+          updates.status = sprintStatus;
+        }
+        sprintChange = { from: currentSprintId ? issue.sprintId : null, to: sprint._id };
+        updates.sprintId = sprint._id;
+      }
+    }
+  }
+
+  if (changes.status !== undefined) {
+    const statusError = validateTransition(workflow, issue.status, changes.status);
+    if (statusError) {
+      return fail(409, statusError);
+    }
+
+    // closing an issue while something still blocks it needs an explicit force
+    const blockerCheck = await checkBlockersForStatus(issue, workflow, changes.status, force);
+    if (blockerCheck.refused) {
+      return fail(409, 'Issue is blocked by open issues. Resolve them first or send force: true', {
+        blockers: blockerCheck.blockers,
+      });
+    }
+    blockers = blockerCheck.blockers;
+    updates.status = changes.status;
+  }
+
+  if (changes.resolution !== undefined && changes.resolution !== null && changes.resolution !== '') {
+    if (!Issue.schema.path('resolution').enumValues.includes(changes.resolution)) {
+      return fail(400, 'Invalid resolution');
+    }
+    if (changes.resolution === 'Duplicate' && !(await hasDuplicateLink(issue._id))) {
+      return fail(400, "A 'Duplicate' resolution requires a 'duplicates' link to the original issue");
+    }
+    updates.resolution = changes.resolution;
+    updates.resolutionDate = Date.now();
+  }
+
+  return { updates, sprintChange, blockers };
+}
+
+// Apply prepared changes to an issue, save, and keep sprint membership in sync. Sprints only change
+// once the save went through, so a refused save (stale version, validation) leaves them as they were.
+async function applyIssueChanges(issue, { updates, sprintChange }) {
+  issue.set(updates);
+  issue.updatedAt = Date.now();
+  await issue.save();
+
+  if (sprintChange && sprintChange.from) {
+    await Sprint.updateOne({ _id: sprintChange.from }, { $pull: { issues: issue._id } });
+  }
+  if (sprintChange && sprintChange.to) {
+    await Sprint.updateOne({ _id: sprintChange.to }, { $addToSet: { issues: issue._id } });
+  }
+  return issue;
+}
+
+module.exports = {
+  createUpdateContext,
+  resolveLabels,
+  prepareIssueChanges,
+  applyIssueChanges,
+};
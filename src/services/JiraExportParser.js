@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const csvParser = require('csv-parser');
+
+// Reads Jira's CSV export (issue navigator "Export CSV (all fields)") and JSON export (the REST search
+// response, optionally with expand=names) into one record shape:
+// { key, id, projectKey, projectName, summary, description, type, subtask, status, statusCategory,
+//   priority, resolution, assignee, reporter, labels, sprints, parentKey, parentId, epicKey, storyPoints,
+//   created, updated, dueDate, resolved, comments, attachments }
+// where assignee/reporter are { accountId, email, name } or null and sprints are
+// { name, state, startDate, endDate, completeDate }.
+
+// Jira's statusCategory keys and the CSV "Status Category" names
+const STATUS_CATEGORY_NAMES = { new: 'todo', 'to do': 'todo', indeterminate: 'in_progress', 'in progress': 'in_progress', done: 'done' };
+
+const blankToNull = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const statusCategory = (value) => (value ? STATUS_CATEGORY_NAMES[String(value).trim().toLowerCase()] || null : null);
+
+// Jira Cloud (API v3) sends rich text as Atlassian Document Format; keep its text with line breaks.
+function documentToText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  const text = (node.content || []).map(documentToText).join('');
+  return ['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote'].includes(node.type) ? `${text}\n` : text;
+}
+
+// Sprints come as objects (Jira Cloud) or as "com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=1,state=CLOSED,name=Sprint 1,...]".
+function parseSprint(value) {
+  if (!value) return null;
+  if (typeof value === 'object') {
+    return value.name ? {
+      name: value.name,
+      state: value.state ? String(value.state).toLowerCase() : null,
+      startDate: toDate(value.startDate),
+      endDate: toDate(value.endDate),
+      completeDate: toDate(value.completeDate),
+    } : null;
+  }
+
+  const match = /\[(.*)\]$/.exec(String(value));
+  if (!match) return { name: String(value).trim(), state: null, startDate: null, endDate: null, completeDate: null };
+  const attributes = {};
+  match[1].split(/,(?=\w+=)/).forEach(pair => {
+    const [name, ...rest] = pair.split('=');
+    attributes[name] = rest.join('=');
+  });
+  if (!attributes.name) return null;
+  const date = (name) => (attributes[name] && attributes[name] !== '<null>' ? toDate(attributes[name]) : null);
+  return {
+    name: attributes.name,
+    state: attributes.state ? attributes.state.toLowerCase() : null,
+    startDate: date('startDate'),
+    endDate: date('endDate'),
+    completeDate: date('completeDate'),
+  };
+}
+
+const isSprintValue = (value) => Array.isArray(value) && value.length > 0 && value.every(item => (
+  (item && typeof item === 'object' && 'name' in item && 'state' in item)
+  || (typeof item === 'string' && item.includes('greenhopper.service.sprint.Sprint'))
+));
+
+const toUser = (user) => (user ? {
+  accountId: user.accountId || user.key || null,
+  email: user.emailAddress || null,
+  name: user.displayName || user.name || null,
+} : null);
+
+// Turn the issues of a JSON export into records. `names` maps custom field ids to their names.
+function recordsFromJson(data) {
+  const issues = Array.isArray(data) ? data : (data && data.issues) || [];
+  const names = (data && data.names) || {};
+  const fieldNamed = (...candidates) => Object.keys(names)
+    .find(id => candidates.includes(String(names[id]).toLowerCase()));
+  const sprintField = fieldNamed('sprint');
+  const epicLinkField = fieldNamed('epic link');
+  const storyPointsField = fieldNamed('story points', 'story point estimate');
+
+  return issues.map(issue => {
+    const fields = issue.fields || {};
+    const sprintValue = sprintField
+      ? fields[sprintField]
+      : Object.entries(fields).find(([name, value]) => name.startsWith('customfield_') && isSprintValue(value))?.[1];
+
+    return {
+      key: issue.key,
+      id: blankToNull(issue.id),
+      projectKey: fields.project?.key || null,
+      projectName: fields.project?.name || null,
+      summary: blankToNull(fields.summary),
+      description: blankToNull(documentToText(fields.description)),
+      type: fields.issuetype?.name || null,
+      subtask: !!fields.issuetype?.subtask,
+      status: fields.status?.name || null,
+      statusCategory: statusCategory(fields.status?.statusCategory?.key),
+      priority: fields.priority?.name || null,
+      resolution: fields.resolution?.name || null,
+      assignee: toUser(fields.assignee),
+      reporter: toUser(fields.reporter),
+      labels: Array.isArray(fields.labels) ? fields.labels : [],
+      sprints: (Array.isArray(sprintValue) ? sprintValue : []).map(parseSprint).filter(Boolean),
+      // in Jira Cloud epics are parents too; older sites link epics through the Epic Link field
+      parentKey: fields.parent?.key || null,
+      parentId: null,
+      epicKey: epicLinkField ? blankToNull(fields[epicLinkField]) : null,
+      storyPoints: storyPointsField ? toNumber(fields[storyPointsField]) : null,
+      created: toDate(fields.created),
+      updated: toDate(fields.updated),
+      dueDate: toDate(fields.duedate),
+      resolved: toDate(fields.resolutiondate),
+      comments: fields.comment?.comments?.length || fields.comment?.total || 0,
+      attachments: Array.isArray(fields.attachment) ? fields.attachment.length : 0,
+    };
+  });
+}
+
+// Jira CSV exports repeat columns such as Labels, Sprint and Comment, so rows are read as arrays and
+// every header keeps all of its values.
+function recordsFromCsvRows(header, rows) {
+  const columns = new Map();
+  header.forEach((name, index) => {
+    const column = name.replace(/^\uFEFF/, '').trim();
+    if (!columns.has(column)) columns.set(column, []);
+    columns.get(column).push(index);
+  });
+  const all = (row, ...names) => names
+    .flatMap(name => (columns.get(name) || []).map(index => blankToNull(row[index])))
+    .filter(Boolean);
+  const first = (row, ...names) => all(row, ...names)[0] || null;
+  const user = (row, name) => {
+    const displayName = first(row, name);
+    const accountId = first(row, `${name} Id`);
+    return displayName || accountId ? { accountId, email: null, name: displayName } : null;
+  };
+
+  return rows.map(row => ({
+    key: first(row, 'Issue key'),
+    id: first(row, 'Issue id'),
+    projectKey: first(row, 'Project key'),
+    projectName: first(row, 'Project name'),
+    summary: first(row, 'Summary'),
+    description: first(row, 'Description'),
+    type: first(row, 'Issue Type'),
+    subtask: ['sub-task', 'subtask'].includes(String(first(row, 'Issue Type')).toLowerCase()),
+    status: first(row, 'Status'),
+    statusCategory: statusCategory(first(row, 'Status Category')),
+    priority: first(row, 'Priority'),
+    resolution: first(row, 'Resolution'),
+    assignee: user(row, 'Assignee'),
+    reporter: user(row, 'Reporter'),
+    labels: all(row, 'Labels'),
+    sprints: all(row, 'Sprint').map(parseSprint).filter(Boolean),
+    parentKey: null,
+    // "Parent id" is the Jira issue id of the parent, resolved to a key by the importer; newer exports name it "Parent"
+    parentId: first(row, 'Parent id', 'Parent'),
+    epicKey: first(row, 'Custom field (Epic Link)'),
+    storyPoints: toNumber(first(row, 'Custom field (Story Points)', 'Custom field (Story point estimate)')),
+    created: toDate(first(row, 'Created')),
+    updated: toDate(first(row, 'Updated')),
+    dueDate: toDate(first(row, 'Due Date', 'Due date')),
+    resolved: toDate(first(row, 'Resolved')),
+    comments: all(row, 'Comment').length,
+    attachments: all(row, 'Attachment').length,
+  }));
+}
+
+function readCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .pipe(csvParser({ headers: false }))
+      .on('data', (data) => rows.push(Object.keys(data).map(index => data[index])))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+async function readStart(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    return buffer.toString('utf8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Read an uploaded Jira export and remove the upload. Returns { records } or { error: { status, message } }.
+async function parseJiraExport(filePath, originalName = '') {
+  try {
+    const isJson = path.extname(originalName).toLowerCase() === '.json' || /^\uFEFF?\s*[[{]/.test(await readStart(filePath));
+    if (isJson) {
+      let data;
+      try {
+        data = JSON.parse((await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, ''));
+      } catch (err) {
+        return { error: { status: 400, message: `The JSON export could not be read: ${err.message}` } };
+      }
+      return { records: recordsFromJson(data) };
+    }
+
+    const [header, ...rows] = await readCsv(filePath);
+    if (!header || !header.some(name => name.replace(/^\uFEFF/, '').trim() === 'Issue key')) {
+      return { error: { status: 400, message: 'The CSV file is not a Jira export: the "Issue key" column is missing' } };
+    }
+    return { records: recordsFromCsvRows(header, rows) };
+  } finally {
+    await fs.promises.rm(filePath, { force: true });
+  }
+}
+
+module.exports = {
+  parseSprint,
+  documentToText,
+  recordsFromJson,
+  recordsFromCsvRows,
+  parseJiraExport,
+};
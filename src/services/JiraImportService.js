@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Issue = require('../models/Issue');
+const Sprint = require('../models/Sprint');
+const { getEmployeeById } = require('./EmployeeFetchService');
+const { DEFAULT_WORKFLOW, findStatus, getStatusCategory, firstStatusInCategory, getInitialStatus } = require('./WorkflowService');
+const { normalizeKey, isValidKey, isKeyTaken, suggestProjectKey } = require('./ProjectKeyService');
+const { snapshotIssue, recordBulkChanges } = require('./IssueHistoryService');
+
+const JIRA_IMPORT_ISSUE_LIMIT = 5000;
+// sprints of a CSV export have no dates; they get this length from the import date
+const SPRINT_LENGTH_DAYS = 14;
+const JIRA_ISSUE_KEY = /^([A-Z][A-Z0-9_]*)-(\d+)$/;
+
+const ISSUE_TYPES = ['task', 'story', 'epic', 'subtask', 'bug'];
+
+// Jira priority names (lowercase) to priority and priorityLevel
+const DEFAULT_PRIORITIES = {
+  highest: { priority: 'high', priorityLevel: 'Critical' },
+  blocker: { priority: 'high', priorityLevel: 'Critical' },
+  critical: { priority: 'high', priorityLevel: 'Critical' },
+  high: { priority: 'high', priorityLevel: 'Major' },
+  major: { priority: 'high', priorityLevel: 'Major' },
+  medium: { priority: 'medium', priorityLevel: 'Major' },
+  low: { priority: 'low', priorityLevel: 'Minor' },
+  minor: { priority: 'low', priorityLevel: 'Minor' },
+  lowest: { priority: 'low', priorityLevel: 'Minor' },
+  trivial: { priority: 'low', priorityLevel: 'Minor' },
+};
+
+const DEFAULT_ISSUE_TYPES = {
+  epic: 'epic',
+  story: 'story',
+  task: 'task',
+  bug: 'bug',
+  'sub-task': 'subtask',
+  subtask: 'subtask',
+  improvement: 'task',
+  'new feature': 'story',
+};
+
+const SPRINT_STATES = { closed: 'completed', active: 'active', future: 'planned' };
+
+const RESOLUTIONS = {
+  fixed: 'Fixed',
+  done: 'Fixed',
+  "won't fix": "Won't Fix",
+  "won't do": "Won't Fix",
+  duplicate: 'Duplicate',
+  incomplete: 'Incomplete',
+};
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+const lowerKeys = (object) => Object.fromEntries(Object.entries(object || {}).map(([name, value]) => [lower(name), value]));
+
+// Parse the mapping sent with a Jira import:
+// { statuses: { "Jira status": "status key" }, priorities: { "Jira priority": "high" | { priority, priorityLevel } },
+//   issueTypes: { "Jira type": "story" }, users: { "email, account id or display name": "employeeId" } }.
+// New projects use the default workflow, so statuses map to its keys.
+// Returns { mapping } with lowercase Jira names or { error: { status, message, errors } }.
+function parseJiraMapping(raw) {
+  let mapping = raw || {};
+  if (typeof raw === 'string') {
+    try {
+      mapping = JSON.parse(raw);
+    } catch (err) {
+      return { error: { status: 400, message: 'mapping must be a JSON object' } };
+    }
+  }
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: { status: 400, message: 'mapping must be a JSON object' } };
+  }
+
+  const errors = [];
+  const section = (name) => {
+    const value = mapping[name];
+    if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+      errors.push(`mapping.${name} must be an object`);
+      return {};
+    }
+    return lowerKeys(value);
+  };
+  const statuses = section('statuses');
+  const priorities = section('priorities');
+  const issueTypes = section('issueTypes');
+  const users = section('users');
+
+  Object.entries(statuses).forEach(([name, status]) => {
+    if (!findStatus(DEFAULT_WORKFLOW, status)) {
+      errors.push(`mapping.statuses["${name}"]: ${status} is not a status (${DEFAULT_WORKFLOW.statuses.map(item => item.key).join(', ')})`);
+    }
+  });
+  Object.entries(priorities).forEach(([name, value]) => {
+    const target = typeof value === 'string' ? { priority: value } : value || {};
+    priorities[name] = target;
+    if (!Issue.schema.path('priority').enumValues.includes(target.priority)) {
+      errors.push(`mapping.priorities["${name}"]: priority must be one of ${Issue.schema.path('priority').enumValues.join(', ')}`);
+    }
+    if (target.priorityLevel && !Issue.schema.path('priorityLevel').enumValues.includes(target.priorityLevel)) {
+      errors.push(`mapping.priorities["${name}"]: priorityLevel must be one of ${Issue.schema.path('priorityLevel').enumValues.join(', ')}`);
+    }
+  });
+  Object.entries(issueTypes).forEach(([name, type]) => {
+    if (!ISSUE_TYPES.includes(type)) errors.push(`mapping.issueTypes["${name}"]: type must be one of ${ISSUE_TYPES.join(', ')}`);
+  });
+  Object.entries(users).forEach(([name, employeeId]) => {
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) errors.push(`mapping.users["${name}"]: ${employeeId} is not an employee id`);
+  });
+
+  if (errors.length > 0) {
+    return { error: { status: 400, message: 'Invalid mapping', errors } };
+  }
+  return { mapping: { statuses, priorities, issueTypes, users } };
+}
+
+// Counts Jira values that had no mapping, with what they were imported as.
+function createUnmappedTally() {
+  const tallies = { statuses: new Map(), priorities: new Map(), issueTypes: new Map(), users: new Map() };
+  return {
+    add(kind, name, importedAs) {
+      const entry = tallies[kind].get(name) || { name, count: 0, importedAs };
+      entry.count += 1;
+      tallies[kind].set(name, entry);
+    },
+    toJSON() {
+      return Object.fromEntries(Object.entries(tallies).map(([kind, entries]) => [kind, [...entries.values()]]));
+    },
+  };
+}
+
+function mapStatus(record, mapping, unmapped) {
+  const name = lower(record.status);
+  if (mapping.statuses[name]) return mapping.statuses[name];
+  const sameKey = name.replace(/[\s-]+/g, '_');
+  if (findStatus(DEFAULT_WORKFLOW, sameKey)) return sameKey;
+
+  const status = (record.statusCategory && firstStatusInCategory(DEFAULT_WORKFLOW, record.statusCategory))
+    || getInitialStatus(DEFAULT_WORKFLOW);
+  unmapped.add('statuses', record.status || '(none)', status);
+  return status;
+}
+
+function mapPriority(record, mapping, unmapped) {
+  const name = lower(record.priority);
+  const target = mapping.priorities[name] || DEFAULT_PRIORITIES[name];
+  if (target) return { priority: target.priority, priorityLevel: target.priorityLevel || 'Major' };
+  unmapped.add('priorities', record.priority || '(none)', 'medium');
+  return { priority: 'medium', priorityLevel: 'Major' };
+}
+
+function mapType(record, mapping, unmapped) {
+  const name = lower(record.type);
+  const type = mapping.issueTypes[name] || DEFAULT_ISSUE_TYPES[name];
+  if (type) return type;
+  const fallback = record.subtask ? 'subtask' : 'task';
+  unmapped.add('issueTypes', record.type || '(none)', fallback);
+  return fallback;
+}
+
+// The employee a Jira user maps to, by account id, email or display name.
+function mapUser(user, mapping) {
+  if (!user) return null;
+  const candidates = [user.accountId, user.email, user.name].filter(Boolean).map(lower);
+  const match = candidates.find(candidate => mapping.users[candidate]);
+  return match ? mapping.users[match] : null;
+}
+
+const userLabel = (user) => user.name || user.email || user.accountId;
+
+// Key for a project created from a Jira project: the Jira key itself when it is free here, so issue keys
+// stay the same; otherwise one derived from the name. `reserved` holds keys picked earlier in the import.
+async function pickProjectKey(jiraKey, name, reserved) {
+  const key = normalizeKey(jiraKey);
+  if (isValidKey(key) && !reserved.has(key) && !(await isKeyTaken(key))) {
+    return { key, keepsJiraKeys: true };
+  }
+  const base = await suggestProjectKey(name);
+  let candidate = base;
+  for (let suffix = 2; reserved.has(candidate) || await isKeyTaken(candidate); suffix++) {
+    candidate = `${base.slice(0, 10 - String(suffix).length)}${suffix}`;
+  }
+  return { key: candidate, keepsJiraKeys: false };
+}
+
+// Validate a Jira export and build everything it would create, without writing anything.
+// Returns { report, projects, sprints, issues } where report lists what is created, skipped and unmapped,
+// and report.errors what blocks the import.
+async function planJiraImport(records, { mapping, ownerId }) {
+  const errors = [];
+  const skipped = [];
+  const warnings = [];
+  const unmapped = createUnmappedTally();
+  const notImported = { comments: 0, attachments: 0 };
+
+  if (records.length === 0) errors.push('The export contains no issues');
+  if (records.length > JIRA_IMPORT_ISSUE_LIMIT) {
+    errors.push(`At most ${JIRA_IMPORT_ISSUE_LIMIT} issues can be imported at once; the export has ${records.length}`);
+  }
+
+  // mapped employees must exist
+  const employeeIds = [...new Set(Object.values(mapping.users))];
+  for (const employeeId of employeeIds) {
+    if (!(await getEmployeeById(employeeId))) errors.push(`mapping.users: employee ${employeeId} not found`);
+  }
+
+  const entries = [];
+  const byKey = new Map();
+  const byJiraId = new Map();
+  for (const record of records) {
+    const match = JIRA_ISSUE_KEY.exec(String(record.key || '').trim().toUpperCase());
+    if (!match) {
+      skipped.push({ jiraKey: record.key || null, reason: 'No valid issue key' });
+      continue;
+    }
+    const jiraKey = match[0];
+    if (byKey.has(jiraKey)) {
+      skipped.push({ jiraKey, reason: 'Appears more than once in the export' });
+      continue;
+    }
+    if (!record.summary) {
+      skipped.push({ jiraKey, reason: 'No summary' });
+      continue;
+    }
+
+    notImported.comments += record.comments || 0;
+    notImported.attachments += record.attachments || 0;
+    const entry = {
+      record,
+      jiraKey,
+      jiraProjectKey: normalizeKey(record.projectKey || match[1]),
+      jiraNumber: Number(match[2]),
+      id: new mongoose.Types.ObjectId(),
+      type: mapType(record, mapping, unmapped),
+    };
+    entries.push(entry);
+    byKey.set(jiraKey, entry);
+    if (record.id) byJiraId.set(String(record.id), entry);
+  }
+
+  // one project per Jira project of the export
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (!groups.has(entry.jiraProjectKey)) groups.set(entry.jiraProjectKey, []);
+    groups.get(entry.jiraProjectKey).push(entry);
+  });
+
+  const reservedKeys = new Set();
+  const projects = [];
+  for (const [jiraProjectKey, group] of groups) {
+    const name = group.find(entry => entry.record.projectName)?.record.projectName || jiraProjectKey;
+    if (await Project.exists({ name })) {
+      errors.push(`Project "${name}" already exists`);
+    }
+    const { key, keepsJiraKeys } = await pickProjectKey(jiraProjectKey, name, reservedKeys);
+    reservedKeys.add(key);
+    if (!keepsJiraKeys) {
+      warnings.push({ jiraKey: jiraProjectKey, message: `Project key ${jiraProjectKey} is taken; the project is imported as ${key} and issues keep their Jira keys as aliases` });
+    }
+
+    const project = { jiraKey: jiraProjectKey, key, keepsJiraKeys, name, entries: group, _id: new mongoose.Types.ObjectId() };
+    group.sort((a, b) => a.jiraNumber - b.jiraNumber);
+    group.forEach((entry, index) => {
+      entry.project = project;
+      entry.issueNumber = keepsJiraKeys ? entry.jiraNumber : index + 1;
+      entry.key = `${key}-${entry.issueNumber}`;
+    });
+    projects.push(project);
+  }
+
+  // Jira keys become aliases unless the key already means something here
+  const aliases = entries.filter(entry => entry.key !== entry.jiraKey).map(entry => entry.jiraKey);
+  const usedKeys = new Set();
+  if (aliases.length > 0) {
+    const existing = await Issue.find({ $or: [{ key: { $in: aliases } }, { keyAliases: { $in: aliases } }] }, 'key keyAliases');
+    existing.forEach(issue => [issue.key, ...issue.keyAliases].forEach(key => usedKeys.add(key)));
+  }
+  entries.forEach(entry => {
+    entry.keyAliases = [];
+    if (entry.key === entry.jiraKey) return;
+    if (usedKeys.has(entry.jiraKey)) {
+      warnings.push({ jiraKey: entry.jiraKey, message: `${entry.jiraKey} is already an issue key here, so it is not kept as an alias of ${entry.key}` });
+    } else {
+      entry.keyAliases.push(entry.jiraKey);
+    }
+  });
+
+  // epics and parents, within the same project only
+  const findReference = (reference) => byJiraId.get(String(reference)) || byKey.get(String(reference).toUpperCase());
+  entries.forEach(entry => {
+    entry.parentTaskId = null;
+    entry.epicId = null;
+    const { parentKey, parentId, epicKey } = entry.record;
+    for (const reference of [parentKey || parentId, epicKey].filter(Boolean)) {
+      const parent = findReference(reference);
+      if (!parent) {
+        warnings.push({ jiraKey: entry.jiraKey, message: `${reference} is not part of the export; imported without that link` });
+      } else if (parent.project !== entry.project) {
+        warnings.push({ jiraKey: entry.jiraKey, message: `${parent.jiraKey} is in another project; imported without that link` });
+      } else if (parent.type === 'epic') {
+        entry.epicId = entry.epicId || parent.id;
+      } else if (!entry.parentTaskId) {
+        entry.parentTaskId = parent.id;
+      }
+    }
+  });
+  const byId = new Map(entries.map(entry => [entry.id.toString(), entry]));
+  entries.forEach(entry => {
+    const seen = new Set([entry.id.toString()]);
+    let parent = byId.get(String(entry.parentTaskId || entry.epicId));
+    while (parent) {
+      if (seen.has(parent.id.toString())) {
+        warnings.push({ jiraKey: entry.jiraKey, message: 'Parent links form a cycle; imported without a parent' });
+        entry.parentTaskId = null;
+        entry.epicId = null;
+        break;
+      }
+      seen.add(parent.id.toString());
+      parent = byId.get(String(parent.parentTaskId || parent.epicId));
+    }
+  });
+
+  const now = new Date();
+  const issues = entries.map(entry => {
+    const { record } = entry;
+    const assigneeId = mapUser(record.assignee, mapping);
+    if (record.assignee && !assigneeId) unmapped.add('users', userLabel(record.assignee), 'unassigned');
+    let reporterId = mapUser(record.reporter, mapping);
+    if (!reporterId) {
+      if (record.reporter) unmapped.add('users', userLabel(record.reporter), 'project owner');
+      reporterId = ownerId;
+    }
+    const resolution = RESOLUTIONS[lower(record.resolution)];
+    const createdAt = record.created || now;
+
+    return {
+      _id: entry.id,
+      key: entry.key,
+      issueNumber: entry.issueNumber,
+      keyAliases: entry.keyAliases,
+      projectId: entry.project._id,
+      title: record.summary,
+      description: record.description || record.summary,
+      type: entry.type,
+      status: mapStatus(record, mapping, unmapped),
+      ...mapPriority(record, mapping, unmapped),
+      assigneeId,
+      reporterId,
+      labels: [...new Set(record.labels)],
+      storyPoints: record.storyPoints === null ? undefined : record.storyPoints,
+      dueDate: record.dueDate || undefined,
+      resolution,
+      resolutionDate: resolution ? record.resolved || record.updated || createdAt : undefined,
+      parentTaskId: entry.parentTaskId,
+      epicId: entry.epicId,
+      createdAt,
+      updatedAt: record.updated || createdAt,
+    };
+  });
+  const issueById = new Map(issues.map(issue => [issue._id.toString(), issue]));
+
+  // sprints by name per project; an issue in several sprints belongs to the latest open one
+  const sprints = [];
+  projects.forEach(project => {
+    const byName = new Map();
+    project.entries.forEach(entry => {
+      entry.record.sprints.forEach(sprint => {
+        if (!byName.has(sprint.name)) byName.set(sprint.name, { ...sprint, issues: [] });
+        const known = byName.get(sprint.name);
+        ['state', 'startDate', 'endDate', 'completeDate'].forEach(field => { known[field] = known[field] || sprint[field]; });
+        known.issues.push(entry.id);
+      });
+    });
+
+    byName.forEach(sprint => {
+      const sprintIssues = sprint.issues.map(id => issueById.get(id.toString()));
+      const allDone = sprintIssues.every(issue => getStatusCategory(DEFAULT_WORKFLOW, issue.status) === 'done');
+      const startDate = sprint.startDate || now;
+      if (!sprint.startDate) {
+        warnings.push({ jiraKey: project.jiraKey, message: `Sprint "${sprint.name}" has no dates in the export; it starts on the import date` });
+      }
+      sprints.push({
+        _id: new mongoose.Types.ObjectId(),
+        projectId: project._id,
+        name: sprint.name,
+        startDate,
+        endDate: sprint.endDate || sprint.completeDate || new Date(startDate.getTime() + SPRINT_LENGTH_DAYS * 24 * 60 * 60 * 1000),
+        status: SPRINT_STATES[sprint.state] || (allDone ? 'completed' : 'planned'),
+        issues: sprint.issues,
+      });
+    });
+  });
+  issues.forEach(issue => {
+    const issueSprints = sprints.filter(sprint => sprint.issues.some(id => id.equals(issue._id)));
+    const current = issueSprints.filter(sprint => sprint.status !== 'completed').pop() || issueSprints.pop();
+    if (current) issue.sprintId = current._id;
+  });
+
+  const projectDocs = projects.map(project => {
+    const projectIssues = issues.filter(issue => issue.projectId.equals(project._id));
+    const members = new Set(projectIssues.flatMap(issue => [issue.assigneeId, issue.reporterId]).filter(Boolean).map(String));
+    members.delete(String(ownerId));
+    return {
+      _id: project._id,
+      name: project.name,
+      key: project.key,
+      description: `Imported from Jira project ${project.jiraKey}`,
+      ownerId,
+      members: [...members],
+      issueCounter: Math.max(0, ...projectIssues.map(issue => issue.issueNumber)),
+    };
+  });
+
+  const report = {
+    summary: {
+      projects: projects.length,
+      issues: issues.length,
+      epics: issues.filter(issue => issue.type === 'epic').length,
+      subtasks: issues.filter(issue => issue.parentTaskId).length,
+      sprints: sprints.length,
+      skipped: skipped.length,
+    },
+    projects: projects.map(project => ({
+      jiraKey: project.jiraKey,
+      key: project.key,
+      name: project.name,
+      issues: project.entries.length,
+      sprints: sprints.filter(sprint => sprint.projectId.equals(project._id)).length,
+    })),
+    errors,
+    skipped,
+    warnings,
+    unmapped: unmapped.toJSON(),
+    // Jira data without a counterpart here
+    notImported,
+  };
+
+  return { report, projects: projectDocs, sprints, issues };
+}
+
+// Create the planned projects, sprints and issues: all of them or, when a write fails, none.
+async function commitJiraImport(plan, { actorId = null } = {}) {
+  let projects = [];
+  let issues = [];
+  try {
+    projects = await Project.insertMany(plan.projects, { ordered: true });
+    if (plan.sprints.length > 0) await Sprint.insertMany(plan.sprints, { ordered: true });
+    issues = await Issue.insertMany(plan.issues, { ordered: true });
+  } catch (err) {
+    await Promise.all([
+      Issue.deleteMany({ _id: { $in: plan.issues.map(issue => issue._id) } }),
+      Sprint.deleteMany({ _id: { $in: plan.sprints.map(sprint => sprint._id) } }),
+      Project.deleteMany({ _id: { $in: plan.projects.map(project => project._id) } }),
+    ]);
+    throw err;
+  }
+
+  await recordBulkChanges(
+    issues.map(issue => ({ issue, before: snapshotIssue(), after: snapshotIssue(issue) })),
+    { actorId, source: 'jira_import' }
+  );
+  return { projects, issues };
+}
+
+module.exports = {
+  JIRA_IMPORT_ISSUE_LIMIT,
+  parseJiraMapping,
+  planJiraImport,
+  commitJiraImport,
+};
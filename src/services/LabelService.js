@@ -0,0 +1,125 @@
+const Issue = require('../models/Issue');
+const Label = require('../models/Label');
+const { snapshotIssue, recordBulkChanges } = require('./IssueHistoryService');
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+// how often rewriteIssueLabels reads an issue again that was saved by someone else in between
+const MAX_REWRITE_ATTEMPTS = 5;
+
+const normalizeLabelName = (name) => String(name).trim().toLowerCase();
+
+// Labels arrive as an array or, from forms and CSV files, as a comma-separated string.
+function parseLabelList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(label => String(label).trim()).filter(Boolean))];
+}
+
+// The catalog of a project as a map of lowercase name to catalog spelling.
+async function loadLabelCatalog(projectId) {
+  const labels = await Label.find({ projectId }, 'name normalizedName');
+  return new Map(labels.map(label => [label.normalizedName, label.name]));
+}
+
+// Check issue labels against the catalog of a project that restricts its labels.
+// Labels the issue already has are kept as they are, so older free-form labels don't block unrelated edits.
+// Returns { labels } spelled as in the catalog, or { error: { status, message, unknownLabels } }.
+async function checkIssueLabels(project, labels, { catalog = null, existing = [] } = {}) {
+  const list = parseLabelList(labels);
+  if (!project || !project.restrictLabels) return { labels: list };
+
+  const names = catalog || await loadLabelCatalog(project._id);
+  const kept = new Set(existing);
+  const unknownLabels = list.filter(label => !kept.has(label) && !names.has(normalizeLabelName(label)));
+  if (unknownLabels.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Labels not in the project's label catalog: ${unknownLabels.join(', ')}`,
+        unknownLabels,
+      },
+    };
+  }
+
+  const canonical = list.map(label => (kept.has(label) ? label : names.get(normalizeLabelName(label))));
+  return { labels: [...new Set(canonical)] };
+}
+
+// Number of (non-deleted) issues per label, ignoring case. Returns a map of lowercase name to
+// { count, variants } where variants are the spellings found on issues.
+async function getLabelUsage(projectId) {
+  const usage = await Issue.aggregate([
+    { $match: { projectId, isDeleted: false } },
+    { $unwind: '$labels' },
+    { $group: { _id: { $toLower: '$labels' }, issues: { $addToSet: '$_id' }, variants: { $addToSet: '$labels' } } },
+  ]);
+  return new Map(usage.map(entry => [entry._id, { count: entry.issues.length, variants: entry.variants.sort() }]));
+}
+
+// Replace labels on every issue of a project, deleted issues included so a restore brings back the new name.
+// Every spelling of a source name matches ("UI", "ui"); the target is added once. Returns the number of issues changed.
+async function rewriteIssueLabels(projectId, sourceNames, targetName, { actorId = null, source }) {
+  const sources = new Set(sourceNames.map(normalizeLabelName));
+  const spellings = (await Issue.distinct('labels', { projectId }))
+    .filter(label => sources.has(normalizeLabelName(label)) && label !== targetName);
+  if (spellings.length === 0) return 0;
+
+  const replaced = new Set(spellings);
+  const historyEntries = [];
+  // each write is filtered on the version that was read; an issue saved in between is read again
+  let issues = await Issue.find({ projectId, labels: { $in: spellings } });
+  for (let attempt = 0; issues.length > 0 && attempt < MAX_REWRITE_ATTEMPTS; attempt++) {
+    const changed = [];
+    for (const issue of issues) {
+      const before = snapshotIssue(issue);
+      const labels = [...new Set(issue.labels.map(label => (replaced.has(label) ? targetName : label)))];
+      const result = await Issue.updateOne(
+        { _id: issue._id, __v: issue.__v },
+        { $set: { labels, updatedAt: Date.now() }, $inc: { __v: 1 } }
+      );
+      if (result.modifiedCount === 0) {
+        changed.push(issue._id);
+        continue;
+      }
+      issue.labels = labels;
+      historyEntries.push({ issue, before, after: snapshotIssue(issue) });
+    }
+    issues = changed.length > 0 ? await Issue.find({ _id: { $in: changed }, labels: { $in: spellings } }) : [];
+  }
+
+  await recordBulkChanges(historyEntries, { actorId, source });
+  return historyEntries.length;
+}
+
+// Take a label off every issue of a project. Returns the number of issues changed.
+async function removeLabelFromIssues(projectId, name, { actorId = null, source }) {
+  const normalized = normalizeLabelName(name);
+  const spellings = (await Issue.distinct('labels', { projectId }))
+    .filter(label => normalizeLabelName(label) === normalized);
+  if (spellings.length === 0) return 0;
+
+  const issues = await Issue.find({ projectId, labels: { $in: spellings } });
+  const before = issues.map(issue => snapshotIssue(issue));
+  await Issue.updateMany(
+    { _id: { $in: issues.map(issue => issue._id) } },
+    { $pull: { labels: { $in: spellings } }, $set: { updatedAt: Date.now() }, $inc: { __v: 1 } }
+  );
+
+  const historyEntries = issues.map((issue, index) => {
+    issue.labels = issue.labels.filter(label => !spellings.includes(label));
+    return { issue, before: before[index], after: snapshotIssue(issue) };
+  });
+  await recordBulkChanges(historyEntries, { actorId, source });
+  return issues.length;
+}
+
+module.exports = {
+  COLOR_PATTERN,
+  normalizeLabelName,
+  parseLabelList,
+  loadLabelCatalog,
+  checkIssueLabels,
+  getLabelUsage,
+  rewriteIssueLabels,
+  removeLabelFromIssues,
+};
@@ -0,0 +1,45 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+let transporter = null;
+
+// The transport is created on first use so the app starts without SMTP settings.
+function getTransporter() {
+  if (!process.env.SMTP_HOST) return null;
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+// Send an email. Returns false when mail is not configured or sending failed.
+async function sendMail({ to, subject, text, html }) {
+  const transport = getTransporter();
+  if (!transport) {
+    logger.warn(`SMTP_HOST is not set; skipped email "${subject}" to ${to}`);
+    return false;
+  }
+
+  try {
+    await transport.sendMail({
+      from: process.env.MAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html,
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Failed to send email "${subject}" to ${to}: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = { sendMail };
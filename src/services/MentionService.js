@@ -0,0 +1,36 @@
+const { getEmployeeById } = require('./EmployeeFetchService');
+
+// mentions are written as @<employeeId>, the format the board's mention picker inserts
+const MENTION_PATTERN = /@([a-fA-F0-9]{24})\b/g;
+
+function extractMentionIds(text = '') {
+  const ids = [...text.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+  return [...new Set(ids)];
+}
+
+// Resolve every @mention in the text against the attendance system.
+// Returns the resolved employees plus the ids that could not be found.
+async function resolveMentions(text) {
+  const ids = extractMentionIds(text);
+  const employees = await Promise.all(ids.map(id => getEmployeeById(id)));
+
+  const mentions = [];
+  const unresolved = [];
+  employees.forEach((employee, index) => {
+    if (!employee || !employee.data) {
+      unresolved.push(ids[index]);
+      return;
+    }
+    mentions.push({
+      employeeId: ids[index],
+      name: `${employee.data.user?.first_name || ''} ${employee.data.user?.last_name || ''}`.trim(),
+    });
+  });
+
+  return { mentions, unresolved };
+}
+
+module.exports = {
+  extractMentionIds,
+  resolveMentions,
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const Issue = require('../models/Issue');
+const storage = require('./S3StorageService');
+const { s3Config } = require('../config/s3');
+const { UPLOAD_ROOT, ATTACHMENT_FOLDER, deleteStoredFile } = require('./AttachmentService');
+const logger = require('../utils/logger');
+
+const DEFAULT_GRACE_HOURS = 24;
+// orphans named in the summary log; the count covers the rest
+const LOGGED_ORPHANS = 20;
+
+// hours a stored file may go without an issue referencing it (ORPHAN_FILE_GRACE_HOURS). Uploads are
+// stored before the issue is saved, and CSV and Jira imports keep theirs below uploads/ while they are
+// parsed, so young files are never orphans.
+function getGraceHours() {
+  const hours = parseFloat(process.env.ORPHAN_FILE_GRACE_HOURS);
+  return Number.isNaN(hours) || hours < 1 ? DEFAULT_GRACE_HOURS : hours;
+}
+
+const fileId = (file) => `${file.storage}:${file.key}`;
+
+// Every file below uploads/: attachments, previews, and uploads of imports.
+async function listLocalFiles(dir = UPLOAD_ROOT) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listLocalFiles(entryPath)));
+    } else if (entry.isFile()) {
+      const stats = await fs.promises.stat(entryPath);
+      files.push({
+        storage: 'local',
+        key: path.relative(UPLOAD_ROOT, entryPath).split(path.sep).join('/'),
+        size: stats.size,
+        modifiedAt: stats.mtime,
+      });
+    }
+  }
+  return files;
+}
+
+// Attachment and preview objects in the bucket. Other folders belong to other features and are left alone.
+async function listS3Files() {
+  if (!storage.isS3Available) return [];
+  const files = [];
+  for (const folder of [ATTACHMENT_FOLDER, s3Config.folders.thumbnails]) {
+    const objects = await storage.listFiles(`${folder}/`);
+    files.push(...objects.map(obj => ({ storage: 's3', key: obj.key, size: obj.size, modifiedAt: obj.lastModified })));
+  }
+  return files;
+}
+
+// Files referenced by an issue attachment or its preview, issues in the trash included: their files are
+// deleted when the trash is purged.
+async function getReferencedFiles() {
+  const referenced = new Set();
+  const cursor = Issue.find({ 'attachments.0': { $exists: true } }, 'attachments').lean().cursor();
+  for await (const issue of cursor) {
+    for (const attachment of issue.attachments) {
+      // a path from before 002-attachment-metadata
+      if (typeof attachment === 'string') {
+        const key = path.relative(UPLOAD_ROOT, path.resolve(UPLOAD_ROOT, '..', attachment)).split(path.sep).join('/');
+        referenced.add(fileId({ storage: 'local', key }));
+        continue;
+      }
+      if (attachment.key) referenced.add(fileId(attachment));
+      if (attachment.preview && attachment.preview.key) referenced.add(fileId(attachment.preview));
+    }
+  }
+  return referenced;
+}
+
+// Split stored files into orphans (unreferenced and older than the grace period) and recent files
+// that are unreferenced but may still be picked up.
+function findOrphans(files, referenced, { now = new Date(), graceHours = getGraceHours() } = {}) {
+  const cutoff = now.getTime() - graceHours * 60 * 60 * 1000;
+  const orphans = [];
+  const recent = [];
+  for (const file of files) {
+    if (referenced.has(fileId(file))) continue;
+    if (new Date(file.modifiedAt).getTime() > cutoff) recent.push(file);
+    else orphans.push(file);
+  }
+  return { orphans, recent };
+}
+
+// Find stored files no issue references and, unless `dryRun`, delete the ones past the grace period.
+// Returns a summary: { dryRun, scanned, recent, orphans, bytes, deleted, failed, files }.
+async function collectOrphanFiles({ now = new Date(), dryRun = false, graceHours = getGraceHours() } = {}) {
+  // references are loaded after the listing, so a file stored in between is referenced or recent
+  const files = [...(await listLocalFiles()), ...(await listS3Files())];
+  const referenced = await getReferencedFiles();
+  const { orphans, recent } = findOrphans(files, referenced, { now, graceHours });
+
+  let deleted = 0;
+  let failed = 0;
+  if (!dryRun) {
+    for (const file of orphans) {
+      if (await deleteStoredFile(file)) deleted++;
+      else failed++;
+    }
+  }
+
+  const summary = {
+    dryRun,
+    scanned: files.length,
+    recent: recent.length,
+    orphans: orphans.length,
+    bytes: orphans.reduce((total, file) => total + (file.size || 0), 0),
+    deleted,
+    failed,
+    files: orphans.map(({ storage: fileStorage, key, size, modifiedAt }) => ({ storage: fileStorage, key, size, modifiedAt })),
+  };
+  logSummary(summary);
+  return summary;
+}
+
+function logSummary({ dryRun, scanned, recent, orphans, bytes, deleted, failed, files }) {
+  const megabytes = (bytes / (1024 * 1024)).toFixed(1);
+  const outcome = dryRun ? 'dry run, nothing deleted' : `${deleted} deleted, ${failed} failed`;
+  logger.info(`Orphaned files: ${orphans} of ${scanned} stored file(s), ${megabytes} MB (${outcome}); ${recent} unreferenced file(s) within the grace period`);
+  files.slice(0, LOGGED_ORPHANS).forEach(file => logger.info(`  orphan ${file.storage}:${file.key} (${file.size} bytes)`));
+  if (files.length > LOGGED_ORPHANS) logger.info(`  ... and ${files.length - LOGGED_ORPHANS} more`);
+}
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  getGraceHours,
+  listLocalFiles,
+  listS3Files,
+  getReferencedFiles,
+  findOrphans,
+  collectOrphanFiles,
+};
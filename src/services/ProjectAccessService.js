@@ -0,0 +1,20 @@
+const Project = require('../models/Project');
+
+// The project owner and its members can see the project and everything in it.
+function isProjectMember(project, employeeId) {
+  if (!project || !employeeId) return false;
+  const id = employeeId.toString();
+  return project.ownerId.toString() === id
+    || project.members.some(memberId => memberId.toString() === id);
+}
+
+// Ids of the active projects an employee owns or belongs to.
+async function getVisibleProjectIds(employeeId) {
+  const projects = await Project.find(
+    { isDeleted: false, $or: [{ ownerId: employeeId }, { members: employeeId }] },
+    '_id'
+  );
+  return projects.map(project => project._id);
+}
+
+module.exports = { isProjectMember, getVisibleProjectIds };
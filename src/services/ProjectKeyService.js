@@ -0,0 +1,156 @@
+const Project = require('../models/Project');
+const Issue = require('../models/Issue');
+
+// project keys are 2-10 characters, start with a letter and only use A-Z and 0-9
+const KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+const ISSUE_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-(\d+)$/;
+
+function normalizeKey(key) {
+  return String(key || '').trim().toUpperCase();
+}
+
+function isValidKey(key) {
+  return KEY_PATTERN.test(key);
+}
+
+// A key is taken when another project uses it now or used it before, so old issue keys stay unambiguous.
+async function isKeyTaken(key, excludeProjectId = null) {
+  const filter = { $or: [{ key }, { previousKeys: key }] };
+  if (excludeProjectId) filter._id = { $ne: excludeProjectId };
+  return !!(await Project.exists(filter));
+}
+
+// Derive a key from the project name: initials for multi-word names ("Klizo Web" -> "KW"),
+// the first letters otherwise ("Payroll" -> "PAY"). A number is appended until the key is free.
+async function suggestProjectKey(name, excludeProjectId = null) {
+  const words = String(name || '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+  let base = words.length > 1
+    ? words.map(word => word[0]).join('').slice(0, 6)
+    : (words[0] || 'PRJ').slice(0, 3);
+  if (!/^[A-Z]/.test(base)) base = `P${base}`;
+  if (base.length < 2) base = `${base}X`;
+
+  let candidate = base;
+  for (let suffix = 2; await isKeyTaken(candidate, excludeProjectId); suffix++) {
+    candidate = `${base.slice(0, 10 - String(suffix).length)}${suffix}`;
+  }
+  return candidate;
+}
+
+// Rewrite the keys of every issue in a project to a new prefix, keeping the old keys as aliases.
+async function rewriteIssueKeys(projectId, newKey) {
+  return Issue.updateMany(
+    { projectId, key: { $not: new RegExp(`^${newKey}-\\d+$`) } },
+    [
+      {
+        $set: {
+          keyAliases: { $concatArrays: [{ $ifNull: ['$keyAliases', []] }, ['$key']] },
+          key: { $concat: [newKey, '-', { $toString: '$issueNumber' }] },
+          __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+        },
+      },
+    ]
+  );
+}
+
+// Projects created before keys existed get one on first use. The prefix their issues already carry
+// (first three letters of the name) is kept when no other project claims it.
+async function ensureProjectKey(project) {
+  if (project.key) return project;
+
+  const legacyKey = normalizeKey(project.name.replace(/[^A-Za-z0-9]/g, '').slice(0, 3));
+  const keepLegacy = isValidKey(legacyKey) && !(await isKeyTaken(legacyKey, project._id));
+  const key = keepLegacy ? legacyKey : await suggestProjectKey(project.name, project._id);
+
+  // only the first concurrent caller assigns the key
+  const result = await Project.updateOne({ _id: project._id, key: { $exists: false } }, { $set: { key } });
+  if (result.modifiedCount > 0 && !keepLegacy) {
+    await rewriteIssueKeys(project._id, key);
+  }
+
+  return Project.findById(project._id);
+}
+
+// Atomically reserve the next `count` issue numbers of a project. Returns the last number reserved.
+async function nextIssueNumber(projectId, count = 1) {
+  // projects created before the counter existed start from their highest issue number
+  const counterMissing = await Project.exists({ _id: projectId, issueCounter: { $exists: false } });
+  if (counterMissing) {
+    const lastIssue = await Issue.findOne({ projectId }).sort({ issueNumber: -1 });
+    await Project.updateOne(
+      { _id: projectId, issueCounter: { $exists: false } },
+      { $set: { issueCounter: lastIssue ? lastIssue.issueNumber : 0 } }
+    );
+  }
+
+  const project = await Project.findOneAndUpdate(
+    { _id: projectId },
+    { $inc: { issueCounter: count } },
+    { new: true }
+  );
+  return project.issueCounter;
+}
+
+// Reserve the number and key for a new issue of the project.
+async function allocateIssueKey(project) {
+  const keyedProject = await ensureProjectKey(project);
+  const issueNumber = await nextIssueNumber(keyedProject._id);
+  return { issueNumber, key: `${keyedProject.key}-${issueNumber}` };
+}
+
+// Reserve numbers and keys for several new issues of the project in one step, in order.
+async function allocateIssueKeys(project, count) {
+  const keyedProject = await ensureProjectKey(project);
+  const lastNumber = await nextIssueNumber(keyedProject._id, count);
+  return Array.from({ length: count }, (_, index) => {
+    const issueNumber = lastNumber - count + 1 + index;
+    return { issueNumber, key: `${keyedProject.key}-${issueNumber}` };
+  });
+}
+
+// Rename a project key. The caller checks that the new key is valid and free.
+// Old issue keys keep resolving through the issue aliases and previousKeys.
+async function renameProjectKey(project, newKey) {
+  const keyedProject = await ensureProjectKey(project);
+  const oldKey = keyedProject.key;
+  if (oldKey === newKey) return keyedProject;
+
+  await Project.updateOne(
+    { _id: project._id },
+    { $set: { key: newKey, updatedAt: Date.now() }, $addToSet: { previousKeys: oldKey }, $inc: { __v: 1 } }
+  );
+  // a project may go back to one of its own previous keys
+  await Project.updateOne({ _id: project._id }, { $pull: { previousKeys: newKey } });
+  await rewriteIssueKeys(project._id, newKey);
+
+  return Project.findById(project._id);
+}
+
+// Find an issue by its current key or by any key it had before (project renamed, issue moved).
+async function findIssueByKey(issueKey) {
+  const key = normalizeKey(issueKey);
+  // a current key wins over an alias: imported issues may keep keys of a prefix another project owns
+  const issue = await Issue.findOne({ key }) || await Issue.findOne({ keyAliases: key });
+  if (issue) return issue;
+
+  // issues created under an old project key that were never rewritten
+  const match = ISSUE_KEY_PATTERN.exec(key);
+  if (!match) return null;
+  const project = await Project.findOne({ previousKeys: match[1] });
+  if (!project) return null;
+  return Issue.findOne({ projectId: project._id, issueNumber: Number(match[2]) });
+}
+
+module.exports = {
+  KEY_PATTERN,
+  normalizeKey,
+  isValidKey,
+  isKeyTaken,
+  suggestProjectKey,
+  ensureProjectKey,
+  nextIssueNumber,
+  allocateIssueKey,
+  allocateIssueKeys,
+  renameProjectKey,
+  findIssueByKey,
+};
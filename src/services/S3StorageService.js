@@ -14,6 +14,7 @@ const {
   generatePresignedUrl
 } = require('../config/s3');
 const logger = require('../utils/logger');
+const { getProjectStorageUsage } = require('./StorageQuotaService');
 
 class S3StorageService {
   constructor() {
@@ -172,6 +173,49 @@ class S3StorageService {
     await deleteFromS3(s3Key);
   }
 
+  // Copy a file to another key in the same bucket
+  async copyFile(sourceKey, targetKey) {
+    if (!this.isS3Available) {
+      throw new Error('S3 is not available');
+    }
+
+    const { CopyObjectCommand } = require('@aws-sdk/client-s3');
+    const command = new CopyObjectCommand({
+      Bucket: s3Config.bucketName,
+      CopySource: `${s3Config.bucketName}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`,
+      Key: targetKey,
+      ACL: s3Config.acl,
+    });
+    await s3Client.send(command);
+    logger.info(`✅ File copied in S3: ${sourceKey} -> ${targetKey}`);
+
+    return { key: targetKey, url: generateS3Url(targetKey) };
+  }
+
+  // List every object below a prefix (all pages) as { key, size, lastModified }
+  async listFiles(prefix) {
+    if (!this.isS3Available) {
+      throw new Error('S3 is not available');
+    }
+
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const files = [];
+    let continuationToken;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: s3Config.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      (response.Contents || []).forEach(obj => {
+        files.push({ key: obj.Key, size: obj.Size || 0, lastModified: obj.LastModified });
+      });
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
   // Check if file exists in S3
   async fileExists(s3Key) {
     if (!this.isS3Available) {
@@ -256,10 +300,11 @@ class S3StorageService {
     return result;
   }
 
-  // Get storage statistics
+  // Get storage statistics; `projects` lists each project's attachment usage against its quota
   async getStorageStats() {
+    const projects = await getProjectStorageUsage();
     if (!this.isS3Available) {
-      return { s3Available: false };
+      return { s3Available: false, projects };
     }
 
     try {
@@ -276,7 +321,8 @@ class S3StorageService {
         s3Available: true,
         totalFiles: response.Contents?.length || 0,
         totalSize: 0,
-        folders: {}
+        folders: {},
+        projects
       };
       
       if (response.Contents) {
@@ -295,7 +341,7 @@ class S3StorageService {
       return stats;
     } catch (error) {
       logger.error('Error getting S3 storage stats:', error);
-      return { s3Available: false, error: error.message };
+      return { s3Available: false, error: error.message, projects };
     }
   }
 }
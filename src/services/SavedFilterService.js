@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const SavedFilter = require('../models/SavedFilter');
+const Project = require('../models/Project');
+const { isProjectMember } = require('./ProjectAccessService');
+const { customFieldQueryResolver } = require('./CustomFieldService');
+const { QueryError, ISSUE_QUERY_FIELDS, parseQuery, resolveSortParam } = require('../utils/queryLanguage');
+
+// Private filters are only visible to their owner, shared ones to everyone on the project.
+async function canViewFilter(savedFilter, actorId) {
+  if (!actorId) return false;
+  if (savedFilter.ownerId.toString() === actorId.toString()) return true;
+  if (savedFilter.visibility !== 'project' || !savedFilter.projectId) return false;
+
+  const project = await Project.findById(savedFilter.projectId, 'ownerId members isDeleted');
+  if (!project || project.isDeleted) return false;
+  return isProjectMember(project, actorId);
+}
+
+// Load a saved filter the actor may use. Returns { savedFilter } or { error: { status, message } }.
+async function getFilterForActor(filterId, actorId) {
+  if (!mongoose.Types.ObjectId.isValid(filterId)) {
+    return { error: { status: 422, message: 'Invalid filter ID' } };
+  }
+  const savedFilter = await SavedFilter.findOne({ _id: filterId, isDeleted: false });
+  if (!savedFilter) {
+    return { error: { status: 404, message: 'Saved filter not found' } };
+  }
+  if (!actorId) {
+    return { error: { status: 403, message: 'actorId is required to use a saved filter' } };
+  }
+  if (!(await canViewFilter(savedFilter, actorId))) {
+    return { error: { status: 403, message: 'You do not have access to this saved filter' } };
+  }
+  return { savedFilter };
+}
+
+// Check the query of a saved filter; custom fields (cf.<key>) resolve against its project. Returns a QueryError or null.
+function validateFilterQuery(query, project = null) {
+  try {
+    // `me` is resolved when the filter runs, so any id will do here
+    parseQuery(query, ISSUE_QUERY_FIELDS, {
+      actorId: new mongoose.Types.ObjectId(),
+      resolveField: customFieldQueryResolver(project),
+    });
+    return null;
+  } catch (err) {
+    if (err instanceof QueryError) return err;
+    throw err;
+  }
+}
+
+// Build the filter and sort of an issue listing from its query parameters:
+// a saved filter (filterId), an ad-hoc query (filter) and the sort/sortOrder parameters.
+// Sort precedence: ORDER BY of the ad-hoc query, explicit sort parameter, the saved filter's sort, the default.
+// Custom fields (cf.<key>) resolve against `projectId`, or else the project of the saved filter.
+// Returns { filter, sort, savedFilter } or { error: { status, message, position } }.
+async function resolveIssueListQuery(query, actorId, defaultSort = 'createdAt', { projectId = null } = {}) {
+  const { filterId, filter, sort, sortOrder = 'asc' } = query;
+
+  let savedFilter = null;
+  if (filterId) {
+    const result = await getFilterForActor(filterId, actorId);
+    if (result.error) return result;
+    savedFilter = result.savedFilter;
+  }
+
+  const fieldProjectId = projectId || (savedFilter && savedFilter.projectId);
+  const fieldProject = fieldProjectId ? await Project.findById(fieldProjectId, 'customFields') : null;
+  const resolveField = customFieldQueryResolver(fieldProject);
+
+  let saved = { filter: {}, sort: [] };
+  let adHoc;
+  try {
+    if (savedFilter) {
+      saved = parseQuery(savedFilter.query, ISSUE_QUERY_FIELDS, { actorId, resolveField });
+    }
+    adHoc = parseQuery(filter, ISSUE_QUERY_FIELDS, { actorId, resolveField });
+  } catch (err) {
+    if (err instanceof QueryError) {
+      const source = savedFilter && !adHoc ? 'saved filter' : 'filter';
+      return { error: { status: 400, message: `Invalid ${source}: ${err.message}`, position: err.position } };
+    }
+    throw err;
+  }
+
+  const parts = [saved.filter, adHoc.filter].filter(part => Object.keys(part).length > 0);
+
+  let sortEntries = adHoc.sort;
+  if (sortEntries.length === 0 && !sort && savedFilter) {
+    sortEntries = saved.sort.length > 0 || !savedFilter.sortField
+      ? saved.sort
+      : [resolveSortParam(ISSUE_QUERY_FIELDS, savedFilter.sortField, savedFilter.sortOrder, resolveField)].filter(Boolean);
+  }
+  if (sortEntries.length === 0) {
+    const sortEntry = resolveSortParam(ISSUE_QUERY_FIELDS, sort || defaultSort, sortOrder, resolveField);
+    if (!sortEntry) {
+      return { error: { status: 400, message: `Cannot sort by '${sort}'` } };
+    }
+    sortEntries = [sortEntry];
+  }
+
+  return { filter: parts.length > 0 ? { $and: parts } : {}, sort: sortEntries, savedFilter };
+}
+
+// Describe the saved view applied to a listing so clients can render its columns.
+function describeView(savedFilter) {
+  if (!savedFilter) return null;
+  return {
+    id: savedFilter._id,
+    name: savedFilter.name,
+    columns: savedFilter.columns,
+    visibility: savedFilter.visibility,
+  };
+}
+
+module.exports = {
+  canViewFilter,
+  getFilterForActor,
+  validateFilterQuery,
+  resolveIssueListQuery,
+  describeView,
+};
@@ -0,0 +1,89 @@
+const Project = require('../models/Project');
+
+const MB = 1024 * 1024;
+const DEFAULT_QUOTA_MB = 1024;
+
+// storage of a project without its own storageQuota, in bytes (PROJECT_STORAGE_QUOTA_MB)
+function getDefaultQuota() {
+  const megabytes = parseFloat(process.env.PROJECT_STORAGE_QUOTA_MB);
+  return (Number.isNaN(megabytes) || megabytes < 0 ? DEFAULT_QUOTA_MB : megabytes) * MB;
+}
+
+const getProjectQuota = (project) => (project.storageQuota === null || project.storageQuota === undefined
+  ? getDefaultQuota()
+  : project.storageQuota);
+
+const formatMb = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+// Count `bytes` of new attachment files against a project's quota. The check and the increment are one
+// update, so concurrent uploads cannot overshoot together.
+// Returns { project } or { error: { status, message } }.
+async function reserveStorage(projectId, bytes) {
+  // usage is not an edit of the project, so __v stays and pending If-Match headers still match
+  const project = await Project.findOneAndUpdate(
+    {
+      _id: projectId,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$storageUsed', 0] }, bytes] },
+          { $ifNull: ['$storageQuota', getDefaultQuota()] },
+        ],
+      },
+    },
+    { $inc: { storageUsed: bytes } },
+    { new: true }
+  );
+  if (project) return { project };
+
+  const current = await Project.findById(projectId, 'name storageUsed storageQuota');
+  if (!current) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+  return {
+    error: {
+      status: 413,
+      message: `${current.name} has ${formatMb(current.storageUsed || 0)} of its ${formatMb(getProjectQuota(current))} storage quota in use; ${formatMb(bytes)} more does not fit`,
+    },
+  };
+}
+
+// Give back storage of deleted attachment files.
+async function releaseStorage(projectId, bytes) {
+  if (!bytes) return;
+  await Project.updateOne(
+    { _id: projectId },
+    [{ $set: { storageUsed: { $max: [0, { $subtract: [{ $ifNull: ['$storageUsed', 0] }, bytes] }] } } }]
+  );
+}
+
+const attachmentBytes = (attachments) => (attachments || []).reduce((total, attachment) => total + (attachment.size || 0), 0);
+
+// Usage and quota of every project, fullest first.
+async function getProjectStorageUsage() {
+  const projects = await Project.find({ isDeleted: false }, 'name key storageUsed storageQuota').lean();
+  return projects
+    .map(project => {
+      const quota = getProjectQuota(project);
+      const used = project.storageUsed || 0;
+      return {
+        projectId: project._id,
+        name: project.name,
+        key: project.key,
+        used,
+        quota,
+        percentUsed: quota > 0 ? Math.round((used / quota) * 1000) / 10 : null,
+      };
+    })
+    .sort((a, b) => b.used - a.used);
+}
+
+module.exports = {
+  MB,
+  DEFAULT_QUOTA_MB,
+  getDefaultQuota,
+  getProjectQuota,
+  reserveStorage,
+  releaseStorage,
+  attachmentBytes,
+  getProjectStorageUsage,
+};
@@ -0,0 +1,146 @@
+const Project = require('../models/Project');
+
+const STATUS_CATEGORIES = ['backlog', 'todo', 'in_progress', 'done'];
+
+// used by projects that have not configured their own workflow; no transitions means any move is allowed
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'backlog', name: 'Backlog', category: 'backlog' },
+    { key: 'to_do', name: 'To Do', category: 'todo' },
+    { key: 'in_progress', name: 'In Progress', category: 'in_progress' },
+    { key: 'in_review', name: 'In Review', category: 'in_progress' },
+    { key: 'in_testing', name: 'In Testing', category: 'in_progress' },
+    { key: 'done', name: 'Done', category: 'done' },
+  ],
+  transitions: [],
+};
+
+// Return the workflow of a project as a plain object, falling back to the default one.
+function getWorkflow(project) {
+  const workflow = project && project.workflow;
+  if (!workflow || !workflow.statuses || workflow.statuses.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+  const plain = typeof workflow.toObject === 'function' ? workflow.toObject() : workflow;
+  return {
+    statuses: plain.statuses.map(({ key, name, category }) => ({ key, name, category })),
+    transitions: (plain.transitions || []).map(({ from, to }) => ({ from, to })),
+  };
+}
+
+async function getProjectWorkflow(projectId) {
+  const project = await Project.findById(projectId);
+  return getWorkflow(project);
+}
+
+function findStatus(workflow, key) {
+  return workflow.statuses.find(status => status.key === key) || null;
+}
+
+function getStatusCategory(workflow, key) {
+  const status = findStatus(workflow, key);
+  return status ? status.category : null;
+}
+
+function firstStatusInCategory(workflow, category) {
+  const status = workflow.statuses.find(item => item.category === category);
+  return status ? status.key : null;
+}
+
+// status given to newly created issues
+function getInitialStatus(workflow) {
+  return firstStatusInCategory(workflow, 'backlog') || firstStatusInCategory(workflow, 'todo');
+}
+
+// status issues move to when they are planned into or a sprint starts
+function getSprintStartStatus(workflow) {
+  return firstStatusInCategory(workflow, 'todo');
+}
+
+// status an issue moves to when someone starts logging time on it
+function getWorkStartStatus(workflow) {
+  return firstStatusInCategory(workflow, 'in_progress');
+}
+
+// Where an issue lands when its sprint ends: finished issues stay put, untouched ones go back to the
+// backlog, anything that was started is closed.
+function getSprintEndStatus(workflow, currentStatus) {
+  const category = getStatusCategory(workflow, currentStatus);
+  if (category === 'done') return currentStatus;
+  if (category === 'backlog' || category === 'todo') return getInitialStatus(workflow);
+  return firstStatusInCategory(workflow, 'done');
+}
+
+// Check a status change against the workflow. Returns an error message or null.
+function validateTransition(workflow, fromStatus, toStatus) {
+  if (!findStatus(workflow, toStatus)) {
+    return `Invalid status '${toStatus}'. Allowed statuses: ${workflow.statuses.map(status => status.key).join(', ')}`;
+  }
+  if (fromStatus === toStatus || workflow.transitions.length === 0) {
+    return null;
+  }
+  const allowed = workflow.transitions.some(transition =>
+    (transition.from === fromStatus || transition.from === '*') && transition.to === toStatus
+  );
+  return allowed ? null : `Transition from '${fromStatus}' to '${toStatus}' is not allowed by the project workflow`;
+}
+
+// Validate a workflow definition sent by a client. Returns a list of error messages.
+function validateWorkflowDefinition(definition) {
+  const errors = [];
+  const statuses = Array.isArray(definition?.statuses) ? definition.statuses : [];
+  const transitions = Array.isArray(definition?.transitions) ? definition.transitions : [];
+
+  if (statuses.length === 0) {
+    errors.push('At least one status is required');
+  }
+
+  const keys = new Set();
+  statuses.forEach((status, index) => {
+    if (!status || typeof status.key !== 'string' || !/^[a-z][a-z0-9_]*$/.test(status.key)) {
+      errors.push(`statuses[${index}].key must be lowercase letters, digits or underscores`);
+      return;
+    }
+    if (keys.has(status.key)) {
+      errors.push(`Duplicate status '${status.key}'`);
+    }
+    keys.add(status.key);
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      errors.push(`statuses[${index}].category must be one of ${STATUS_CATEGORIES.join(', ')}`);
+    }
+  });
+
+  // sprints and time logs need somewhere to move issues to
+  ['todo', 'in_progress', 'done'].forEach(category => {
+    if (statuses.length > 0 && !statuses.some(status => status.category === category)) {
+      errors.push(`The workflow needs at least one status in the '${category}' category`);
+    }
+  });
+
+  transitions.forEach((transition, index) => {
+    if (!transition || (transition.from !== '*' && !keys.has(transition.from))) {
+      errors.push(`transitions[${index}].from references an unknown status`);
+    }
+    if (!transition || !keys.has(transition.to)) {
+      errors.push(`transitions[${index}].to references an unknown status`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getProjectWorkflow,
+  findStatus,
+  getStatusCategory,
+  firstStatusInCategory,
+  getInitialStatus,
+  getSprintStartStatus,
+  getWorkStartStatus,
+  getSprintEndStatus,
+  validateTransition,
+  validateWorkflowDefinition,
+};
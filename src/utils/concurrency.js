@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Optimistic concurrency for issues and projects. The document version (__v) is sent as the ETag of
+// reads and writes; a client that sends it back in If-Match only overwrites the version it has seen.
+
+const getVersion = (doc) => (doc.get ? doc.get('__v') : doc.__v) || 0;
+
+const getEntityTag = (doc) => `"${getVersion(doc)}"`;
+
+const setEntityTag = (res, doc) => res.set('ETag', getEntityTag(doc));
+
+// Does the If-Match header of the request allow writing this document? Requests without the header
+// keep the old last-write-wins behaviour. Tags may be sent with or without quotes.
+const matchesIfMatch = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header) return true;
+
+  const version = String(getVersion(doc));
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .some(tag => tag === '*' || tag === version);
+};
+
+const isVersionError = (err) => err instanceof mongoose.Error.VersionError;
+
+// plain JSON form of a value so ids, dates and maps compare the way clients send them
+const toComparable = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Fields of a write whose submitted value differs from the current server copy: [{ field, submitted, current }].
+function diffAgainstCurrent(doc, submitted) {
+  const current = doc.toObject({ flattenMaps: true });
+  return Object.entries(submitted)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => ({ field, submitted: toComparable(value), current: toComparable(current[field]) }))
+    .filter(({ submitted: value, current: currentValue }) => JSON.stringify(value) !== JSON.stringify(currentValue));
+}
+
+// Body of the 409 sent when a write was based on an old version.
+function conflictResponse(doc, submitted, label) {
+  return {
+    success: false,
+    message: `${label} was changed by someone else since you loaded it. Review the current version and try again.`,
+    currentVersion: getVersion(doc),
+    current: doc,
+    diff: diffAgainstCurrent(doc, submitted),
+  };
+}
+
+// Body of the 409 sent when a write without If-Match lost a race with another save of the same document.
+const concurrentEditResponse = (label) => ({
+  success: false,
+  message: `${label} was changed by someone else at the same time. Reload it and try again.`,
+});
+
+module.exports = {
+  getVersion,
+  getEntityTag,
+  setEntityTag,
+  matchesIfMatch,
+  isVersionError,
+  diffAgainstCurrent,
+  conflictResponse,
+  concurrentEditResponse,
+};
@@ -0,0 +1,140 @@
+const path = require('path');
+
+// bytes read from the start of an upload to recognise its type
+const SNIFF_BYTES = 4100;
+
+// types accepted as issue attachments unless UPLOAD_ALLOWED_TYPES lists others
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'video/mp4',
+  'video/quicktime',
+  'video/webm',
+  'application/pdf',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+];
+
+// extensions each type may be uploaded with
+const EXTENSIONS = {
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'image/tiff': ['.tif', '.tiff'],
+  'image/avif': ['.avif'],
+  'image/heic': ['.heic', '.heif'],
+  'video/mp4': ['.mp4', '.m4v'],
+  'video/quicktime': ['.mov'],
+  'video/webm': ['.webm'],
+  'video/x-matroska': ['.mkv'],
+  'video/x-msvideo': ['.avi'],
+  'audio/mp4': ['.m4a'],
+  'audio/wav': ['.wav'],
+  'application/pdf': ['.pdf'],
+  'application/zip': ['.zip'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'text/plain': ['.txt', '.log'],
+  'text/csv': ['.csv'],
+  'text/markdown': ['.md'],
+  'application/json': ['.json', '.ndjson'],
+};
+
+// Office documents are zip archives and text has no signature: the extension picks the type within the family
+const ZIP_TYPES = ['application/zip', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'];
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/markdown', 'application/json'];
+
+const startsWith = (head, bytes, offset = 0) => bytes.every((byte, index) => head[offset + index] === byte);
+const ascii = (head, start, end) => head.toString('latin1', start, end);
+
+// Text has no NUL bytes and, apart from tab, line breaks, form feed and escape, no control characters.
+function looksLikeText(head) {
+  return !head.some(byte => byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte));
+}
+
+// The family of a file from its first bytes, or null when it is not recognised.
+function sniffSignature(head) {
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (['GIF87a', 'GIF89a'].includes(ascii(head, 0, 6))) return 'image/gif';
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (ascii(head, 0, 5) === '%PDF-') return 'application/pdf';
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  if (ascii(head, 0, 4) === 'RIFF') {
+    const format = ascii(head, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'AVI ') return 'video/x-msvideo';
+    if (format === 'WAVE') return 'audio/wav';
+    return null;
+  }
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (['avif', 'avis'].includes(brand)) return 'image/avif';
+    if (['heic', 'heix', 'mif1'].includes(brand)) return 'image/heic';
+    if (brand === 'M4A ') return 'audio/mp4';
+    return 'video/mp4';
+  }
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (head.length > 0 && looksLikeText(head)) return 'text/plain';
+  return null;
+}
+
+// The MIME type of a file from its first bytes and name. Returns null for unrecognised content.
+function detectFileType(head, fileName = '') {
+  const family = sniffSignature(head);
+  if (!family) return null;
+
+  const extension = path.extname(fileName).toLowerCase();
+  const byExtension = (types) => types.find(type => EXTENSIONS[type].includes(extension)) || family;
+  if (family === 'application/zip') return byExtension(ZIP_TYPES);
+  if (family === 'text/plain') return byExtension(TEXT_TYPES);
+  return family;
+}
+
+// types accepted as attachments (UPLOAD_ALLOWED_TYPES, comma separated)
+function getAllowedUploadTypes() {
+  const configured = String(process.env.UPLOAD_ALLOWED_TYPES || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_TYPES;
+}
+
+// Check an upload's content against the allowed types and its extension against its content.
+// Returns { mimeType } or { error: message }.
+function checkFileType(head, fileName, allowedTypes = getAllowedUploadTypes()) {
+  const mimeType = detectFileType(head, fileName);
+  if (!mimeType) {
+    return { error: `${fileName}: the file type is not recognised` };
+  }
+  if (!allowedTypes.includes(mimeType)) {
+    return { error: `${fileName}: ${mimeType} files are not allowed` };
+  }
+  const extension = path.extname(fileName).toLowerCase();
+  if (!(EXTENSIONS[mimeType] || []).includes(extension)) {
+    return { error: `${fileName}: the extension does not match the content (${mimeType})` };
+  }
+  return { mimeType };
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  DEFAULT_ALLOWED_TYPES,
+  detectFileType,
+  getAllowedUploadTypes,
+  checkFileType,
+};
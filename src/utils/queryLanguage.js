@@ -0,0 +1,427 @@
+// utils/queryLanguage.js
+// Small query language for list endpoints, e.g.
+//   status in (to_do, in_progress) AND assignee = me AND labels ~ "ui" ORDER BY priority DESC
+// Queries are parsed into a Mongo filter that only touches whitelisted fields.
+const mongoose = require('mongoose');
+
+class QueryError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+// Field types: string, id, number, date and boolean. `array` fields match when any element matches,
+// `values` restricts the accepted values and `ranks` gives the sort order of enum-like fields.
+const ISSUE_QUERY_FIELDS = {
+  key: { path: 'key', type: 'string' },
+  title: { path: 'title', type: 'string' },
+  description: { path: 'description', type: 'string' },
+  type: { path: 'type', type: 'string' },
+  status: { path: 'status', type: 'string' },
+  priority: { path: 'priority', type: 'string', values: ['low', 'medium', 'high'], ranks: ['low', 'medium', 'high'] },
+  priorityLevel: { path: 'priorityLevel', type: 'string', values: ['Critical', 'Major', 'Minor'], ranks: ['Minor', 'Major', 'Critical'] },
+  resolution: { path: 'resolution', type: 'string' },
+  assignee: { path: 'assigneeId', type: 'id' },
+  reporter: { path: 'reporterId', type: 'id' },
+  parent: { path: 'parentTaskId', type: 'id' },
+  epic: { path: 'epicId', type: 'id' },
+  sprint: { path: 'sprintId', type: 'id' },
+  watcher: { path: 'watchers', type: 'id', array: true },
+  labels: { path: 'labels', type: 'string', array: true },
+  storyPoints: { path: 'storyPoints', type: 'number' },
+  progress: { path: 'progress', type: 'number' },
+  timeSpent: { path: 'timeSpent', type: 'number' },
+  votes: { path: 'votes', type: 'number' },
+  number: { path: 'issueNumber', type: 'number' },
+  due: { path: 'dueDate', type: 'date' },
+  resolved: { path: 'resolutionDate', type: 'date' },
+  created: { path: 'createdAt', type: 'date' },
+  updated: { path: 'updatedAt', type: 'date' },
+};
+
+const PROJECT_QUERY_FIELDS = {
+  name: { path: 'name', type: 'string' },
+  key: { path: 'key', type: 'string' },
+  description: { path: 'description', type: 'string' },
+  status: { path: 'status', type: 'string', values: ['active', 'completed', 'archived'] },
+  owner: { path: 'ownerId', type: 'id' },
+  member: { path: 'members', type: 'id', array: true },
+  created: { path: 'createdAt', type: 'date' },
+  updated: { path: 'updatedAt', type: 'date' },
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'IS', 'EMPTY', 'ORDER', 'BY', 'ASC', 'DESC'];
+const OPERATORS = ['!=', '>=', '<=', '!~', '=', '~', '>', '<'];
+const COMPARISON_TYPES = ['number', 'date'];
+const RELATIVE_DATE = /^([+-]?\d+)([hdw])$/i;
+const RELATIVE_UNITS = { h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function tokenize(input) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: index });
+      index++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => input.startsWith(op, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const start = index;
+      let value = '';
+      index++;
+      while (index < input.length && input[index] !== char) {
+        if (input[index] === '\\' && index + 1 < input.length) index++;
+        value += input[index];
+        index++;
+      }
+      if (index >= input.length) {
+        throw new QueryError('Unterminated string', start);
+      }
+      index++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const word = /^[A-Za-z0-9_.:@+-]+/.exec(input.slice(index));
+    if (!word) {
+      throw new QueryError(`Unexpected character '${char}'`, index);
+    }
+    const upper = word[0].toUpperCase();
+    tokens.push(KEYWORDS.includes(upper)
+      ? { type: 'keyword', value: upper, position: index }
+      : { type: 'word', value: word[0], position: index });
+    index += word[0].length;
+  }
+
+  tokens.push({ type: 'end', value: 'end of query', position: input.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(input, fields, options) {
+    this.tokens = tokenize(input);
+    this.index = 0;
+    this.fields = fields;
+    this.options = options;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type || (value && token.value !== value)) {
+      throw new QueryError(`Expected ${value || type} but found '${token.value}'`, token.position);
+    }
+    return token;
+  }
+
+  parse() {
+    let filter = {};
+    if (this.peek().type !== 'end' && !this.isKeyword('ORDER')) {
+      filter = this.parseOr();
+    }
+
+    const sort = [];
+    if (this.isKeyword('ORDER')) {
+      this.next();
+      this.expect('keyword', 'BY');
+      do {
+        const token = this.expect('word');
+        const field = this.resolveField(token);
+        let direction = 1;
+        if (this.isKeyword('ASC') || this.isKeyword('DESC')) {
+          direction = this.next().value === 'DESC' ? -1 : 1;
+        }
+        sort.push({ path: field.path, direction, ranks: field.ranks });
+      } while (this.peek().type === ',' && this.next());
+    }
+
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new QueryError(`Unexpected '${token.value}'`, token.position);
+    }
+    return { filter, sort };
+  }
+
+  parseOr() {
+    const parts = [this.parseAnd()];
+    while (this.isKeyword('OR')) {
+      this.next();
+      parts.push(this.parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : { $or: parts };
+  }
+
+  parseAnd() {
+    const parts = [this.parseNot()];
+    while (this.isKeyword('AND')) {
+      this.next();
+      parts.push(this.parseNot());
+    }
+    return parts.length === 1 ? parts[0] : { $and: parts };
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT')) {
+      this.next();
+      return { $nor: [this.parseNot()] };
+    }
+    if (this.peek().type === '(') {
+      this.next();
+      const inner = this.parseOr();
+      this.expect(')');
+      return inner;
+    }
+    return this.parseClause();
+  }
+
+  resolveField(token) {
+    const field = this.fields[token.value]
+      || (this.options.resolveField && this.options.resolveField(token.value));
+    if (!field) {
+      throw new QueryError(
+        `Unknown field '${token.value}'. Allowed fields: ${Object.keys(this.fields).join(', ')}`,
+        token.position
+      );
+    }
+    return field;
+  }
+
+  parseClause() {
+    const fieldToken = this.expect('word');
+    const field = this.resolveField(fieldToken);
+    const { path } = field;
+
+    if (this.isKeyword('IS')) {
+      this.next();
+      const negate = this.isKeyword('NOT') && this.next();
+      this.expect('keyword', 'EMPTY');
+      const empty = field.array
+        ? { $or: [{ [path]: { $exists: false } }, { [path]: { $size: 0 } }] }
+        : { [path]: { $in: [null, ''] } };
+      return negate ? { $nor: [empty] } : empty;
+    }
+
+    const negateIn = this.isKeyword('NOT') && this.next();
+    if (negateIn || this.isKeyword('IN')) {
+      this.expect('keyword', 'IN');
+      this.expect('(');
+      const values = [this.parseValue(field)];
+      while (this.peek().type === ',') {
+        this.next();
+        values.push(this.parseValue(field));
+      }
+      this.expect(')');
+      return { [path]: negateIn ? { $nin: values } : { $in: values } };
+    }
+
+    const operatorToken = this.expect('operator');
+    const operator = operatorToken.value;
+
+    if (operator === '~' || operator === '!~') {
+      if (field.type !== 'string') {
+        throw new QueryError(`Operator '${operator}' only works on text fields`, operatorToken.position);
+      }
+      const valueToken = this.next();
+      if (valueToken.type !== 'string' && valueToken.type !== 'word') {
+        throw new QueryError(`Expected a value but found '${valueToken.value}'`, valueToken.position);
+      }
+      const regex = new RegExp(escapeRegex(valueToken.value), 'i');
+      return { [path]: operator === '~' ? regex : { $not: regex } };
+    }
+
+    if (['>', '>=', '<', '<='].includes(operator) && !COMPARISON_TYPES.includes(field.type)) {
+      throw new QueryError(`Operator '${operator}' only works on number and date fields`, operatorToken.position);
+    }
+
+    const value = this.parseValue(field);
+    switch (operator) {
+      case '=': return { [path]: value };
+      case '!=': return { [path]: { $ne: value } };
+      case '>': return { [path]: { $gt: value } };
+      case '>=': return { [path]: { $gte: value } };
+      case '<': return { [path]: { $lt: value } };
+      default: return { [path]: { $lte: value } };
+    }
+  }
+
+  parseValue(field) {
+    const token = this.next();
+    if (token.type !== 'string' && token.type !== 'word') {
+      throw new QueryError(`Expected a value but found '${token.value}'`, token.position);
+    }
+    const raw = token.value;
+
+    switch (field.type) {
+      case 'id': {
+        if (token.type === 'word' && raw.toLowerCase() === 'me') {
+          if (!this.options.actorId) {
+            throw new QueryError("'me' needs an actorId", token.position);
+          }
+          return new mongoose.Types.ObjectId(String(this.options.actorId));
+        }
+        if (!mongoose.Types.ObjectId.isValid(raw)) {
+          throw new QueryError(`'${raw}' is not a valid id`, token.position);
+        }
+        return new mongoose.Types.ObjectId(raw);
+      }
+      case 'number': {
+        const number = Number(raw);
+        if (raw === '' || Number.isNaN(number)) {
+          throw new QueryError(`'${raw}' is not a number`, token.position);
+        }
+        return number;
+      }
+      case 'date': {
+        if (raw.toLowerCase() === 'now') return new Date();
+        const relative = RELATIVE_DATE.exec(raw);
+        if (relative) {
+          return new Date(Date.now() + Number(relative[1]) * RELATIVE_UNITS[relative[2].toLowerCase()]);
+        }
+        if (Number.isNaN(Date.parse(raw))) {
+          throw new QueryError(`'${raw}' is not a date (use YYYY-MM-DD, now, or an offset such as -7d)`, token.position);
+        }
+        return new Date(raw);
+      }
+      case 'boolean': {
+        if (!['true', 'false'].includes(raw.toLowerCase())) {
+          throw new QueryError(`'${raw}' is not true or false`, token.position);
+        }
+        return raw.toLowerCase() === 'true';
+      }
+      default: {
+        if (field.values && !field.values.includes(raw)) {
+          throw new QueryError(`'${raw}' is not one of ${field.values.join(', ')}`, token.position);
+        }
+        return raw;
+      }
+    }
+  }
+}
+
+// Parse a query into { filter, sort }. `sort` is a list of { path, direction, ranks }.
+// Options: actorId (the value of `me`) and resolveField(name) for fields outside the whitelist.
+// Throws a QueryError with the position of the offending token.
+function parseQuery(input, fields, options = {}) {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return { filter: {}, sort: [] };
+  }
+  return new Parser(String(input), fields, options).parse();
+}
+
+// Turn a sort query parameter (field name or stored path) into a sort entry, or null when not allowed.
+// resolveField(name) resolves fields outside the whitelist, as in parseQuery.
+function resolveSortParam(fields, name, sortOrder = 'asc', resolveField = null) {
+  const field = fields[name]
+    || Object.values(fields).find(item => item.path === name)
+    || (resolveField && name && resolveField(String(name)));
+  if (!field) return null;
+  return { path: field.path, direction: sortOrder === 'desc' ? -1 : 1, ranks: field.ranks };
+}
+
+// Find a page of documents. Fields with ranks (e.g. priority) are sorted by rank instead of alphabetically.
+async function findSorted(Model, filter, sort, skip, limit) {
+  const ranked = sort.some(entry => entry.ranks);
+  if (!ranked) {
+    const sortObject = {};
+    sort.forEach(entry => { sortObject[entry.path] = entry.direction; });
+    return Model.find(filter).sort(sortObject).skip(skip).limit(limit);
+  }
+
+  const rankFields = {};
+  const sortObject = {};
+  sort.forEach((entry, index) => {
+    if (entry.ranks) {
+      rankFields[`_rank${index}`] = { $indexOfArray: [entry.ranks, `$${entry.path}`] };
+      sortObject[`_rank${index}`] = entry.direction;
+    } else {
+      sortObject[entry.path] = entry.direction;
+    }
+  });
+  sortObject._id = 1;
+
+  const page = await Model.aggregate([
+    { $match: filter },
+    { $addFields: rankFields },
+    { $sort: sortObject },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } },
+  ]);
+  const ids = page.map(doc => doc._id.toString());
+  const docs = await Model.find({ _id: { $in: ids } });
+  return docs.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+}
+
+// Stream every matching document in sort order as plain objects, for exports that must not hold
+// the whole result in memory. Returns a cursor to iterate with for await.
+function cursorSorted(Model, filter, sort) {
+  const ranked = sort.some(entry => entry.ranks);
+  if (!ranked) {
+    const sortObject = {};
+    sort.forEach(entry => { sortObject[entry.path] = entry.direction; });
+    sortObject._id = 1;
+    return Model.find(filter).sort(sortObject).lean().cursor();
+  }
+
+  const rankFields = {};
+  const sortObject = {};
+  sort.forEach((entry, index) => {
+    if (entry.ranks) {
+      rankFields[`_rank${index}`] = { $indexOfArray: [entry.ranks, `$${entry.path}`] };
+      sortObject[`_rank${index}`] = entry.direction;
+    } else {
+      sortObject[entry.path] = entry.direction;
+    }
+  });
+  sortObject._id = 1;
+
+  return Model.aggregate([
+    { $match: filter },
+    { $addFields: rankFields },
+    { $sort: sortObject },
+    { $project: Object.fromEntries(Object.keys(rankFields).map(field => [field, 0])) },
+  ]).allowDiskUse(true).cursor();
+}
+
+module.exports = {
+  QueryError,
+  ISSUE_QUERY_FIELDS,
+  PROJECT_QUERY_FIELDS,
+  escapeRegex,
+  parseQuery,
+  resolveSortParam,
+  findSorted,
+  cursorSorted,
+};
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Resolve the employee performing a request.
+// Routes are not behind the auth middleware yet, so fall back to an explicit actorId
+// the same way S3StorageService falls back to req.query.userId.
+const getActorId = (req) => {
+  const actorId = req.user?.userId || req.body?.actorId || req.query?.actorId;
+  return actorId && mongoose.Types.ObjectId.isValid(actorId) ? actorId.toString() : null;
+};
+
+module.exports = { getActorId };
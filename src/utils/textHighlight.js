@@ -0,0 +1,65 @@
+// utils/textHighlight.js
+// Builds short highlighted snippets for search results. Matched words are wrapped in <mark> tags;
+// everything else is HTML-escaped so the snippet can be rendered as-is.
+
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Words of a $text search string, without negated terms ("-word") and quotes.
+function extractSearchTerms(search) {
+  return String(search || '')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["']/g, ''))
+    .flatMap(term => term.split(/[^\p{L}\p{N}]+/u))
+    .filter(term => term.length > 1);
+}
+
+// Words are matched by prefix so stemmed matches ("login" for "logins") are highlighted too.
+function buildTermPattern(terms) {
+  if (terms.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+// Return a snippet of the text around the first match with all matches highlighted, or null without a match.
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const pattern = buildTermPattern(terms);
+  if (!text || !pattern) return null;
+
+  const source = String(text).replace(/\s+/g, ' ');
+  const first = pattern.exec(source);
+  if (!first) return null;
+  pattern.lastIndex = 0;
+
+  let start = Math.max(0, first.index - radius);
+  let end = Math.min(source.length, first.index + first[0].length + radius);
+  // do not cut words in half
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < first.index) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > first.index + first[0].length) end = space;
+  }
+
+  const window = source.slice(start, end);
+  let highlighted = '';
+  let last = 0;
+  for (const match of window.matchAll(pattern)) {
+    highlighted += escapeHtml(window.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < source.length ? '…' : ''}`;
+}
+
+module.exports = { extractSearchTerms, buildSnippet };
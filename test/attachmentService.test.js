@@ -0,0 +1,42 @@
+const path = require('path');
+const { canPreview, attachmentFromUpload, getDownloadUrl, describeAttachments, verifyLocalDownload } = require('../src/services/AttachmentService');
+
+describe('AttachmentService', () => {
+  const uploads = path.join(__dirname, '../uploads');
+
+  it('keeps upload metadata for S3 and local files', () => {
+    const uploadedBy = '64b7f0c2a1e4d3f5b6c7d8e9';
+    expect(attachmentFromUpload({ key: 'attachments/u1/spec_1.pdf', originalname: 'spec.pdf', size: 42, mimetype: 'application/pdf' }, uploadedBy))
+      .toMatchObject({ storage: 's3', key: 'attachments/u1/spec_1.pdf', originalName: 'spec.pdf', size: 42, mimeType: 'application/pdf', uploadedBy });
+    expect(attachmentFromUpload({ path: path.join(uploads, 'attachments', 'u1', 'shot_1.png'), originalname: 'shot.png', size: 7 }))
+      .toMatchObject({ storage: 'local', key: 'attachments/u1/shot_1.png', mimeType: 'image/png', uploadedBy: null });
+  });
+
+  it('signs local download links and rejects tampered, expired or escaping ones', async () => {
+    const attachment = { storage: 'local', key: 'attachments/u1/shot_1.png', originalName: 'shot.png' };
+    const { url, expiresAt } = await getDownloadUrl(attachment, { baseUrl: 'http://localhost:3000', expiresIn: 60 });
+    expect(url.startsWith('http://localhost:3000/api/issues/attachments/file?')).toBe(true);
+
+    const query = Object.fromEntries(new URL(url).searchParams);
+    expect(verifyLocalDownload(query)).toEqual({ filePath: path.join(uploads, 'attachments', 'u1', 'shot_1.png'), name: 'shot.png' });
+    expect(verifyLocalDownload({ ...query, key: 'attachments/u2/other.png' }).error.status).toBe(403);
+    expect(verifyLocalDownload(query, expiresAt.getTime() + 1000).error.status).toBe(410);
+
+    const escaping = await getDownloadUrl({ ...attachment, key: '../.env' });
+    expect(verifyLocalDownload(Object.fromEntries(new URL(escaping.url, 'http://localhost').searchParams)).error.status).toBe(403);
+  });
+
+  it('adds preview URLs once a thumbnail or poster frame is ready', async () => {
+    expect(canPreview('image/png')).toBe(true);
+    expect(canPreview('video/webm')).toBe(true);
+    expect(canPreview('application/pdf')).toBe(false);
+
+    const [ready, pending] = await describeAttachments([
+      { storage: 'local', key: 'attachments/u1/shot_1.png', originalName: 'shot.png', previewStatus: 'ready', preview: { storage: 'local', key: 'thumbnails/i1/a1.webp' } },
+      { storage: 'local', key: 'attachments/u1/demo_1.mp4', originalName: 'demo.mp4', previewStatus: 'pending', preview: null },
+    ]);
+    expect(new URL(ready.previewUrl, 'http://localhost').searchParams.get('key')).toBe('thumbnails/i1/a1.webp');
+    expect(pending.previewUrl).toBeNull();
+    expect(pending.url).toContain('demo_1.mp4');
+  });
+});
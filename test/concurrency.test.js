@@ -0,0 +1,28 @@
+const Issue = require('../src/models/Issue');
+const { getEntityTag, matchesIfMatch, diffAgainstCurrent } = require('../src/utils/concurrency');
+
+const requestWith = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+
+describe('concurrency', () => {
+  const issue = new Issue({ title: 'Login page', status: 'todo', labels: ['frontend'], __v: 3 });
+
+  it('uses the document version as the entity tag', () => {
+    expect(getEntityTag(issue)).toBe('"3"');
+  });
+
+  it('matches If-Match against the version', () => {
+    expect(matchesIfMatch(requestWith(undefined), issue)).toBe(true);
+    expect(matchesIfMatch(requestWith('"3"'), issue)).toBe(true);
+    expect(matchesIfMatch(requestWith('W/"2", 3'), issue)).toBe(true);
+    expect(matchesIfMatch(requestWith('*'), issue)).toBe(true);
+    expect(matchesIfMatch(requestWith('"2"'), issue)).toBe(false);
+  });
+
+  it('lists the submitted fields that differ from the current copy', () => {
+    const diff = diffAgainstCurrent(issue, { title: 'Login page', status: 'done', labels: ['backend'], priority: undefined });
+    expect(diff).toEqual([
+      { field: 'status', submitted: 'done', current: 'todo' },
+      { field: 'labels', submitted: ['backend'], current: ['frontend'] },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  validateCustomFieldDefinitions,
+  validateCustomFieldValues,
+  customFieldQueryResolver,
+} = require('../src/services/CustomFieldService');
+const { ISSUE_QUERY_FIELDS, parseQuery, resolveSortParam } = require('../src/utils/queryLanguage');
+
+describe('CustomFieldService', () => {
+  const project = {
+    customFields: [
+      { key: 'client_ticket', name: 'Client ticket #', type: 'text', options: [], required: true },
+      { key: 'hours', name: 'Billable hours', type: 'number', options: [], required: false },
+      { key: 'environment', name: 'Environment', type: 'select', options: ['production', 'staging'], required: false },
+      { key: 'platforms', name: 'Platforms', type: 'multiselect', options: ['web', 'ios', 'android'], required: false },
+      { key: 'go_live', name: 'Go-live', type: 'date', options: [], required: false },
+    ],
+  };
+
+  it('rejects invalid definitions', () => {
+    const errors = validateCustomFieldDefinitions([
+      { key: 'Bad Key', type: 'text' },
+      { key: 'env', type: 'select', options: [] },
+      { key: 'env', type: 'colour' },
+    ]);
+
+    expect(errors).toHaveLength(4);
+  });
+
+  it('converts values, including CSV text', async () => {
+    const { customFields } = await validateCustomFieldValues(project, {
+      client_ticket: 'ACME-1',
+      hours: '4.5',
+      platforms: 'web, ios',
+      go_live: '2026-01-31',
+    });
+
+    expect(customFields.hours).toBe(4.5);
+    expect(customFields.platforms).toEqual(['web', 'ios']);
+    expect(customFields.go_live).toEqual(new Date('2026-01-31'));
+  });
+
+  it('reports unknown fields, invalid options and missing required fields', async () => {
+    expect((await validateCustomFieldValues(project, { client_ticket: 'A', color: 'red' })).error.message)
+      .toBe("Unknown custom field 'color'");
+    expect((await validateCustomFieldValues(project, { client_ticket: 'A', environment: 'qa' })).error.field)
+      .toBe('environment');
+    expect((await validateCustomFieldValues(project, { hours: 2 })).error.message)
+      .toBe('Required custom fields are missing: Client ticket #');
+  });
+
+  it('only checks the given fields on updates', async () => {
+    const existing = { hours: 1 };
+    const { customFields } = await validateCustomFieldValues(project, { environment: 'staging' }, { existing });
+
+    expect(customFields).toEqual({ hours: 1, environment: 'staging' });
+    expect((await validateCustomFieldValues(project, { client_ticket: null }, { existing })).error.field)
+      .toBe('client_ticket');
+  });
+
+  it('makes cf.<key> filterable and sortable', () => {
+    const resolveField = customFieldQueryResolver(project);
+    const { filter, sort } = parseQuery('cf.hours > 2 AND cf.platforms = ios ORDER BY cf.go_live DESC', ISSUE_QUERY_FIELDS, { resolveField });
+
+    expect(filter).toEqual({ $and: [{ 'customFields.hours': { $gt: 2 } }, { 'customFields.platforms': 'ios' }] });
+    expect(sort).toEqual([{ path: 'customFields.go_live', direction: -1, ranks: undefined }]);
+    expect(resolveSortParam(ISSUE_QUERY_FIELDS, 'cf.hours', 'asc', resolveField).path).toBe('customFields.hours');
+    expect(() => parseQuery('cf.environment = qa', ISSUE_QUERY_FIELDS, { resolveField })).toThrow("'qa' is not one of");
+  });
+});
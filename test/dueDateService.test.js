@@ -0,0 +1,50 @@
+const { parseDueDate, getReminderOffsets, planReminder } = require('../src/services/DueDateService');
+
+describe('DueDateService', () => {
+  const originalLead = process.env.DUE_REMINDER_LEAD_HOURS;
+  const originalOverdue = process.env.DUE_REMINDER_OVERDUE_HOURS;
+  afterEach(() => {
+    if (originalLead === undefined) delete process.env.DUE_REMINDER_LEAD_HOURS;
+    else process.env.DUE_REMINDER_LEAD_HOURS = originalLead;
+    if (originalOverdue === undefined) delete process.env.DUE_REMINDER_OVERDUE_HOURS;
+    else process.env.DUE_REMINDER_OVERDUE_HOURS = originalOverdue;
+  });
+
+  it('parses plain dates as the end of the day and clears on empty values', () => {
+    expect(parseDueDate('2024-06-30').dueDate.toISOString()).toBe('2024-06-30T23:59:59.999Z');
+    expect(parseDueDate('2024-06-30T09:00:00Z').dueDate.toISOString()).toBe('2024-06-30T09:00:00.000Z');
+    expect(parseDueDate('')).toEqual({ dueDate: null });
+    expect(parseDueDate(null)).toEqual({ dueDate: null });
+    expect(parseDueDate('next week').error).toMatch(/dueDate must be a date/);
+  });
+
+  it('reads reminder offsets from the environment, before the due date negative', () => {
+    delete process.env.DUE_REMINDER_LEAD_HOURS;
+    delete process.env.DUE_REMINDER_OVERDUE_HOURS;
+    expect(getReminderOffsets()).toEqual([-24, 0, 72]);
+    process.env.DUE_REMINDER_LEAD_HOURS = '2, 48, x';
+    process.env.DUE_REMINDER_OVERDUE_HOURS = '24';
+    expect(getReminderOffsets()).toEqual([-48, -2, 24]);
+  });
+
+  it('sends each reminder once per due date and holds them while snoozed', () => {
+    const offsets = [-24, 0, 72];
+    const issue = { dueDate: new Date('2024-06-30T12:00:00Z') };
+    const at = (time) => ({ now: new Date(time), offsets });
+
+    expect(planReminder(issue, undefined, at('2024-06-29T06:00:00Z'))).toBeNull();
+    expect(planReminder(issue, undefined, at('2024-06-29T13:00:00Z'))).toEqual({ offsetHours: -24, overdue: false });
+
+    const sent = { dueDate: issue.dueDate, offsetHours: -24, snoozedUntil: null };
+    expect(planReminder(issue, sent, at('2024-06-30T06:00:00Z'))).toBeNull();
+    expect(planReminder(issue, sent, at('2024-06-30T12:30:00Z'))).toEqual({ offsetHours: 0, overdue: true });
+    // a new due date starts over
+    expect(planReminder({ dueDate: new Date('2024-06-30T18:00:00Z') }, sent, at('2024-06-30T06:00:00Z'))).toEqual({ offsetHours: -24, overdue: false });
+    // missed by more than a day
+    expect(planReminder(issue, sent, at('2024-07-02T00:00:00Z'))).toBeNull();
+
+    const snoozed = { ...sent, snoozedUntil: new Date('2024-07-02T00:00:00Z') };
+    expect(planReminder(issue, snoozed, at('2024-07-01T00:00:00Z'))).toBeNull();
+    expect(planReminder(issue, snoozed, at('2024-07-02T00:15:00Z'))).toEqual({ offsetHours: 0, overdue: true });
+  });
+});
@@ -0,0 +1,83 @@
+const { Readable, PassThrough } = require('stream');
+const { detectFileType, checkFileType, getAllowedUploadTypes, DEFAULT_ALLOWED_TYPES } = require('../src/utils/fileType');
+const { sniffedStorage } = require('../src/middleware/sniffedStorage');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+const MP4 = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypisom')]);
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+
+describe('fileType', () => {
+  const originalAllowed = process.env.UPLOAD_ALLOWED_TYPES;
+  afterEach(() => {
+    if (originalAllowed === undefined) delete process.env.UPLOAD_ALLOWED_TYPES;
+    else process.env.UPLOAD_ALLOWED_TYPES = originalAllowed;
+  });
+
+  it('recognises files by content and uses the extension only within zip and text families', () => {
+    expect(detectFileType(PNG, 'photo.jpg')).toBe('image/png');
+    expect(detectFileType(MP4, 'demo.mp4')).toBe('video/mp4');
+    expect(detectFileType(ZIP, 'report.docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(detectFileType(Buffer.from('\uFEFFkey,title\r\nKW-1,Fix'), 'issues.csv')).toBe('text/csv');
+    expect(detectFileType(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]), 'setup.png')).toBeNull();
+  });
+
+  it('refuses disallowed types and extensions that do not match the content', () => {
+    expect(checkFileType(PNG, 'photo.png')).toEqual({ mimeType: 'image/png' });
+    expect(checkFileType(PNG, 'photo.jpg').error).toMatch(/extension does not match/);
+    expect(checkFileType(Buffer.from('#!/bin/sh\nrm -rf /'), 'script.sh').error).toMatch(/extension does not match/);
+    expect(checkFileType(Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'tool.exe').error).toMatch(/not recognised/);
+
+    process.env.UPLOAD_ALLOWED_TYPES = 'image/png, application/pdf';
+    expect(getAllowedUploadTypes()).toEqual(['image/png', 'application/pdf']);
+    expect(checkFileType(MP4, 'demo.mp4').error).toMatch(/video\/mp4 files are not allowed/);
+    delete process.env.UPLOAD_ALLOWED_TYPES;
+    expect(getAllowedUploadTypes()).toBe(DEFAULT_ALLOWED_TYPES);
+  });
+
+  it('passes the whole file on to the storage with the sniffed type', (done) => {
+    const stored = [];
+    const inner = {
+      _handleFile(req, file, cb) {
+        const chunks = [];
+        file.stream.on('data', chunk => chunks.push(chunk));
+        file.stream.on('end', () => {
+          stored.push({ mimetype: file.mimetype, content: Buffer.concat(chunks) });
+          cb(null, { size: Buffer.concat(chunks).length });
+        });
+      },
+    };
+    const content = Buffer.concat([PNG, Buffer.alloc(10000, 1)]);
+    const file = { originalname: 'shot.png', mimetype: 'application/octet-stream', stream: Readable.from([content.subarray(0, 3000), content.subarray(3000)]) };
+
+    sniffedStorage(inner, () => ['image/png'])._handleFile({}, file, (err, info) => {
+      expect(err).toBeNull();
+      expect(info.size).toBe(content.length);
+      expect(stored[0].mimetype).toBe('image/png');
+      expect(stored[0].content.equals(content)).toBe(true);
+
+      const fake = { originalname: 'fake.png', stream: Readable.from([Buffer.from('not an image')]) };
+      sniffedStorage(inner, () => ['image/png'])._handleFile({}, fake, (error) => {
+        expect(error.code).toBe('UNSUPPORTED_FILE_TYPE');
+        done();
+      });
+    });
+  });
+
+  it('fails the stored stream when the upload is aborted after the sniffed bytes', (done) => {
+    const inner = {
+      _handleFile(req, file, cb) {
+        file.stream.on('error', err => cb(err));
+        file.stream.resume();
+      },
+    };
+    const source = new PassThrough();
+    const file = { originalname: 'shot.png', stream: source };
+
+    sniffedStorage(inner, () => ['image/png'])._handleFile({}, file, (err) => {
+      expect(err.message).toBe('aborted');
+      done();
+    });
+    source.write(Buffer.concat([PNG, Buffer.alloc(5000, 1)]));
+    setImmediate(() => source.destroy(new Error('aborted')));
+  });
+});
@@ -0,0 +1,64 @@
+const { PassThrough } = require('stream');
+const { EXPORT_COLUMNS, formatRow, streamIssueExport } = require('../src/services/IssueExportService');
+
+describe('IssueExportService', () => {
+  it('quotes CSV cells and keeps formulas as text', () => {
+    const row = { key: 'KW-1', title: '=SUM(A1:A3)', labels: ['ui', 'bug'], description: 'Line one\n"two"' };
+    expect(formatRow('csv', ['key', 'title', 'labels', 'description'], row))
+      .toBe('KW-1,\'=SUM(A1:A3),"ui, bug","Line one\n""two"""\r\n');
+  });
+
+  it('guards formulas in label lists but not negative numbers', () => {
+    expect(formatRow('csv', ['labels', 'storyPoints'], { labels: ['=HYPERLINK("x")', 'ui'], storyPoints: -1 }))
+      .toBe('"\'=HYPERLINK(""x""), ui",-1\r\n');
+  });
+
+  it('escapes pipes and line breaks in Markdown cells', () => {
+    expect(formatRow('md', ['key', 'title'], { key: 'KW-1', title: 'a | b\nc' })).toBe('| KW-1 | a \\| b<br>c |\n');
+  });
+
+  it('streams rows as they are read and closes the cursor', async () => {
+    const issues = [
+      { key: 'KW-1', title: 'First', labels: [], createdAt: new Date('2024-01-01T00:00:00Z') },
+      { key: 'KW-2', title: 'Second', labels: ['ui'], customFields: { env: 'prod' } },
+    ];
+    const cursor = {
+      closed: false,
+      async *[Symbol.asyncIterator]() { yield* issues; },
+      async close() { this.closed = true; },
+    };
+    const res = new PassThrough();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk.toString()));
+
+    const count = await streamIssueExport(cursor, res, {
+      format: 'ndjson',
+      project: { name: 'Web', customFields: [{ key: 'env', type: 'text' }] },
+    });
+
+    const lines = chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    expect(count).toBe(2);
+    expect(cursor.closed).toBe(true);
+    expect(Object.keys(lines[0])).toEqual([...EXPORT_COLUMNS, 'cf.env']);
+    expect(lines[0]).toMatchObject({ key: 'KW-1', project: 'Web', createdAt: '2024-01-01T00:00:00.000Z', 'cf.env': null });
+    expect(lines[1]).toMatchObject({ key: 'KW-2', labels: ['ui'], 'cf.env': 'prod' });
+  });
+
+  it('leaves no listeners behind while waiting for the client', async () => {
+    const issues = Array.from({ length: 5 }, (_, index) => ({ key: `KW-${index + 1}`, title: 'x'.repeat(64), labels: [] }));
+    const cursor = { async *[Symbol.asyncIterator]() { yield* issues; }, async close() {} };
+    const res = new PassThrough({ highWaterMark: 16 });
+    // read asynchronously so that writes fill the buffer and the export has to wait
+    res.on('readable', () => { while (res.read() !== null); });
+    const listeners = {};
+    const end = res.end.bind(res);
+    res.end = () => {
+      listeners.drain = res.listenerCount('drain');
+      listeners.close = res.listenerCount('close');
+      return end();
+    };
+
+    expect(await streamIssueExport(cursor, res, { format: 'csv', project: { name: 'Web' } })).toBe(5);
+    expect(listeners).toEqual({ drain: 0, close: 0 });
+  });
+});
@@ -0,0 +1,69 @@
+const Issue = require('../src/models/Issue');
+const Project = require('../src/models/Project');
+const { buildIssueTree } = require('../src/services/IssueHierarchyService');
+
+describe('IssueHierarchyService', () => {
+  const opsProject = {
+    _id: 'ops',
+    workflow: {
+      statuses: [
+        { key: 'open', name: 'Open', category: 'todo' },
+        { key: 'shipped', name: 'Shipped', category: 'done' },
+      ],
+      transitions: [],
+    },
+  };
+  const epic = { _id: 'E', key: 'WEB-1', type: 'epic', status: 'in_progress', projectId: 'web' };
+  const issues = [
+    { _id: 'S1', key: 'WEB-2', type: 'story', status: 'done', storyPoints: 5, timeSpent: 60, projectId: 'web', epicId: 'E', parentTaskId: null },
+    { _id: 'S2', key: 'WEB-3', type: 'story', status: 'in_progress', storyPoints: 3, timeSpent: 30, projectId: 'web', epicId: 'E', parentTaskId: null },
+    // a subtask hangs under its parent story, not under the epic
+    { _id: 'T1', key: 'WEB-4', type: 'subtask', status: 'done', projectId: 'web', epicId: 'E', parentTaskId: 'S2' },
+    // done under its own project's workflow
+    { _id: 'S3', key: 'OPS-1', type: 'story', status: 'shipped', storyPoints: 2, projectId: 'ops', epicId: 'E', parentTaskId: null },
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Issue, 'find').mockImplementation((filter) => {
+      const [byParent, byEpic] = filter.$or;
+      const children = issues.filter(issue => byParent.parentTaskId.$in.includes(issue.parentTaskId)
+        || (byEpic.epicId.$in.includes(issue.epicId) && issue.parentTaskId === null));
+      return { sort: async () => children };
+    });
+    jest.spyOn(Project, 'find').mockResolvedValue([{ _id: 'web', workflow: null }, opsProject]);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rolls up counts, points and percent done over the whole tree', async () => {
+    const tree = await buildIssueTree(epic);
+
+    expect(tree.children.map(child => child.key)).toEqual(['WEB-2', 'WEB-3', 'OPS-1']);
+    expect(tree.children[1].children.map(child => child.key)).toEqual(['WEB-4']);
+    expect(tree.rollup).toEqual({
+      issueCount: 5,
+      storyPoints: 10,
+      doneStoryPoints: 7,
+      timeSpent: 90,
+      statusCounts: { in_progress: 2, done: 2, shipped: 1 },
+      categoryCounts: { backlog: 0, todo: 0, in_progress: 2, done: 3 },
+      percentDone: 60,
+      pointsPercentDone: 70,
+    });
+  });
+
+  it('rolls up each subtree on its own and leaves points percent empty without estimates', async () => {
+    const tree = await buildIssueTree(epic);
+    const [, story, opsStory] = tree.children;
+
+    expect(story.rollup).toMatchObject({ issueCount: 2, storyPoints: 3, doneStoryPoints: 0, percentDone: 50, pointsPercentDone: 0 });
+    expect(story.children[0].rollup).toMatchObject({ issueCount: 1, storyPoints: 0, percentDone: 100, pointsPercentDone: null });
+    expect(opsStory.statusCategory).toBe('done');
+    expect(opsStory.rollup.categoryCounts).toEqual({ backlog: 0, todo: 0, in_progress: 0, done: 1 });
+  });
+
+  it('stops at the depth limit', async () => {
+    const tree = await buildIssueTree(epic, 1);
+    expect(tree.rollup.issueCount).toBe(4);
+    expect(tree.children[1].children).toEqual([]);
+  });
+});
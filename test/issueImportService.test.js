@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Project = require('../src/models/Project');
+const { parseColumnMapping, mapRow, planImport, describeImport } = require('../src/services/IssueImportService');
+
+jest.mock('../src/services/EmployeeFetchService', () => ({
+  getEmployeeById: async () => ({ data: { user: { first_name: 'Jane' } } }),
+}));
+
+describe('IssueImportService', () => {
+  it('accepts a JSON column mapping and rejects unknown fields', () => {
+    expect(parseColumnMapping('{"Summary": "title", "Parent ID": "parentTaskId", "Notes": null}'))
+      .toEqual({ mapping: { Summary: 'title', 'Parent ID': 'parentTaskId', Notes: null } });
+    expect(parseColumnMapping(undefined)).toEqual({ mapping: {} });
+    expect(parseColumnMapping('{"Summary": "headline"}').error.message).toMatch(/Unknown import fields: headline/);
+    expect(parseColumnMapping('[1, 2]').error.status).toBe(400);
+  });
+
+  it('maps columns to fields and reports the ignored ones', () => {
+    const row = {
+      Summary: ' Fix login ',
+      parentTaskId: '#3',
+      'cf.env': 'prod',
+      title: "'=1+1",
+      assignee: 'Jane Doe',
+      Notes: 'skip me',
+    };
+    const { values, ignored } = mapRow(row, { Summary: 'description', Notes: null });
+    expect(values).toEqual({ description: 'Fix login', parent: '#3', 'cf.env': 'prod', title: '=1+1' });
+    expect(ignored).toEqual(['assignee', 'Notes']);
+  });
+
+  describe('planImport', () => {
+    const project = { _id: new mongoose.Types.ObjectId(), name: 'Web', customFields: [] };
+    const assigneeId = new mongoose.Types.ObjectId().toString();
+    const reporterId = new mongoose.Types.ObjectId().toString();
+    const newRow = (fields) => ({ title: 'Task', description: 'Details', type: 'task', assigneeId, reporterId, ...fields });
+
+    beforeEach(() => {
+      jest.spyOn(Project, 'findById').mockImplementation(async (id) => (project._id.equals(id) ? project : null));
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    it('reports the errors of each row against its spreadsheet row number', async () => {
+      const plan = await planImport([
+        newRow({ title: '' }),
+        newRow({ type: 'chore', priority: 'urgent', storyPoints: '-2' }),
+        newRow({ projectId: new mongoose.Types.ObjectId().toString() }),
+        newRow({ assigneeId: reporterId }),
+      ], { projectId: project._id.toString() });
+
+      const { summary, rows } = describeImport(plan);
+      expect(summary).toEqual({ rows: 4, create: 0, update: 0, errors: 4 });
+      expect(rows.map(row => row.row)).toEqual([2, 3, 4, 5]);
+      expect(rows[0].errors).toEqual(['title is required']);
+      expect(rows[1].errors).toEqual([
+        expect.stringMatching(/^type must be one of/),
+        expect.stringMatching(/^priority must be one of/),
+        'storyPoints must be a positive number',
+      ]);
+      expect(rows[2].errors).toEqual([expect.stringMatching(/^Project .* not found$/)]);
+      expect(rows[3].errors).toEqual(['Assignee and reporter cannot be the same']);
+    });
+
+    it('links rows to other rows of the file with #<row>, also further down', async () => {
+      const plan = await planImport([
+        newRow({ title: 'Child', parent: '#4' }),
+        newRow({ title: 'Sibling', parent: '#4', epic: '#4' }),
+        newRow({ title: 'Story', type: 'story' }),
+        newRow({ title: 'Lost', parent: '#40' }),
+      ], { projectId: project._id.toString() });
+
+      const [child, sibling, story, lost] = plan.entries;
+      expect(child.errors).toEqual([]);
+      expect(child.links.parentTaskId).toBe(story.id);
+      expect(sibling.errors).toEqual([]);
+      expect(sibling.links).toEqual({ parentTaskId: story.id, epicId: story.id });
+      expect(lost.errors).toEqual(['parent: row 40 is not an issue of this file']);
+
+      const selfPlan = await planImport([newRow({ parent: '#2' })], { projectId: project._id.toString() });
+      expect(selfPlan.entries[0].errors).toEqual(['parent: an issue cannot be its own parent']);
+    });
+
+    it('refuses parent references that go round in a cycle', async () => {
+      const plan = await planImport([
+        newRow({ title: 'A', parent: '#3' }),
+        newRow({ title: 'B', parent: '#4' }),
+        newRow({ title: 'C', parent: '#2' }),
+        newRow({ title: 'D' }),
+      ], { projectId: project._id.toString() });
+
+      expect(plan.entries.map(entry => entry.errors)).toEqual([
+        ['parent and epic references form a cycle'],
+        ['parent and epic references form a cycle'],
+        ['parent and epic references form a cycle'],
+        [],
+      ]);
+    });
+  });
+});
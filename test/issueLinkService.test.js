@@ -0,0 +1,95 @@
+const IssueLink = require('../src/models/IssueLink');
+const Issue = require('../src/models/Issue');
+const Project = require('../src/models/Project');
+const { DEFAULT_WORKFLOW } = require('../src/services/WorkflowService');
+const { normalizeLink, findCycle, getOpenBlockers, checkBlockersForStatus } = require('../src/services/IssueLinkService');
+
+describe('IssueLinkService', () => {
+  // stored links, read through IssueLink.find by the service
+  let links = [];
+  const link = (type, sourceIssueId, targetIssueId) => ({ type, sourceIssueId, targetIssueId });
+
+  beforeEach(() => {
+    jest.spyOn(IssueLink, 'find').mockImplementation(async (filter) => links.filter(item => item.type === filter.type
+      && (!filter.sourceIssueId || filter.sourceIssueId.$in.includes(item.sourceIssueId))
+      && (!filter.targetIssueId || item.targetIssueId === filter.targetIssueId)));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('findCycle', () => {
+    beforeEach(() => {
+      links = [link('blocks', 'A', 'B'), link('blocks', 'B', 'C'), link('relates_to', 'C', 'A')];
+    });
+
+    it('returns the existing path when the new link would close a loop', async () => {
+      expect(await findCycle('blocks', 'C', 'A')).toEqual(['A', 'B', 'C']);
+      expect(await findCycle('blocks', 'A', 'C')).toBeNull();
+      // only links of the same type count
+      expect(await findCycle('duplicates', 'C', 'A')).toBeNull();
+      expect(await findCycle('relates_to', 'A', 'C')).toBeNull();
+    });
+
+    it('finds the loop when the link is added from the blocked side', async () => {
+      const { type, sourceIssueId, targetIssueId } = normalizeLink('is_blocked_by', 'A', 'C');
+      expect({ sourceIssueId, targetIssueId }).toEqual({ sourceIssueId: 'C', targetIssueId: 'A' });
+      expect(await findCycle(type, sourceIssueId, targetIssueId)).toEqual(['A', 'B', 'C']);
+      expect(await findCycle(...Object.values(normalizeLink('is_blocked_by', 'C', 'A')))).toBeNull();
+    });
+  });
+
+  describe('blockers', () => {
+    const webProject = { _id: 'web', workflow: null };
+    const opsProject = {
+      _id: 'ops',
+      workflow: {
+        statuses: [
+          { key: 'open', name: 'Open', category: 'todo' },
+          { key: 'working', name: 'Working', category: 'in_progress' },
+          { key: 'shipped', name: 'Shipped', category: 'done' },
+        ],
+        transitions: [],
+      },
+    };
+    const blockers = [
+      { _id: 'B1', key: 'WEB-1', title: 'API', status: 'in_progress', projectId: 'web' },
+      { _id: 'B2', key: 'WEB-2', title: 'Schema', status: 'done', projectId: 'web' },
+      { _id: 'B3', key: 'OPS-1', title: 'Deploy', status: 'shipped', projectId: 'ops' },
+      { _id: 'B4', key: 'OPS-2', title: 'DNS', status: 'working', projectId: 'ops' },
+    ];
+    let issueFilter;
+
+    beforeEach(() => {
+      links = blockers.map(blocker => link('blocks', blocker._id, 'X'));
+      jest.spyOn(Issue, 'find').mockImplementation(async (filter) => {
+        issueFilter = filter;
+        return blockers;
+      });
+      jest.spyOn(Project, 'find').mockResolvedValue([webProject, opsProject]);
+    });
+
+    it('lists blockers that are not done under their own project workflow', async () => {
+      const open = await getOpenBlockers('X');
+      expect(open.map(blocker => blocker.key)).toEqual(['WEB-1', 'OPS-2']);
+      expect(open[0]).toEqual({ issueId: 'B1', key: 'WEB-1', title: 'API', status: 'in_progress' });
+      expect(issueFilter).toEqual({ _id: { $in: ['B1', 'B2', 'B3', 'B4'] }, isDeleted: false });
+
+      links = [];
+      expect(await getOpenBlockers('X')).toEqual([]);
+    });
+
+    it('refuses closing a blocked issue unless forced', async () => {
+      const issue = { _id: 'X', status: 'in_progress' };
+      const refused = await checkBlockersForStatus(issue, DEFAULT_WORKFLOW, 'done');
+      expect(refused.refused).toBe(true);
+      expect(refused.blockers.map(blocker => blocker.key)).toEqual(['WEB-1', 'OPS-2']);
+
+      const forced = await checkBlockersForStatus(issue, DEFAULT_WORKFLOW, 'done', true);
+      expect(forced).toEqual({ blockers: refused.blockers, refused: false });
+
+      // moves that don't close the issue don't look at blockers
+      expect(await checkBlockersForStatus(issue, DEFAULT_WORKFLOW, 'in_review')).toEqual({ blockers: [], refused: false });
+      expect(await checkBlockersForStatus({ _id: 'X', status: 'done' }, DEFAULT_WORKFLOW, 'done')).toEqual({ blockers: [], refused: false });
+      expect(Issue.find).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Issue = require('../src/models/Issue');
+const Project = require('../src/models/Project');
+const Label = require('../src/models/Label');
+const IssueHistory = require('../src/models/IssueHistory');
+const { fillPlaceholders, validateTemplateDefinition, createIssuesFromTemplate } = require('../src/services/IssueTemplateService');
+
+jest.mock('../src/services/EmployeeFetchService', () => ({
+  getEmployeeById: async () => ({ data: { user: { first_name: 'Jane' } } }),
+}));
+
+describe('IssueTemplateService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fills known placeholders and leaves unknown ones', () => {
+    expect(fillPlaceholders('Landing page: {{ page }} ({{client}})', { page: 'Pricing' }))
+      .toBe('Landing page: Pricing ({{client}})');
+  });
+
+  it('keeps empty text as it is', () => {
+    expect(fillPlaceholders('', { page: 'Pricing' })).toBe('');
+    expect(fillPlaceholders(undefined)).toBeUndefined();
+  });
+
+  describe('validateTemplateDefinition', () => {
+    const project = {
+      _id: 'p1',
+      restrictLabels: true,
+      customFields: [{ key: 'env', name: 'Environment', type: 'select', options: ['prod', 'staging'], required: true }],
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Label, 'find').mockResolvedValue([{ normalizedName: 'ui', name: 'UI' }]);
+    });
+
+    it('accepts a valid definition and leaves required custom fields for later', async () => {
+      expect(await validateTemplateDefinition(project, {
+        issue: { type: 'story', labels: ['ui'], customFields: {} },
+        subtasks: [{ title: 'Design', labels: ['UI'] }],
+      })).toEqual([]);
+    });
+
+    it('lists every problem once', async () => {
+      const errors = await validateTemplateDefinition(project, {
+        issue: { type: 'subtask', labels: ['backend'], customFields: { env: 'dev' } },
+        subtasks: [{ title: ' ' }, null, { title: 'Build', labels: ['backend'] }],
+      });
+      expect(errors).toEqual([
+        'A subtask template cannot have subtasks',
+        'subtasks[0].title is required',
+        'subtasks[1].title is required',
+        "Labels not in the project's label catalog: backend",
+        "Custom field 'Environment' must be one of prod, staging",
+      ]);
+    });
+  });
+
+  describe('createIssuesFromTemplate', () => {
+    const project = { _id: new mongoose.Types.ObjectId(), key: 'KW', customFields: [] };
+    const template = {
+      issue: { title: 'Launch {{page}}', description: 'Ship the {{page}} page', type: 'story', labels: ['web'] },
+      subtasks: [{ title: 'Design {{page}}' }, { title: 'Build {{page}}', description: 'Code it' }],
+    };
+    const options = {
+      assigneeId: new mongoose.Types.ObjectId().toString(),
+      reporterId: new mongoose.Types.ObjectId().toString(),
+      variables: { page: 'Pricing' },
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Issue, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Project, 'exists').mockResolvedValue(null);
+      jest.spyOn(Project, 'findOneAndUpdate').mockResolvedValue({ issueCounter: 7 });
+      jest.spyOn(IssueHistory, 'insertMany').mockResolvedValue([]);
+      jest.spyOn(Issue, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    it('creates the parent and its subtasks with consecutive keys', async () => {
+      jest.spyOn(Issue, 'insertMany').mockImplementation(async (docs) => docs);
+
+      const { parent, subtasks } = await createIssuesFromTemplate(template, project, options);
+      expect(parent).toMatchObject({ key: 'KW-5', title: 'Launch Pricing', description: 'Ship the Pricing page', labels: ['web'] });
+      expect(subtasks.map(subtask => [subtask.key, subtask.title, subtask.description])).toEqual([
+        ['KW-6', 'Design Pricing', 'Launch Pricing'],
+        ['KW-7', 'Build Pricing', 'Code it'],
+      ]);
+      subtasks.forEach(subtask => {
+        expect(subtask.parentTaskId).toBe(parent._id);
+        expect(subtask).toMatchObject({ type: 'subtask', assigneeId: options.assigneeId, reporterId: options.reporterId });
+      });
+      expect(IssueHistory.insertMany.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    it('removes the issues already inserted when one insert fails', async () => {
+      const failure = new Error('duplicate key');
+      jest.spyOn(Issue, 'insertMany').mockRejectedValue(failure);
+
+      await expect(createIssuesFromTemplate(template, project, options)).rejects.toBe(failure);
+      const insertedIds = Issue.insertMany.mock.calls[0][0].map(doc => doc._id);
+      expect(insertedIds).toHaveLength(3);
+      expect(Issue.deleteMany).toHaveBeenCalledWith({ _id: { $in: insertedIds } });
+      expect(IssueHistory.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('refuses before writing when the template needs a title', async () => {
+      jest.spyOn(Issue, 'insertMany');
+      const result = await createIssuesFromTemplate({ ...template, issue: { ...template.issue, title: '' } }, project, options);
+      expect(result.error).toEqual({ status: 400, message: 'A title is required because the template has none' });
+      expect(Issue.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
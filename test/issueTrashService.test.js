@@ -0,0 +1,24 @@
+const { getPurgeDate, getRetentionDays, DEFAULT_RETENTION_DAYS } = require('../src/services/IssueTrashService');
+
+describe('IssueTrashService', () => {
+  const originalRetention = process.env.TRASH_RETENTION_DAYS;
+  afterEach(() => {
+    if (originalRetention === undefined) delete process.env.TRASH_RETENTION_DAYS;
+    else process.env.TRASH_RETENTION_DAYS = originalRetention;
+  });
+
+  it('retention falls back to the default for missing or invalid values', () => {
+    delete process.env.TRASH_RETENTION_DAYS;
+    expect(getRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+    process.env.TRASH_RETENTION_DAYS = '0';
+    expect(getRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+    process.env.TRASH_RETENTION_DAYS = '7';
+    expect(getRetentionDays()).toBe(7);
+  });
+
+  it('purge date counts from deletedAt, or updatedAt for older deletions', () => {
+    const deletedAt = new Date('2024-03-01T00:00:00Z');
+    expect(getPurgeDate({ deletedAt }, 10).toISOString()).toBe('2024-03-11T00:00:00.000Z');
+    expect(getPurgeDate({ deletedAt: null, updatedAt: deletedAt }, 1).toISOString()).toBe('2024-03-02T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,57 @@
+const { parseSprint, recordsFromCsvRows, recordsFromJson } = require('../src/services/JiraExportParser');
+const { parseJiraMapping } = require('../src/services/JiraImportService');
+
+describe('JiraExportParser', () => {
+  it('reads sprints from Jira Server strings and Jira Cloud objects', () => {
+    expect(parseSprint('com.atlassian.greenhopper.service.sprint.Sprint@1f[id=3,rapidViewId=1,state=CLOSED,name=Sprint 1, part 2,startDate=2024-01-01T09:00:00.000Z,endDate=<null>,completeDate=<null>]'))
+      .toEqual({ name: 'Sprint 1, part 2', state: 'closed', startDate: new Date('2024-01-01T09:00:00.000Z'), endDate: null, completeDate: null });
+    expect(parseSprint({ id: 4, name: 'Sprint 2', state: 'active', startDate: '2024-01-15T09:00:00.000Z' }).state).toBe('active');
+    expect(parseSprint('Sprint 3').name).toBe('Sprint 3');
+  });
+
+  it('keeps every value of repeated CSV columns', () => {
+    const header = ['\uFEFFSummary', 'Issue key', 'Issue id', 'Issue Type', 'Labels', 'Labels', 'Sprint', 'Sprint', 'Comment', 'Parent id'];
+    const [record] = recordsFromCsvRows(header, [
+      ['Fix login', 'WEB-12', '10012', 'Sub-task', 'auth', '', 'Sprint 1', 'Sprint 2', 'Looks good', '10003'],
+    ]);
+    expect(record).toMatchObject({
+      key: 'WEB-12',
+      summary: 'Fix login',
+      subtask: true,
+      labels: ['auth'],
+      parentId: '10003',
+      comments: 1,
+    });
+    expect(record.sprints.map(sprint => sprint.name)).toEqual(['Sprint 1', 'Sprint 2']);
+  });
+
+  it('finds custom fields of a JSON export through their names', () => {
+    const [record] = recordsFromJson({
+      names: { customfield_10020: 'Sprint', customfield_10016: 'Story point estimate' },
+      issues: [{
+        id: '10012',
+        key: 'WEB-12',
+        fields: {
+          summary: 'Fix login',
+          description: { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Steps' }] }] },
+          status: { name: 'Code Review', statusCategory: { key: 'indeterminate' } },
+          parent: { key: 'WEB-1' },
+          customfield_10020: [{ name: 'Sprint 2', state: 'active' }],
+          customfield_10016: 3,
+        },
+      }],
+    });
+    expect(record).toMatchObject({ description: 'Steps', statusCategory: 'in_progress', parentKey: 'WEB-1', storyPoints: 3 });
+    expect(record.sprints[0].name).toBe('Sprint 2');
+  });
+
+  it('validates the mapping against our statuses, priorities and types', () => {
+    const { mapping } = parseJiraMapping('{"statuses": {"Code Review": "in_review"}, "priorities": {"P1": "high"}}');
+    expect(mapping.statuses).toEqual({ 'code review': 'in_review' });
+    expect(mapping.priorities).toEqual({ p1: { priority: 'high' } });
+
+    const { error } = parseJiraMapping({ statuses: { QA: 'qa' }, issueTypes: { Spike: 'spike' }, users: { jane: 'nobody' } });
+    expect(error.status).toBe(400);
+    expect(error.errors).toHaveLength(3);
+  });
+});
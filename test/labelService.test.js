@@ -0,0 +1,34 @@
+const { parseLabelList, checkIssueLabels } = require('../src/services/LabelService');
+
+describe('LabelService', () => {
+  const catalog = new Map([['frontend', 'Frontend'], ['api', 'API']]);
+
+  it('parses comma-separated and array labels without blanks or duplicates', () => {
+    expect(parseLabelList(' ui, api,,ui ')).toEqual(['ui', 'api']);
+    expect(parseLabelList(['ui', ' ui', 'api'])).toEqual(['ui', 'api']);
+    expect(parseLabelList(undefined)).toEqual([]);
+  });
+
+  it('accepts any label when the project does not restrict labels', async () => {
+    await expect(checkIssueLabels({ restrictLabels: false }, ['whatever'], { catalog }))
+      .resolves.toEqual({ labels: ['whatever'] });
+  });
+
+  it('uses the catalog spelling and rejects unknown labels', async () => {
+    const project = { _id: 'p1', restrictLabels: true };
+
+    await expect(checkIssueLabels(project, ['frontend', 'Api'], { catalog }))
+      .resolves.toEqual({ labels: ['Frontend', 'API'] });
+
+    const { error } = await checkIssueLabels(project, ['frontend', 'front-end'], { catalog });
+    expect(error.status).toBe(400);
+    expect(error.unknownLabels).toEqual(['front-end']);
+  });
+
+  it('keeps labels the issue already has', async () => {
+    const project = { _id: 'p1', restrictLabels: true };
+
+    await expect(checkIssueLabels(project, ['legacy', 'api'], { catalog, existing: ['legacy'] }))
+      .resolves.toEqual({ labels: ['legacy', 'API'] });
+  });
+});
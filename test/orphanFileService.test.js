@@ -0,0 +1,39 @@
+const { findOrphans, getGraceHours, DEFAULT_GRACE_HOURS } = require('../src/services/OrphanFileService');
+
+describe('OrphanFileService', () => {
+  const originalGrace = process.env.ORPHAN_FILE_GRACE_HOURS;
+  afterEach(() => {
+    if (originalGrace === undefined) delete process.env.ORPHAN_FILE_GRACE_HOURS;
+    else process.env.ORPHAN_FILE_GRACE_HOURS = originalGrace;
+  });
+
+  it('grace period falls back to the default for missing or invalid values', () => {
+    delete process.env.ORPHAN_FILE_GRACE_HOURS;
+    expect(getGraceHours()).toBe(DEFAULT_GRACE_HOURS);
+    process.env.ORPHAN_FILE_GRACE_HOURS = 'soon';
+    expect(getGraceHours()).toBe(DEFAULT_GRACE_HOURS);
+    process.env.ORPHAN_FILE_GRACE_HOURS = '48';
+    expect(getGraceHours()).toBe(48);
+  });
+
+  it('only unreferenced files past the grace period are orphans', () => {
+    const now = new Date('2024-05-10T12:00:00Z');
+    const old = new Date('2024-05-08T12:00:00Z');
+    const files = [
+      { storage: 'local', key: 'attachments-1754380564854.docx', modifiedAt: old },
+      { storage: 'local', key: 'attachments/u1/spec_1.pdf', modifiedAt: old },
+      { storage: 's3', key: 'thumbnails/i1/a1.webp', modifiedAt: old },
+      { storage: 's3', key: 'attachments/u1/spec_1.pdf', modifiedAt: old },
+      { storage: 'local', key: '770f59963ed954a1883d2cefe00c251f', modifiedAt: new Date('2024-05-10T11:00:00Z') },
+    ];
+    const referenced = new Set(['local:attachments/u1/spec_1.pdf', 's3:thumbnails/i1/a1.webp']);
+
+    const { orphans, recent } = findOrphans(files, referenced, { now, graceHours: 24 });
+    // the same key in the other storage is a different file
+    expect(orphans.map(file => `${file.storage}:${file.key}`)).toEqual([
+      'local:attachments-1754380564854.docx',
+      's3:attachments/u1/spec_1.pdf',
+    ]);
+    expect(recent.map(file => file.key)).toEqual(['770f59963ed954a1883d2cefe00c251f']);
+  });
+});
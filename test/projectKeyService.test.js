@@ -0,0 +1,104 @@
+const Project = require('../src/models/Project');
+const Issue = require('../src/models/Issue');
+const {
+  suggestProjectKey,
+  ensureProjectKey,
+  allocateIssueKeys,
+  findIssueByKey,
+} = require('../src/services/ProjectKeyService');
+
+describe('ProjectKeyService', () => {
+  // keys other projects use now or used before
+  let takenKeys;
+
+  beforeEach(() => {
+    takenKeys = new Set();
+    jest.spyOn(Project, 'exists').mockImplementation(async (filter) => (filter.$or ? takenKeys.has(filter.$or[0].key) : null));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('suggests initials or the first letters of the name and appends a number while taken', async () => {
+    expect(await suggestProjectKey('Klizo Web')).toBe('KW');
+    expect(await suggestProjectKey('Payroll')).toBe('PAY');
+    expect(await suggestProjectKey('42 things')).toBe('P4T');
+    expect(await suggestProjectKey('A')).toBe('AX');
+    expect(await suggestProjectKey('')).toBe('PRJ');
+
+    takenKeys = new Set(['PAY', 'PAY2']);
+    expect(await suggestProjectKey('Payroll')).toBe('PAY3');
+  });
+
+  describe('ensureProjectKey', () => {
+    const project = { _id: 'p1', name: 'Pay-roll' };
+    let assigned;
+
+    beforeEach(() => {
+      assigned = null;
+      jest.spyOn(Project, 'updateOne').mockImplementation(async (filter, update) => {
+        assigned = update.$set.key;
+        return { modifiedCount: 1 };
+      });
+      jest.spyOn(Project, 'findById').mockImplementation(async () => ({ ...project, key: assigned }));
+      jest.spyOn(Issue, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    });
+
+    it('keeps the prefix legacy issues already carry when it is free', async () => {
+      expect((await ensureProjectKey(project)).key).toBe('PAY');
+      expect(Issue.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('picks another key and rewrites the issue keys when the legacy prefix is taken', async () => {
+      takenKeys = new Set(['PAY']);
+      // the suggestion uses the initials of "Pay-roll"
+      expect((await ensureProjectKey(project)).key).toBe('PR');
+      expect(Issue.updateMany).toHaveBeenCalledTimes(1);
+      expect(Issue.updateMany.mock.calls[0][0]).toMatchObject({ projectId: 'p1' });
+    });
+
+    it('leaves projects that have a key alone', async () => {
+      const keyed = { ...project, key: 'PR' };
+      expect(await ensureProjectKey(keyed)).toBe(keyed);
+      expect(Project.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  it('allocates consecutive keys from one counter increment', async () => {
+    jest.spyOn(Project, 'findOneAndUpdate').mockResolvedValue({ issueCounter: 12 });
+
+    expect(await allocateIssueKeys({ _id: 'p1', key: 'KW' }, 3)).toEqual([
+      { issueNumber: 10, key: 'KW-10' },
+      { issueNumber: 11, key: 'KW-11' },
+      { issueNumber: 12, key: 'KW-12' },
+    ]);
+    expect(Project.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { issueCounter: 3 } });
+  });
+
+  describe('findIssueByKey', () => {
+    let current;
+    const imported = { _id: 'i2', key: 'WEB-7', keyAliases: ['KW-1'] };
+    const renamed = { _id: 'i3', projectId: 'p2', issueNumber: 4 };
+
+    beforeEach(() => {
+      current = { _id: 'i1', key: 'KW-1' };
+      jest.spyOn(Issue, 'findOne').mockImplementation(async (filter) => {
+        if (filter.key) return [current].find(issue => issue.key === filter.key) || null;
+        if (filter.keyAliases) return [imported].find(issue => issue.keyAliases.includes(filter.keyAliases)) || null;
+        return filter.projectId === renamed.projectId && filter.issueNumber === renamed.issueNumber ? renamed : null;
+      });
+      jest.spyOn(Project, 'findOne').mockImplementation(async (filter) => (filter.previousKeys === 'OLD' ? { _id: 'p2' } : null));
+    });
+
+    it('prefers the current key over an alias', async () => {
+      expect(await findIssueByKey(' kw-1 ')).toBe(current);
+    });
+
+    it('falls back to aliases and to previous project keys', async () => {
+      current.key = 'KW-100';
+      expect(await findIssueByKey('KW-1')).toBe(imported);
+      expect(await findIssueByKey('OLD-4')).toBe(renamed);
+      expect(await findIssueByKey('OLD-5')).toBeNull();
+      expect(await findIssueByKey('GONE-4')).toBeNull();
+      expect(await findIssueByKey('not a key')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { QueryError, ISSUE_QUERY_FIELDS, parseQuery } = require('../src/utils/queryLanguage');
+
+const actorId = new mongoose.Types.ObjectId().toString();
+
+describe('queryLanguage', () => {
+  it('parses clauses, me and ORDER BY into a whitelisted filter', () => {
+    const { filter, sort } = parseQuery(
+      'status in (to_do, in_progress) AND assignee = me AND labels ~ "ui" ORDER BY priority DESC, created',
+      ISSUE_QUERY_FIELDS,
+      { actorId }
+    );
+
+    expect(filter.$and[0]).toEqual({ status: { $in: ['to_do', 'in_progress'] } });
+    expect(filter.$and[1].assigneeId.toString()).toBe(actorId);
+    expect(filter.$and[2].labels).toEqual(/ui/i);
+    expect(sort).toEqual([
+      { path: 'priority', direction: -1, ranks: ['low', 'medium', 'high'] },
+      { path: 'createdAt', direction: 1, ranks: undefined },
+    ]);
+  });
+
+  it('supports OR, NOT, parentheses, comparisons and empty checks', () => {
+    const { filter } = parseQuery(
+      'NOT (type = bug OR storyPoints >= 5) AND sprint is empty AND labels is not empty',
+      ISSUE_QUERY_FIELDS
+    );
+
+    expect(filter).toEqual({
+      $and: [
+        { $nor: [{ $or: [{ type: 'bug' }, { storyPoints: { $gte: 5 } }] }] },
+        { sprintId: { $in: [null, ''] } },
+        { $nor: [{ $or: [{ labels: { $exists: false } }, { labels: { $size: 0 } }] }] },
+      ],
+    });
+  });
+
+  it('escapes regular expression characters in contains searches', () => {
+    const { filter } = parseQuery('title ~ "a.*(b"', ISSUE_QUERY_FIELDS);
+    expect(filter.title.test('xa.*(bx')).toBe(true);
+    expect(filter.title.test('aXXb')).toBe(false);
+  });
+
+  it('rejects unknown fields, operators and values with their position', () => {
+    expect(() => parseQuery('$where = 1', ISSUE_QUERY_FIELDS)).toThrow(QueryError);
+    expect(() => parseQuery('secret = 1', ISSUE_QUERY_FIELDS)).toThrow("Unknown field 'secret'");
+    expect(() => parseQuery('title > 3', ISSUE_QUERY_FIELDS)).toThrow('only works on number and date fields at position 7');
+    expect(() => parseQuery('priority = urgent', ISSUE_QUERY_FIELDS)).toThrow("'urgent' is not one of low, medium, high");
+    expect(() => parseQuery('assignee = me', ISSUE_QUERY_FIELDS)).toThrow("'me' needs an actorId");
+    expect(() => parseQuery('status = "done', ISSUE_QUERY_FIELDS)).toThrow('Unterminated string at position 10');
+    expect(() => parseQuery('status = done AND', ISSUE_QUERY_FIELDS)).toThrow('Expected word but found');
+  });
+
+  it('returns an empty filter for an empty query', () => {
+    expect(parseQuery('', ISSUE_QUERY_FIELDS)).toEqual({ filter: {}, sort: [] });
+  });
+});
@@ -0,0 +1,26 @@
+const { extractSearchTerms, buildSnippet } = require('../src/utils/textHighlight');
+
+describe('textHighlight', () => {
+  it('extracts search terms without negations and quotes', () => {
+    expect(extractSearchTerms('"login page" -mobile KW-12')).toEqual(['login', 'page', 'KW', '12']);
+  });
+
+  it('highlights every match inside the snippet and escapes html', () => {
+    expect(buildSnippet('Fix <b>login</b> redirect after logins fail', ['login']))
+      .toBe('Fix &lt;b&gt;<mark>login</mark>&lt;/b&gt; redirect after <mark>logins</mark> fail');
+  });
+
+  it('cuts long text around the first match on word boundaries', () => {
+    const text = `${'alpha '.repeat(30)}needle ${'omega '.repeat(30)}`;
+    const snippet = buildSnippet(text, ['needle'], 20);
+
+    expect(snippet.startsWith('…alpha')).toBe(true);
+    expect(snippet.endsWith('omega…')).toBe(true);
+    expect(snippet).toContain('<mark>needle</mark>');
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(buildSnippet('nothing to see', ['needle'])).toBeNull();
+    expect(buildSnippet('', ['needle'])).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getInitialStatus,
+  getSprintEndStatus,
+  validateTransition,
+  validateWorkflowDefinition,
+} = require('../src/services/WorkflowService');
+
+const reviewWorkflow = {
+  statuses: [
+    { key: 'backlog', name: 'Backlog', category: 'backlog' },
+    { key: 'to_do', name: 'To Do', category: 'todo' },
+    { key: 'in_progress', name: 'In Progress', category: 'in_progress' },
+    { key: 'in_review', name: 'In Review', category: 'in_progress' },
+    { key: 'done', name: 'Done', category: 'done' },
+  ],
+  transitions: [
+    { from: '*', to: 'backlog' },
+    { from: 'backlog', to: 'to_do' },
+    { from: 'to_do', to: 'in_progress' },
+    { from: 'in_progress', to: 'in_review' },
+    { from: 'in_review', to: 'done' },
+  ],
+};
+
+describe('WorkflowService', () => {
+  it('falls back to the default workflow when a project has none', () => {
+    expect(getWorkflow({ workflow: { statuses: [], transitions: [] } })).toBe(DEFAULT_WORKFLOW);
+    expect(getInitialStatus(DEFAULT_WORKFLOW)).toBe('backlog');
+  });
+
+  it('allows any move between known statuses when no transitions are configured', () => {
+    expect(validateTransition(DEFAULT_WORKFLOW, 'to_do', 'in_review')).toBeNull();
+    expect(validateTransition(DEFAULT_WORKFLOW, 'to_do', 'blocked')).toMatch(/Invalid status/);
+  });
+
+  it('enforces configured transitions, including wildcards', () => {
+    expect(validateTransition(reviewWorkflow, 'in_progress', 'in_review')).toBeNull();
+    expect(validateTransition(reviewWorkflow, 'in_progress', 'done')).toMatch(/not allowed/);
+    expect(validateTransition(reviewWorkflow, 'in_review', 'backlog')).toBeNull();
+  });
+
+  it('sends untouched work back to the backlog and closes started work at sprint end', () => {
+    expect(getSprintEndStatus(reviewWorkflow, 'to_do')).toBe('backlog');
+    expect(getSprintEndStatus(reviewWorkflow, 'in_review')).toBe('done');
+    expect(getSprintEndStatus(reviewWorkflow, 'done')).toBe('done');
+  });
+
+  it('rejects workflow definitions without the categories sprints rely on', () => {
+    const errors = validateWorkflowDefinition({
+      statuses: [{ key: 'open', name: 'Open', category: 'todo' }],
+      transitions: [{ from: 'open', to: 'closed' }],
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      "The workflow needs at least one status in the 'done' category",
+      'transitions[0].to references an unknown status',
+    ]));
+  });
+});